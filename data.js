@@ -1,9 +1,9 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     9.9.4 (Fix: Update Reference WHT Rate to 25%)
+ * @version     9.15.0 (Feature: Statutory RRIF minimum table)
  * @file        data.js
- * @description Static data for tax rates, government benefits, and withdrawal factors.
+ * @description Static data for tax rates, government benefits, contribution limits, withdrawal factors, historical returns and mortality.
  */
 
 // data.js
@@ -15,8 +15,17 @@ const DEFAULT_CAD_THB_RATE = 25.0;
 
 // --- Canadian Non-Resident Withholding Tax Rates ---
 // [FIX] Pension WHT updated to 25% (Part XIII Tax default)
+// [MODIFIED] Keyed by income type and read by the engines (defaults for the editable table).
+// The Canada-Thailand treaty does not reduce Part XIII on pensions, so every pension type stays at 25%.
+// RRIF payments up to the greater of 2x the minimum and 10% of the opening value are periodic; the rest is excess.
 const withholdingTaxRates = {
-    PENSION: 0.25,   
+    CPP: 0.25,
+    OAS: 0.25,
+    PENSION: 0.25,        // Periodic pension payments
+    RRIF_PERIODIC: 0.25,
+    RRIF_EXCESS: 0.25,    // RRIF amounts above the periodic limit
+    RRSP_LUMP_SUM: 0.25,  // RRSP withdrawals before conversion
+    LIF: 0.25,
     NON_REG: 0.00,   
     DIVIDEND: 0.15,  
     INTEREST: 0.15   
@@ -53,7 +62,20 @@ const govBenefitsData = {
     }
 };
 
+// --- [NEW] Annual Contribution Limits (pre-retirement accumulation phase) ---
+// 2025 dollar limits, indexed with the scenario COLA. TFSA room is rounded to the nearest $500 like CRA does.
+// The RRSP 18%-of-earned-income cap and unused-room carry-forward are not modelled.
+const contributionLimits = {
+    baseYear: 2025,
+    rrsp: 32490,
+    tfsa: 7000,
+    tfsaRounding: 500
+};
+
 // --- RRIF/LIF Minimum Withdrawal Rates ---
+// [MODIFIED] Single source for the engines. Under 71 the minimum is 1 / (90 - age); from 71 the prescribed
+// factors below apply, and the last row covers 95 and over. An RRSP must convert by the end of the year it turns 71.
+const RRIF_LATEST_CONVERSION_AGE = 71;
 const rrifLifMinimumRates = [
     { age: 71, rate: 0.0528 }, { age: 72, rate: 0.0540 }, { age: 73, rate: 0.0553 },
     { age: 74, rate: 0.0567 }, { age: 75, rate: 0.0582 }, { age: 76, rate: 0.0598 },
@@ -63,6 +85,7 @@ const rrifLifMinimumRates = [
     { age: 86, rate: 0.0899 }, { age: 87, rate: 0.0955 }, { age: 88, rate: 0.1021 },
     { age: 89, rate: 0.1099 }, { age: 90, rate: 0.1192 }, { age: 91, rate: 0.1306 },
     { age: 92, rate: 0.1449 }, { age: 93, rate: 0.1634 }, { age: 94, rate: 0.1879 },
+    { age: 95, rate: 0.2000 },
 ];
 
 const ontarioLifMaximumFactors = [
@@ -78,4 +101,126 @@ const ontarioLifMaximumFactors = [
     { age: 82, factor: 0.1519 }, { age: 83, factor: 0.1690 }, { age: 84, factor: 0.1919 },
     { age: 85, factor: 0.2240 }, { age: 86, factor: 0.2723 }, { age: 87, factor: 0.3529 },
     { age: 88, factor: 0.5146 }, { age: 89, factor: 1.0000 }, { age: 90, factor: 1.0000 },
+];
+
+// [NEW] Federal (PBSA) and Quebec LIF maximums discount at a market rate for the first 15 years and 6% after.
+// Approximate 2025 factors: federal uses the Nov 2024 long-term bond rate (3.32%), Quebec that rate + 0.5%.
+const federalLifMaximumFactors = [
+    { age: 55, factor: 0.0513 }, { age: 56, factor: 0.0518 }, { age: 57, factor: 0.0524 },
+    { age: 58, factor: 0.0530 }, { age: 59, factor: 0.0537 }, { age: 60, factor: 0.0545 },
+    { age: 61, factor: 0.0553 }, { age: 62, factor: 0.0562 }, { age: 63, factor: 0.0571 },
+    { age: 64, factor: 0.0582 }, { age: 65, factor: 0.0594 }, { age: 66, factor: 0.0607 },
+    { age: 67, factor: 0.0622 }, { age: 68, factor: 0.0638 }, { age: 69, factor: 0.0656 },
+    { age: 70, factor: 0.0676 }, { age: 71, factor: 0.0699 }, { age: 72, factor: 0.0725 },
+    { age: 73, factor: 0.0755 }, { age: 74, factor: 0.0789 }, { age: 75, factor: 0.0830 },
+    { age: 76, factor: 0.0876 }, { age: 77, factor: 0.0929 }, { age: 78, factor: 0.0991 },
+    { age: 79, factor: 0.1065 }, { age: 80, factor: 0.1153 }, { age: 81, factor: 0.1262 },
+    { age: 82, factor: 0.1397 }, { age: 83, factor: 0.1572 }, { age: 84, factor: 0.1806 },
+    { age: 85, factor: 0.2133 }, { age: 86, factor: 0.2624 }, { age: 87, factor: 0.3443 },
+    { age: 88, factor: 0.5082 }, { age: 89, factor: 1.0000 }, { age: 90, factor: 1.0000 },
+];
+
+const quebecLifMaximumFactors = [
+    { age: 55, factor: 0.0537 }, { age: 56, factor: 0.0543 }, { age: 57, factor: 0.0549 },
+    { age: 58, factor: 0.0555 }, { age: 59, factor: 0.0562 }, { age: 60, factor: 0.0570 },
+    { age: 61, factor: 0.0578 }, { age: 62, factor: 0.0587 }, { age: 63, factor: 0.0597 },
+    { age: 64, factor: 0.0608 }, { age: 65, factor: 0.0620 }, { age: 66, factor: 0.0633 },
+    { age: 67, factor: 0.0648 }, { age: 68, factor: 0.0664 }, { age: 69, factor: 0.0682 },
+    { age: 70, factor: 0.0703 }, { age: 71, factor: 0.0726 }, { age: 72, factor: 0.0752 },
+    { age: 73, factor: 0.0781 }, { age: 74, factor: 0.0816 }, { age: 75, factor: 0.0855 },
+    { age: 76, factor: 0.0901 }, { age: 77, factor: 0.0954 }, { age: 78, factor: 0.1016 },
+    { age: 79, factor: 0.1089 }, { age: 80, factor: 0.1177 }, { age: 81, factor: 0.1285 },
+    { age: 82, factor: 0.1420 }, { age: 83, factor: 0.1594 }, { age: 84, factor: 0.1827 },
+    { age: 85, factor: 0.2153 }, { age: 86, factor: 0.2642 }, { age: 87, factor: 0.3459 },
+    { age: 88, factor: 0.5094 }, { age: 89, factor: 1.0000 }, { age: 90, factor: 1.0000 },
+];
+
+// [NEW] LIF maximum factor tables by governing jurisdiction (per-person selector). BC and Alberta publish
+// the same 6% table as Ontario for 2025. Prior-year investment earnings above the maximum are not modelled.
+const LIF_JURISDICTIONS = ['ON', 'BC', 'AB', 'QC', 'FED'];
+const lifMaximumFactors = {
+    ON: ontarioLifMaximumFactors,
+    BC: ontarioLifMaximumFactors,
+    AB: ontarioLifMaximumFactors,
+    QC: quebecLifMaximumFactors,
+    FED: federalLifMaximumFactors
+};
+
+// --- [NEW] Life Table (Monte Carlo 'life_table' mortality mode) ---
+// Approximate Canadian period life table (2019-2021): q(x) = probability of dying within the year at age x.
+// Knots every 5 years, log-linear in between. q(x) falls by `improvement` per calendar year after `baseYear`,
+// so later birth cohorts live longer. Everyone still alive at maxAge dies that year.
+const lifeTable = {
+    baseYear: 2020,
+    improvement: 0.01,
+    maxAge: 110,
+    male: {
+        30: 0.0012, 35: 0.0014, 40: 0.0018, 45: 0.0025, 50: 0.0036, 55: 0.0057, 60: 0.0084, 65: 0.0120,
+        70: 0.0185, 75: 0.0295, 80: 0.0490, 85: 0.0845, 90: 0.1480, 95: 0.2480, 100: 0.3800, 105: 0.5000, 110: 1.0
+    },
+    female: {
+        30: 0.0005, 35: 0.0007, 40: 0.0010, 45: 0.0015, 50: 0.0023, 55: 0.0035, 60: 0.0052, 65: 0.0075,
+        70: 0.0120, 75: 0.0198, 80: 0.0340, 85: 0.0615, 90: 0.1140, 95: 0.2020, 100: 0.3300, 105: 0.4600, 110: 1.0
+    }
+};
+
+// --- [NEW] Historical Annual Returns (Canada, Nominal, Total Return) ---
+// Used by the Monte Carlo 'bootstrap' mode. Approximate calendar-year figures:
+// equity = S&P/TSX Composite TR, bonds = FTSE Canada Universe Bond, cash = 91-day T-Bills.
+const historicalAnnualReturns = [
+    { year: 1970, equity: -0.031, bonds: 0.169, cash: 0.067 },
+    { year: 1971, equity: 0.080, bonds: 0.148, cash: 0.038 },
+    { year: 1972, equity: 0.274, bonds: 0.081, cash: 0.036 },
+    { year: 1973, equity: 0.003, bonds: 0.020, cash: 0.055 },
+    { year: 1974, equity: -0.259, bonds: 0.010, cash: 0.078 },
+    { year: 1975, equity: 0.185, bonds: 0.032, cash: 0.074 },
+    { year: 1976, equity: 0.110, bonds: 0.181, cash: 0.092 },
+    { year: 1977, equity: 0.107, bonds: 0.087, cash: 0.076 },
+    { year: 1978, equity: 0.297, bonds: 0.030, cash: 0.083 },
+    { year: 1979, equity: 0.448, bonds: -0.025, cash: 0.116 },
+    { year: 1980, equity: 0.301, bonds: 0.033, cash: 0.127 },
+    { year: 1981, equity: -0.103, bonds: -0.030, cash: 0.178 },
+    { year: 1982, equity: 0.055, bonds: 0.400, cash: 0.138 },
+    { year: 1983, equity: 0.355, bonds: 0.096, cash: 0.093 },
+    { year: 1984, equity: -0.024, bonds: 0.169, cash: 0.112 },
+    { year: 1985, equity: 0.251, bonds: 0.267, cash: 0.097 },
+    { year: 1986, equity: 0.090, bonds: 0.171, cash: 0.092 },
+    { year: 1987, equity: 0.059, bonds: 0.022, cash: 0.082 },
+    { year: 1988, equity: 0.111, bonds: 0.098, cash: 0.095 },
+    { year: 1989, equity: 0.214, bonds: 0.132, cash: 0.122 },
+    { year: 1990, equity: -0.148, bonds: 0.075, cash: 0.135 },
+    { year: 1991, equity: 0.120, bonds: 0.221, cash: 0.098 },
+    { year: 1992, equity: -0.014, bonds: 0.098, cash: 0.066 },
+    { year: 1993, equity: 0.325, bonds: 0.181, cash: 0.051 },
+    { year: 1994, equity: -0.002, bonds: -0.043, cash: 0.054 },
+    { year: 1995, equity: 0.145, bonds: 0.207, cash: 0.074 },
+    { year: 1996, equity: 0.283, bonds: 0.123, cash: 0.050 },
+    { year: 1997, equity: 0.150, bonds: 0.096, cash: 0.032 },
+    { year: 1998, equity: -0.016, bonds: 0.092, cash: 0.047 },
+    { year: 1999, equity: 0.317, bonds: -0.011, cash: 0.047 },
+    { year: 2000, equity: 0.074, bonds: 0.103, cash: 0.055 },
+    { year: 2001, equity: -0.126, bonds: 0.081, cash: 0.047 },
+    { year: 2002, equity: -0.124, bonds: 0.087, cash: 0.025 },
+    { year: 2003, equity: 0.267, bonds: 0.067, cash: 0.029 },
+    { year: 2004, equity: 0.145, bonds: 0.072, cash: 0.023 },
+    { year: 2005, equity: 0.241, bonds: 0.065, cash: 0.026 },
+    { year: 2006, equity: 0.173, bonds: 0.041, cash: 0.040 },
+    { year: 2007, equity: 0.098, bonds: 0.037, cash: 0.044 },
+    { year: 2008, equity: -0.330, bonds: 0.064, cash: 0.033 },
+    { year: 2009, equity: 0.351, bonds: 0.054, cash: 0.006 },
+    { year: 2010, equity: 0.176, bonds: 0.067, cash: 0.005 },
+    { year: 2011, equity: -0.087, bonds: 0.097, cash: 0.010 },
+    { year: 2012, equity: 0.072, bonds: 0.036, cash: 0.010 },
+    { year: 2013, equity: 0.130, bonds: -0.012, cash: 0.010 },
+    { year: 2014, equity: 0.106, bonds: 0.088, cash: 0.009 },
+    { year: 2015, equity: -0.083, bonds: 0.035, cash: 0.006 },
+    { year: 2016, equity: 0.211, bonds: 0.017, cash: 0.005 },
+    { year: 2017, equity: 0.091, bonds: 0.025, cash: 0.006 },
+    { year: 2018, equity: -0.089, bonds: 0.014, cash: 0.014 },
+    { year: 2019, equity: 0.229, bonds: 0.069, cash: 0.017 },
+    { year: 2020, equity: 0.056, bonds: 0.087, cash: 0.009 },
+    { year: 2021, equity: 0.251, bonds: -0.025, cash: 0.001 },
+    { year: 2022, equity: -0.058, bonds: -0.117, cash: 0.020 },
+    { year: 2023, equity: 0.118, bonds: 0.067, cash: 0.047 },
+    { year: 2024, equity: 0.217, bonds: 0.042, cash: 0.046 }
 ];
\ No newline at end of file
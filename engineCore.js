@@ -1,13 +1,17 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     10.2.0 (Feature: AI Smart Strategy Prediction)
+ * @version     10.15.2 (Fix: Restore getSimulationEndYear doc comment)
  * @file        engineCore.js
  * @description Core simulation loop. Implements "Smart Auto" prediction logic to decide between RRSP Meltdown vs Deferral.
+ *              Optionally starts at the current age and saves up to retirement before the drawdown years.
  */
 
 // engineCore.js
 
+// [NEW] A year fails when cash in misses expenses + Canadian tax by more than this (deterministic and Monte Carlo)
+const CASH_SHORTFALL_TOLERANCE = 1;
+
 function runFullSimulation(inputsA, inputsB) {
     const baseYear = 2025;
 
@@ -18,7 +22,8 @@ function runFullSimulation(inputsA, inputsB) {
         maxAge: Number(inputsA.lifeExpectancy) || 95,
         cola: getSafeCola(inputsA.cola),
         baseYear: baseYear,
-        exchangeRate: Number(inputsA.exchangeRate) || 25.0
+        exchangeRate: Number(inputsA.exchangeRate) || 25.0,
+        fxPath: resolveFxPath(inputsA.fxPath) // [NEW] Year-by-year CAD/THB
     };
     const resultsA = simulateScenario(inputsA.scenario, globalSettingsA, "A");
 
@@ -26,11 +31,67 @@ function runFullSimulation(inputsA, inputsB) {
         maxAge: Number(inputsB.lifeExpectancy) || 95,
         cola: getSafeCola(inputsB.cola),
         baseYear: baseYear,
-        exchangeRate: Number(inputsB.exchangeRate) || 25.0
+        exchangeRate: Number(inputsB.exchangeRate) || 25.0,
+        fxPath: resolveFxPath(inputsB.fxPath)
     };
     const resultsB = simulateScenario(inputsB.scenario, globalSettingsB, "B");
 
-    return { resultsA, resultsB };
+    // [NEW] Headline spending each plan can carry (results pane and CLI)
+    const sustainableA = findSustainableSpending(inputsA.scenario, globalSettingsA, resultsA);
+    const sustainableB = findSustainableSpending(inputsB.scenario, globalSettingsB, resultsB);
+
+    // [NEW] First year each plan runs short (same test as a failed Monte Carlo path)
+    const firstShortfallA = findFirstShortfall(resultsA);
+    const firstShortfallB = findFirstShortfall(resultsB);
+
+    return { resultsA, resultsB, sustainableA, sustainableB, firstShortfallA, firstShortfallB };
+}
+
+/**
+ * [NEW] First retirement year with a cash shortfall or depleted assets. Monte Carlo marks a failed path the same way.
+ * lifCapped: part of that year's spending could not be withdrawn because the LIF maximum bound.
+ * @returns {{year: number, age: number, lifCapped: boolean}|null} null when every year is funded
+ */
+function findFirstShortfall(results) {
+    const row = (results || []).find(d => d.phase !== 'accumulation' && (d.cashShortfall > 0 || d.depleted));
+    return row ? { year: row.year, age: row.userAge, lifCapped: !!(row.lifMaxReached && row.withdrawalShortfall > 0) } : null;
+}
+
+/**
+ * [NEW] Highest spending the plan funds through its last year. Every expense item is scaled by one factor
+ * (doubling, then bisection to 0.1%); the answer is that plan's first retirement-year Thai living spending in THB per month.
+ * [FIX] Runs are cached by factor and the last funded run is kept, so nothing is simulated twice.
+ * @param {Object[]} [baseResults] - simulateScenario result for the inputs as entered (factor 1), reused when given
+ * @returns {{factor: number, thbPerMonth: number}|null} null when the scenario has no expense items
+ */
+function findSustainableSpending(scenario, settings, baseResults) {
+    const isExpense = (item) => item.type === 'expense_thai' || item.type === 'expense_overseas';
+    const items = scenario.user?.otherIncomes || [];
+    if (!items.some(item => isExpense(item) && Number(item.amount) > 0)) return null;
+
+    const cache = new Map();
+    if (baseResults) cache.set(1, baseResults);
+    const run = (factor) => {
+        if (!cache.has(factor)) {
+            const otherIncomes = items.map(item => isExpense(item) ? { ...item, amount: (Number(item.amount) || 0) * factor } : item);
+            cache.set(factor, simulateScenario({ ...scenario, user: { ...scenario.user, otherIncomes } }, { ...settings }));
+        }
+        return cache.get(factor);
+    };
+    const fullLength = run(0).length;
+    const isFunded = (results) => results.length === fullLength && results.every(d => d.phase === 'accumulation' || !(d.cashShortfall > 0));
+
+    let low = 0, high = 1;
+    while (high <= 64 && isFunded(run(high))) { low = high; high *= 2; }
+    while (high - low > high * 0.001) {
+        const mid = (low + high) / 2;
+        if (isFunded(run(mid))) low = mid; else high = mid;
+    }
+
+    // Overseas expenses are paid in CAD abroad, so only Thai living costs count towards the baht figure
+    const firstRetired = run(low).find(d => d.phase !== 'accumulation');
+    const thbPerYear = firstRetired ? firstRetired.expenses_thai * firstRetired.exchangeRate : 0;
+    return { factor: low, thbPerMonth: thbPerYear / 12 };
 }
 
 function simulateScenario(scenario, settings, label = "") {
@@ -46,6 +107,11 @@ function simulateScenario(scenario, settings, label = "") {
     }
     // Store resolved strategy in settings to pass to Withdrawal Engine
     settings.resolvedStrategy = strategy;
+    // [NEW] Resolve the Part XIII rate table once per run (used by step4 and step5)
+    settings.withholdingRates = getWithholdingRates(scenario.withholdingRates);
+    // [NEW] Each person's LIF maximum table (step4)
+    settings.lifJurisdictions = resolveLifJurisdictions(scenario);
+    settings.rrifSetups = resolveRrifSetups(scenario); // [NEW] Conversion age and minimum age basis
 
     // 1. Initialize Assets (Force Numbers)
     let currentUserAssets = { 
@@ -62,47 +128,88 @@ function simulateScenario(scenario, settings, label = "") {
         lif: Number(scenario.spouse?.assets?.lif) || 0 
     };
 
+    // [NEW] Thai remittance pools (pre-2024 principal per non-reg/TFSA account)
+    const remittancePools = createRemittancePools(scenario, hasSpouse);
+    // [NEW] Non-reg adjusted cost base per person
+    const nonRegAcb = createNonRegAcb(scenario, hasSpouse);
+    // [NEW] OAS recovery tax history (lagged withholding mode)
+    const oasTrackers = { user: createOasRecoveryTracker(), spouse: createOasRecoveryTracker() };
+
     let prevYearThaiTax_User = 0;
     let prevYearThaiTax_Spouse = 0;
+    let prevYearSection217Refund = 0; // [NEW] Paid out the year after filing
 
     const userRetirementAge = Number(scenario.retirementAge) || 60;
     const maxAge = Number(settings.maxAge) || 95;
     const userBirthYear = Number(scenario.user?.birthYear) || 1980;
     const spouseBirthYear = hasSpouse ? (Number(scenario.spouse?.birthYear) || userBirthYear) : userBirthYear;
 
+    // [NEW] First death (couples only). If the user dies first, the plan runs on to the survivor's life expectancy.
+    const firstDeath = resolveFirstDeath(scenario, hasSpouse, userBirthYear, spouseBirthYear);
+    let survivorRolledOver = false;
+
     const startYear = userBirthYear + userRetirementAge;
-    const endYear = userBirthYear + maxAge;
+    const endYear = getSimulationEndYear(firstDeath, userBirthYear, spouseBirthYear, maxAge);
+
+    // [NEW] Pre-retirement accumulation: today's balances grow and take contributions until the year before retirement
+    const accumulation = resolveAccumulation(scenario, userBirthYear);
+    if (accumulation) {
+        for (let currentYear = accumulation.startYear; currentYear <= accumulation.endYear; currentYear++) {
+            results.push(applyAccumulationYear(currentYear, accumulation, { user: currentUserAssets, spouse: currentSpouseAssets },
+                nonRegAcb, accumulation.returns, settings, hasSpouse, userBirthYear, spouseBirthYear));
+        }
+    }
 
     for (let currentYear = startYear; currentYear <= endYear; currentYear++) {
         const userAge = currentYear - userBirthYear;
         
-        if (userAge > maxAge) break;
+        // [NEW] Survivor phase: from the start of the year the deceased reaches the chosen age
+        const widowed = !!firstDeath && currentYear >= firstDeath.year;
+        const userAlive = !(widowed && firstDeath.deceased === 'user');
+        const spouseAlive = hasSpouse && !(widowed && firstDeath.deceased === 'spouse');
+
+        if (userAge > maxAge && userAlive) break;
+
+        // [NEW] This year's CAD/THB from the deterministic path (Thai tax, baht-priced expenses, display)
+        const yearSettings = getFxPathSettings(settings, currentYear);
+
+        let rolloverAmount = 0;
+        if (widowed && !survivorRolledOver) {
+            rolloverAmount = applySurvivorRollover(firstDeath, { user: currentUserAssets, spouse: currentSpouseAssets }, nonRegAcb, remittancePools);
+            survivorRolledOver = true;
+        }
 
         // Initialize Data
         const yearData = {
             year: currentYear, 
             userAge: userAge,
+            phase: 'retirement', // [NEW] vs 'accumulation'
+            exchangeRate: yearSettings.exchangeRate, // [NEW] CAD/THB used this year (display conversion)
+            priceIndex: _getPriceIndex(settings, Math.max(0, currentYear - (Number(settings.baseYear) || 2025))), // [NEW] Price level vs the base year (today's dollars)
             user: {
                 age: userAge,
                 openingBalance: { ...currentUserAssets },
                 income: { cpp: 0, oas: 0, pension: 0, other_taxable: 0, other_non_remitted: 0 },
                 tax: { total: 0, can: 0, thai: 0, clawback: 0 },
-                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, wht_deducted: 0 }
+                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 }
             },
             spouse: {
                 age: currentYear - spouseBirthYear,
                 openingBalance: { ...currentSpouseAssets },
                 income: { cpp: 0, oas: 0, pension: 0, other_taxable: 0, other_non_remitted: 0 },
                 tax: { total: 0, can: 0, thai: 0, clawback: 0 },
-                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, wht_deducted: 0 }
+                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 }
             },
             expenses: 0, expenses_thai: 0, expenses_overseas: 0,
             expenses_thai_tax: prevYearThaiTax_User + prevYearThaiTax_Spouse,
+            section217Refund: prevYearSection217Refund,
+            survivor: widowed ? firstDeath.survivor : null, // [NEW] 'user' | 'spouse' once widowed
+            survivorRollover: rolloverAmount,
             
             // Aggregates
             growth: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0 },
             income: { total: 0 },
-            withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0 },
+            withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0 },
             taxPayable: 0, taxPayable_can: 0, taxPayable_thai: 0,
             closingBalance: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0 }
         };
@@ -116,31 +223,49 @@ function simulateScenario(scenario, settings, label = "") {
         ['rrsp', 'tfsa', 'nonreg', 'lif'].forEach(k => yearData.growth[k] = userGrowth[k] + spouseGrowth[k]);
 
         // --- 2. Calculate Income ---
-        step2_CalculateIncome(yearData.user, scenario.user, settings, 'user', currentYear, scenario); 
-        if (hasSpouse) {
-            step2_CalculateIncome(yearData.spouse, scenario.user, settings, 'spouse', currentYear, scenario);
+        if (userAlive) {
+            step2_CalculateIncome(yearData.user, scenario.user, yearSettings, 'user', currentYear, scenario); 
+        }
+        if (spouseAlive) {
+            step2_CalculateIncome(yearData.spouse, scenario.user, yearSettings, 'spouse', currentYear, scenario);
+        }
+        // [NEW] CPP survivor's pension, DB survivor pensions and the deceased's half of joint income
+        if (widowed) {
+            applySurvivorIncome(yearData[firstDeath.survivor], scenario, yearSettings, firstDeath, currentYear);
         }
+        yearData.survivorBenefits = (yearData.user.survivorCpp || 0) + (yearData.user.survivorPension || 0) +
+                                    (yearData.spouse.survivorCpp || 0) + (yearData.spouse.survivorPension || 0);
         yearData.income.total = (yearData.user.income?.total || 0) + (yearData.spouse.income?.total || 0);
 
         // --- 3. Calculate Expenses ---
-        step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouseBirthYear);
+        step3_CalculateExpenses(yearData, scenario, yearSettings, hasSpouse, spouseBirthYear, widowed ? firstDeath : null);
         yearData.expenses = (yearData.expenses || 0) + (yearData.expenses_thai_tax || 0);
 
         // --- 4. Perform Withdrawals (Pass Settings with Resolved Strategy) ---
-        const wdInfo = step4_PerformWithdrawals(yearData, currentUserAssets, currentSpouseAssets, hasSpouse, settings);
+        // [MODIFIED] A deceased spouse has no assets left after the rollover; a deceased user's track is simply empty
+        const wdInfo = step4_PerformWithdrawals(yearData, currentUserAssets, currentSpouseAssets, spouseAlive || !userAlive, yearSettings, remittancePools);
         
         ['rrsp', 'tfsa', 'nonreg', 'lif'].forEach(k => {
             yearData.withdrawals[k] = (yearData.user.withdrawals[k] || 0) + (yearData.spouse.withdrawals[k] || 0);
         });
         yearData.withdrawals.total = yearData.withdrawals.rrsp + yearData.withdrawals.tfsa + yearData.withdrawals.nonreg + yearData.withdrawals.lif;
 
+        // [NEW] Realize the gain on non-reg withdrawals (feeds OAS net income in step5)
+        realizeNonRegGains(yearData.user, currentUserAssets, nonRegAcb, 'user');
+        if (hasSpouse) realizeNonRegGains(yearData.spouse, currentSpouseAssets, nonRegAcb, 'spouse');
+        yearData.nonRegRealizedGain = (yearData.user.nonRegRealizedGain || 0) + (yearData.spouse.nonRegRealizedGain || 0);
+
         // --- 5. Calculate Taxes ---
-        const userTaxInfo = step5_CalculateTaxes(yearData.user, scenario, settings, 'user');
+        markOasRecoveryFinalYear(oasTrackers, currentYear, endYear, firstDeath, wdInfo.depleted);
+        let userTaxInfo = { totalTax: 0, tax_can: 0, tax_thai: 0, oasClawback: 0, oasRecoveryWithheld: 0, oasRecoverySettlement: 0, section217Refund: 0 };
+        if (userAlive) {
+            userTaxInfo = step5_CalculateTaxes(yearData.user, scenario, yearSettings, 'user', oasTrackers.user);
+        }
         yearData.user.tax = userTaxInfo;
         
-        let spouseTaxInfo = { totalTax: 0, tax_can: 0, tax_thai: 0, oasClawback: 0 };
-        if (hasSpouse) {
-            spouseTaxInfo = step5_CalculateTaxes(yearData.spouse, scenario, settings, 'spouse');
+        let spouseTaxInfo = { totalTax: 0, tax_can: 0, tax_thai: 0, oasClawback: 0, oasRecoveryWithheld: 0, oasRecoverySettlement: 0, section217Refund: 0 };
+        if (spouseAlive) {
+            spouseTaxInfo = step5_CalculateTaxes(yearData.spouse, scenario, yearSettings, 'spouse', oasTrackers.spouse);
             yearData.spouse.tax = spouseTaxInfo;
         }
 
@@ -148,30 +273,49 @@ function simulateScenario(scenario, settings, label = "") {
         yearData.taxPayable_can = userTaxInfo.tax_can + spouseTaxInfo.tax_can;
         yearData.taxPayable_thai = userTaxInfo.tax_thai + spouseTaxInfo.tax_thai;
         yearData.oasClawback = userTaxInfo.oasClawback + spouseTaxInfo.oasClawback;
+        yearData.oasRecoveryWithheld = userTaxInfo.oasRecoveryWithheld + spouseTaxInfo.oasRecoveryWithheld;
+        yearData.oasRecoverySettlement = userTaxInfo.oasRecoverySettlement + spouseTaxInfo.oasRecoverySettlement;
+        yearData.section217RefundEarned = (userTaxInfo.section217Refund || 0) + (spouseTaxInfo.section217Refund || 0);
 
         // --- 6. Reinvest Surplus ---
         const totalCashOut = yearData.expenses + yearData.taxPayable_can; 
-        const totalCashIn = yearData.income.total + yearData.withdrawals.total;
+        const totalCashIn = yearData.income.total + yearData.withdrawals.total + yearData.section217Refund;
         const netCashflow = totalCashIn - totalCashOut;
 
         if (netCashflow > 0.01) {
-            const splitSurplus = netCashflow / (hasSpouse ? 2 : 1);
-            currentUserAssets.nonreg += splitSurplus;
-            if (hasSpouse) currentSpouseAssets.nonreg += splitSurplus;
+            // [MODIFIED] Split between the living only
+            const splitSurplus = netCashflow / ((userAlive ? 1 : 0) + (spouseAlive ? 1 : 0));
+            if (userAlive) {
+                currentUserAssets.nonreg += splitSurplus;
+                nonRegAcb.user += splitSurplus; // [NEW] Reinvested cash is new cost base
+            }
+            if (spouseAlive) {
+                currentSpouseAssets.nonreg += splitSurplus;
+                nonRegAcb.spouse += splitSurplus;
+            }
             yearData.reinvested = netCashflow;
         } else {
             yearData.reinvested = 0;
         }
+        // [NEW] Unfunded spending this year (the run goes on until the assets are gone)
+        yearData.cashShortfall = netCashflow < -CASH_SHORTFALL_TOLERANCE ? -netCashflow : 0;
+        yearData.depleted = !!wdInfo.depleted;
+        // [NEW] Spending step 4 could not source from any account (e.g. the rest is locked in a capped LIF)
+        yearData.withdrawalShortfall = wdInfo.shortfall || 0;
 
         // Update Closing
         yearData.user.closingBalance = { ...currentUserAssets };
         yearData.spouse.closingBalance = { ...currentSpouseAssets };
+        yearData.user.nonRegAcb = nonRegAcb.user;
+        yearData.spouse.nonRegAcb = nonRegAcb.spouse;
+        yearData.nonRegAcb = nonRegAcb.user + nonRegAcb.spouse;
         ['rrsp', 'tfsa', 'nonreg', 'lif'].forEach(k => yearData.closingBalance[k] = currentUserAssets[k] + currentSpouseAssets[k]);
 
         results.push(yearData);
 
         prevYearThaiTax_User = yearData.user.tax.tax_thai;
         prevYearThaiTax_Spouse = spouseTaxInfo.tax_thai;
+        prevYearSection217Refund = yearData.section217RefundEarned;
 
         if (wdInfo.depleted) break; 
     }
@@ -224,7 +368,7 @@ function _checkOASClawbackRisk(personData, rrspReturn, cola) {
     const totalEstimatedIncome = estimatedRRIF + fixedIncome;
 
     // C. Threshold (Inflation Adjusted)
-    const baseThreshold = 90997; // 2025 Threshold
+    const baseThreshold = govBenefitsData.OAS.clawbackThreshold; // 2025 Threshold
     const futureThreshold = baseThreshold * Math.pow(1 + cola, yearsTo71);
 
     // D. Verdict
@@ -246,7 +390,277 @@ function step1_ApplyGrowth(currentYear, assets, returns) {
     return growth;
 }
 
-function step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouseBirthYear) {
+/**
+ * [NEW] Opening non-reg ACB per person: balance minus the unrealized gain entered at retirement.
+ * Growth raises the unrealized gain without touching ACB; reinvested surplus adds to ACB.
+ */
+function createNonRegAcb(scenario, hasSpouse) {
+    const build = (person) => {
+        const balance = Number(person?.assets?.nonreg) || 0;
+        return Math.max(0, balance - Math.max(0, Number(person?.initialNonRegGains) || 0));
+    };
+    return { user: build(scenario.user), spouse: hasSpouse ? build(scenario.spouse) : 0 };
+}
+
+/**
+ * [NEW] Realizes this year's non-reg gain (average-cost method): each dollar withdrawn carries
+ * the account's current ACB share. Call after step4, before step5.
+ * @param {string} key - 'user' | 'spouse'
+ */
+function realizeNonRegGains(personYearData, assets, nonRegAcb, key) {
+    const withdrawn = personYearData.withdrawals?.nonreg || 0;
+    const balanceBefore = (assets.nonreg || 0) + withdrawn;
+    let acbUsed = 0;
+    if (withdrawn > 0 && balanceBefore > 0) {
+        acbUsed = Math.min(nonRegAcb[key], nonRegAcb[key] * (withdrawn / balanceBefore));
+        nonRegAcb[key] -= acbUsed;
+    }
+    personYearData.nonRegRealizedGain = withdrawn - acbUsed;
+    return personYearData.nonRegRealizedGain;
+}
+
+/**
+ * [NEW] Normalizes the deterministic CAD/THB path.
+ * 'flat' keeps the base rate, 'drift' compounds a yearly change from the base year, 'table' takes the rate of the
+ * latest listed year at or before each year (the base rate before the first entry). The table may be given as
+ * [{year, rate}] or as pasted text of "year: rate" pairs (newlines, commas, tabs or spaces also separate).
+ * @returns {{mode: string, drift: number, table: Array<{year: number, rate: number}>}}
+ */
+function resolveFxPath(fxPath) {
+    const mode = ['drift', 'table'].includes(fxPath?.mode) ? fxPath.mode : 'flat';
+    let entries = Array.isArray(fxPath?.table) ? fxPath.table : [];
+    if (typeof fxPath?.table === 'string') {
+        const tokens = fxPath.table.split(/[\s:,;=]+/).filter(Boolean);
+        entries = [];
+        for (let i = 0; i + 1 < tokens.length; i += 2) entries.push({ year: tokens[i], rate: tokens[i + 1] });
+    }
+    const table = entries
+        .map(entry => ({ year: parseInt(entry.year), rate: parseFloat(entry.rate) }))
+        .filter(entry => !isNaN(entry.year) && entry.rate > 0)
+        .sort((a, b) => a.year - b.year);
+    return { mode: mode, drift: Number(fxPath?.drift) || 0, table: table };
+}
+
+/**
+ * [NEW] CAD/THB (THB per CAD) for a calendar year on settings.fxPath; settings.exchangeRate is the base-year rate.
+ */
+function getFxPathRate(settings, year) {
+    const baseRate = Number(settings.exchangeRate) || 25.0;
+    const path = settings.fxPath;
+    if (!path || path.mode === 'flat') return baseRate;
+    if (path.mode === 'drift') return baseRate * Math.pow(1 + path.drift, Math.max(0, year - (Number(settings.baseYear) || 2025)));
+    let rate = baseRate;
+    path.table.forEach(entry => { if (entry.year <= year) rate = entry.rate; });
+    return rate;
+}
+
+/**
+ * [NEW] Settings for one year of a deterministic run. Off the flat path the year's rate replaces exchangeRate
+ * and fxBaseRate keeps the base rate, so step3 revalues baht-priced Thai expenses (as on the Monte Carlo FX paths).
+ */
+function getFxPathSettings(settings, year) {
+    if (!settings.fxPath || settings.fxPath.mode === 'flat') return settings;
+    return { ...settings, exchangeRate: getFxPathRate(settings, year), fxBaseRate: Number(settings.exchangeRate) || 25.0 };
+}
+
+/**
+ * [NEW] Resolves the pre-retirement accumulation phase from scenario.accumulation.
+ * Runs from the current age up to the year before the user's retirement; blank pre-retirement returns
+ * fall back to the drawdown returns.
+ * @returns {Object|null} null when off or when the current age is not before the retirement age
+ */
+function resolveAccumulation(scenario, userBirthYear) {
+    const acc = scenario.accumulation;
+    if (!acc || !acc.enabled) return null;
+    const currentAge = parseInt(acc.currentAge);
+    const retirementYear = userBirthYear + (Number(scenario.retirementAge) || 60);
+    if (isNaN(currentAge) || userBirthYear + currentAge >= retirementYear) return null;
+
+    const drawdownReturns = scenario.returns || {};
+    const pickReturn = (value, fallback) => {
+        const n = parseFloat(value);
+        return isNaN(n) ? (Number(fallback) || 0) : n;
+    };
+    const readContributions = (c) => ({
+        rrsp: Math.max(0, Number(c?.rrsp) || 0),
+        tfsa: Math.max(0, Number(c?.tfsa) || 0),
+        nonreg: Math.max(0, Number(c?.nonreg) || 0)
+    });
+    return {
+        startYear: userBirthYear + currentAge,
+        endYear: retirementYear - 1,
+        returns: {
+            rrsp: pickReturn(acc.returns?.rrsp, drawdownReturns.rrsp),
+            tfsa: pickReturn(acc.returns?.tfsa, drawdownReturns.tfsa),
+            nonreg: pickReturn(acc.returns?.nonreg, drawdownReturns.nonreg),
+            lif: pickReturn(acc.returns?.lif, drawdownReturns.lif)
+        },
+        contributionGrowth: Number(acc.contributionGrowth) || 0,
+        contributions: { user: readContributions(acc.contributions?.user), spouse: readContributions(acc.contributions?.spouse) }
+    };
+}
+
+/**
+ * [NEW] RRSP and TFSA dollar limits for a calendar year (contributionLimits indexed with the scenario COLA).
+ */
+function getContributionLimits(year, settings) {
+    if (typeof contributionLimits === 'undefined') return { rrsp: Infinity, tfsa: Infinity };
+    const index = Math.pow(1 + (Number(settings.cola) || 0), Math.max(0, year - contributionLimits.baseYear));
+    return {
+        rrsp: contributionLimits.rrsp * index,
+        tfsa: Math.round(contributionLimits.tfsa * index / contributionLimits.tfsaRounding) * contributionLimits.tfsaRounding
+    };
+}
+
+/**
+ * [NEW] One accumulation year: growth at the given returns, then end-of-year contributions.
+ * Planned amounts rise by contributionGrowth each year; RRSP/TFSA amounts above the year's limit go to non-reg.
+ * Non-reg contributions are new cost base. Monte Carlo passes its drawn returns.
+ * @returns {Object} Year row in the results shape (phase 'accumulation', no income, tax or withdrawals)
+ */
+function applyAccumulationYear(currentYear, accumulation, assetsByPerson, nonRegAcb, returns, settings, hasSpouse, userBirthYear, spouseBirthYear) {
+    const limits = getContributionLimits(currentYear, settings);
+    const escalation = Math.pow(1 + accumulation.contributionGrowth, currentYear - accumulation.startYear);
+    const emptyPerson = (age, assets) => ({
+        age: age,
+        openingBalance: { ...assets },
+        income: { cpp: 0, oas: 0, pension: 0, other_taxable: 0, other_non_remitted: 0, total: 0 },
+        tax: { totalTax: 0, tax_can: 0, tax_thai: 0, oasClawback: 0 },
+        withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 }
+    });
+
+    const yearData = {
+        year: currentYear,
+        userAge: currentYear - userBirthYear,
+        phase: 'accumulation',
+        exchangeRate: getFxPathRate(settings, currentYear),
+        priceIndex: _getPriceIndex(settings, Math.max(0, currentYear - (Number(settings.baseYear) || 2025))),
+        user: emptyPerson(currentYear - userBirthYear, assetsByPerson.user),
+        spouse: emptyPerson(currentYear - spouseBirthYear, assetsByPerson.spouse),
+        expenses: 0, expenses_thai: 0, expenses_overseas: 0, expenses_thai_tax: 0,
+        section217Refund: 0, section217RefundEarned: 0,
+        survivor: null, survivorRollover: 0, survivorBenefits: 0,
+        growth: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0 },
+        income: { total: 0 },
+        withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0 },
+        taxPayable: 0, taxPayable_can: 0, taxPayable_thai: 0,
+        oasClawback: 0, oasRecoveryWithheld: 0, oasRecoverySettlement: 0,
+        nonRegRealizedGain: 0, reinvested: 0,
+        contributions: { rrsp: 0, tfsa: 0, nonreg: 0, overflow: 0, total: 0 },
+        closingBalance: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0 }
+    };
+
+    ['user', 'spouse'].forEach(person => {
+        const assets = assetsByPerson[person];
+        const personYear = yearData[person];
+        personYear.growth = step1_ApplyGrowth(currentYear, assets, returns);
+
+        const planned = (person === 'user' || hasSpouse) ? accumulation.contributions[person] : { rrsp: 0, tfsa: 0, nonreg: 0 };
+        const rrsp = Math.min(planned.rrsp * escalation, limits.rrsp);
+        const tfsa = Math.min(planned.tfsa * escalation, limits.tfsa);
+        const overflow = (planned.rrsp + planned.tfsa) * escalation - rrsp - tfsa;
+        const nonreg = planned.nonreg * escalation + overflow;
+        assets.rrsp += rrsp;
+        assets.tfsa += tfsa;
+        assets.nonreg += nonreg;
+        nonRegAcb[person] += nonreg;
+        personYear.contributions = { rrsp, tfsa, nonreg, overflow, total: rrsp + tfsa + nonreg };
+        personYear.closingBalance = { ...assets };
+        personYear.nonRegAcb = nonRegAcb[person];
+
+        ['rrsp', 'tfsa', 'nonreg', 'lif'].forEach(k => {
+            yearData.growth[k] += personYear.growth[k];
+            yearData.closingBalance[k] += assets[k];
+        });
+        ['rrsp', 'tfsa', 'nonreg', 'overflow', 'total'].forEach(k => yearData.contributions[k] += personYear.contributions[k]);
+    });
+    yearData.nonRegAcb = nonRegAcb.user + nonRegAcb.spouse;
+    return yearData;
+}
+
+/**
+ * [NEW] Resolves the first-death setting for a couple.
+ * Death is modelled at the start of the year the deceased reaches the chosen age.
+ * @returns {{deceased: string, survivor: string, year: number, expenseFactor: number}|null} null if single or not set
+ */
+function resolveFirstDeath(scenario, hasSpouse, userBirthYear, spouseBirthYear) {
+    const fd = scenario.firstDeath;
+    if (!hasSpouse || !fd || (fd.person !== 'user' && fd.person !== 'spouse')) return null;
+    const age = Number(fd.age);
+    if (!(age > 0)) return null;
+
+    return createFirstDeath(fd.person, (fd.person === 'user' ? userBirthYear : spouseBirthYear) + age, scenario);
+}
+
+/**
+ * [NEW] First-death record for a given person and calendar year (also used by Monte Carlo life-table draws).
+ * The household expense share comes from scenario.firstDeath.expenseFactor (default 70%).
+ */
+function createFirstDeath(deceased, year, scenario) {
+    const factor = parseFloat(scenario.firstDeath?.expenseFactor);
+    return {
+        deceased: deceased,
+        survivor: deceased === 'user' ? 'spouse' : 'user',
+        year: year,
+        expenseFactor: isNaN(factor) ? 0.7 : Math.min(1, Math.max(0, factor))
+    };
+}
+
+/**
+ * [FIX] Flags each person's last simulated tax year (plan end, depletion, or the year before their death)
+ * so the lagged OAS recovery settles its final Return of Income balance instead of dropping it.
+ * @param {number} lastYear - Last year the household is simulated
+ */
+function markOasRecoveryFinalYear(oasTrackers, currentYear, lastYear, firstDeath, depleted) {
+    ['user', 'spouse'].forEach(person => {
+        const diesNextYear = !!firstDeath && firstDeath.deceased === person && currentYear === firstDeath.year - 1;
+        oasTrackers[person].isFinalYear = !!depleted || currentYear >= lastYear || diesNextYear;
+    });
+}
+
+/**
+ * [NEW] Last simulated year: the user's life expectancy, or the surviving spouse's when the user dies first.
+ */
+function getSimulationEndYear(firstDeath, userBirthYear, spouseBirthYear, maxAge) {
+    if (firstDeath && firstDeath.deceased === 'user') {
+        return Math.max(firstDeath.year, spouseBirthYear + maxAge);
+    }
+    return userBirthYear + maxAge;
+}
+
+/**
+ * [NEW] Spousal rollover at death: RRSP/RRIF, LIF and TFSA pass tax-free to the survivor's own accounts.
+ * Non-reg passes at cost (tax-deferred rollover), together with its ACB and pre-2024 remittance principal.
+ * @param {Object} assetsByPerson - { user, spouse } asset objects (mutated)
+ * @returns {number} Total value rolled over
+ */
+function applySurvivorRollover(firstDeath, assetsByPerson, nonRegAcb, remittancePools) {
+    const from = assetsByPerson[firstDeath.deceased];
+    const to = assetsByPerson[firstDeath.survivor];
+    let total = 0;
+    ['rrsp', 'tfsa', 'nonreg', 'lif'].forEach(k => {
+        total += from[k] || 0;
+        to[k] = (to[k] || 0) + (from[k] || 0);
+        from[k] = 0;
+    });
+    nonRegAcb[firstDeath.survivor] += nonRegAcb[firstDeath.deceased];
+    nonRegAcb[firstDeath.deceased] = 0;
+    if (remittancePools) {
+        ['nonreg', 'tfsa'].forEach(k => {
+            remittancePools[firstDeath.survivor][k] += remittancePools[firstDeath.deceased][k];
+            remittancePools[firstDeath.deceased][k] = 0;
+        });
+    }
+    return total;
+}
+
+/**
+ * [MODIFIED] THB items are converted at this year's rate; CAD items stay in CAD. Thai items saved without a currency
+ * are a baht budget entered in CAD and are revalued against the base rate below.
+ * @param {Object} [widowedBy] - [NEW] Active first death: household expenses (any owner) are scaled by expenseFactor;
+ *                               items flagged personal end with their owner and continue in full for the survivor
+ */
+function step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouseBirthYear, widowedBy) {
     const currentYear = Number(yearData.year);
     const baseYear = Number(settings.baseYear) || 2025;
     
@@ -256,6 +670,7 @@ function step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouse
     const allItems = scenario.user?.otherIncomes || [];
     
     let thaiExpenses = 0;
+    let thaiExpensesFixed = 0; // [NEW] Thai items with a currency (THB converted at this year's rate, or CAD)
     let overseasExpenses = 0;
 
     for (const item of allItems) {
@@ -265,21 +680,29 @@ function step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouse
          const endAgeRaw = Number(item.endAge);
          const endAge = (endAgeRaw > 0) ? endAgeRaw : 110;
          
-         const amount = Number(item.amount) || 0;
-         const cola = Number(item.cola) || 0;
-
-         let isActive = false;
-         if (item.owner === 'spouse' && hasSpouse) {
-             if (currentSpouseAge >= startAge && currentSpouseAge <= endAge) isActive = true;
-         } else {
-             if (currentUserAge >= startAge && currentUserAge <= endAge) isActive = true;
+         // Owner sets whose age opens and closes the item (joint items follow the user)
+         let agePerson = (item.owner === 'spouse' && hasSpouse) ? 'spouse' : 'user';
+
+         // [FIX] After the first death. An owned item is still a household cost: it is scaled like the rest and
+         // follows the survivor's age from then on. Only items flagged personal end with their owner.
+         let survivorFactor = 1;
+         if (widowedBy) {
+             const owner = item.owner || 'user';
+             if (item.personal && owner === widowedBy.deceased) continue;
+             if (!(item.personal && owner === widowedBy.survivor)) survivorFactor = widowedBy.expenseFactor;
+             if (agePerson === widowedBy.deceased) agePerson = widowedBy.survivor;
          }
 
+         const ageForItem = agePerson === 'spouse' ? currentSpouseAge : currentUserAge;
+         const isActive = ageForItem >= startAge && ageForItem <= endAge;
+
          if (isActive) {
              const yearsSinceBase = Math.max(0, currentYear - baseYear);
-             const inflatedAmount = amount * Math.pow(1 + cola, yearsSinceBase);
+             const inflatedAmount = _getItemAmountCad(item, settings, yearsSinceBase) * survivorFactor;
              
-             if (item.type === 'expense_thai') {
+             if (item.type === 'expense_thai' && item.currency) {
+                 thaiExpensesFixed += inflatedAmount; // [FIX] THB: already at this year's rate; CAD: a real CAD amount
+             } else if (item.type === 'expense_thai') {
                  thaiExpenses += inflatedAmount;
              } else {
                  overseasExpenses += inflatedAmount;
@@ -287,6 +710,15 @@ function step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouse
          }
     }
 
+    // [NEW] Thai living costs without a currency are priced in baht: the CAD input is today's baht budget at the base rate.
+    // When the rate moves (Monte Carlo FX paths, deterministic FX path), the CAD needed to fund that budget moves inversely.
+    const fxBaseRate = Number(settings.fxBaseRate);
+    const fxRate = Number(settings.exchangeRate);
+    if (fxBaseRate > 0 && fxRate > 0) {
+        thaiExpenses *= fxBaseRate / fxRate;
+    }
+    thaiExpenses += thaiExpensesFixed;
+
     yearData.expenses_thai = thaiExpenses;
     yearData.expenses_overseas = overseasExpenses;
     yearData.expenses = thaiExpenses + overseasExpenses;
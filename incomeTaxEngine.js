@@ -1,14 +1,33 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     9.9.4 (Fix: WHT set to 25% for CPP/OAS/Pension)
+ * @version     9.17.1 (Fix: Shared OAS threshold, final-year OAS recovery settlement)
  * @file        incomeTaxEngine.js
  * @created     2025-11-09
- * @description Calculates income and taxes. WHT updated to 25% (Non-Resident Part XIII).
+ * @description Calculates income and taxes. WHT updated to 25% (Non-Resident Part XIII). CPP/OAS, the OAS threshold and CPI-linked items follow settings.cpiPath when present.
+ *              Thai net taxable income (deductions profile per person) is shared with the withdrawal optimizer.
  */
 
 // incomeTaxEngine.js
 
+// [NEW] Part XIII income types the engines withhold on (keys of withholdingTaxRates in data.js)
+const WITHHOLDING_INCOME_TYPES = ['CPP', 'OAS', 'PENSION', 'RRIF_PERIODIC', 'RRIF_EXCESS', 'RRSP_LUMP_SUM', 'LIF'];
+const DEFAULT_WITHHOLDING_RATE = 0.25;
+
+// [NEW] OAS recovery tax for non-residents: withheld on income from OAS_RECOVERY_LAG_YEARS earlier, settled on the Return of Income
+const OAS_RECOVERY_LAG_YEARS = 2;
+
+// [NEW] Share of a realized capital gain included in net income
+const CAPITAL_GAINS_INCLUSION_RATE = 0.5;
+
+// [NEW] CPP survivor's pension (2025). Combined with the survivor's own retirement pension it is capped at the maximum retirement pension.
+const CPP_SURVIVOR_INTERNAL = {
+    maxRetirementPension: 17196,   // $1,433/month at 65
+    rate65Plus: 0.60,              // Share of the contributor's pension, survivor 65+
+    rateUnder65: 0.375,            // Survivor under 65 ...
+    flatRateUnder65: 2706          // ... plus a flat rate ($225.52/month)
+};
+
 // [NEW] Embedded Thai Tax Brackets (2025) to ensure calculation works independently
 const THAI_TAX_BRACKETS_INTERNAL = [
     { upTo: 150000, rate: 0.00 },
@@ -21,6 +40,37 @@ const THAI_TAX_BRACKETS_INTERNAL = [
     { over: 5000000, rate: 0.35 }
 ];
 
+// [NEW] Canadian federal tax (2025) for the Section 217 election. Thresholds and credit amounts index with COLA.
+const CANADA_FEDERAL_TAX_INTERNAL = {
+    brackets: [
+        { upTo: 57375, rate: 0.145 },
+        { upTo: 114750, rate: 0.205 },
+        { upTo: 177882, rate: 0.26 },
+        { upTo: 253414, rate: 0.29 },
+        { upTo: Infinity, rate: 0.33 }
+    ],
+    basicPersonalAmount: 16129,
+    basicPersonalAmountMin: 14538,  // Reduced BPA for net income in the 29% bracket and above
+    ageAmount: 9028,                // 65+
+    ageAmountThreshold: 45522,
+    ageAmountReductionRate: 0.15,
+    pensionAmount: 2000,
+    nonResidentSurtax: 0.48,        // In place of provincial tax
+    creditsWorldIncomeShare: 0.90   // Credits only if s.217 income is "all or substantially all" of world income
+};
+
+// [NEW] Thai allowances and exemptions (THB, nominal as legislated)
+const THAI_DEDUCTION_LIMITS_INTERNAL = {
+    personalAllowance: 60000,
+    seniorExemption: 190000,     // Assessable income exempt for taxpayers aged 65+
+    seniorExemptionAge: 65,
+    spouseAllowance: 60000,      // Spouse with no assessable income
+    childAllowance: 30000,       // Per child
+    healthInsuranceMax: 25000,
+    lifeInsuranceMax: 100000,
+    insuranceCombinedMax: 100000 // Health + life premiums together
+};
+
 /**
  * Step 2: Calculate Non-Withdrawal Income (Gross) for a specific person
  * @param {Object} yearDataRef - The specific user/spouse year object to populate
@@ -42,11 +92,14 @@ function step2_CalculateIncome(yearDataRef, personParams, settings, ownerType, c
     const userAge = yearDataRef.age;
     const baseYear = settings.baseYear || 2025;
     const yearsSinceBase = Math.max(0, currentYear - baseYear);
-    const colaMultiplier = Math.pow(1 + settings.cola, yearsSinceBase);
+    const colaMultiplier = _getPriceIndex(settings, yearsSinceBase);
 
     // Initialize income buckets
     yearDataRef.income = { cpp: 0, oas: 0, pension: 0, other_taxable: 0, other_non_remitted: 0 };
 
+    // [NEW] This year's Thai deductions (age-triggered items resolved here, used by step4 and step5)
+    yearDataRef.thaiDeductionsTHB = _getThaiDeductionsTHB(actualParams?.thaiDeductions, userAge);
+
     // --- 1. CPP & OAS (Gross) ---
     if (actualParams && userAge >= actualParams.cppStartAge) {
         yearDataRef.income.cpp = _calculateIndexedCPP(
@@ -56,7 +109,8 @@ function step2_CalculateIncome(yearDataRef, personParams, settings, ownerType, c
             settings.cola, 
             baseYear, 
             currentYear, 
-            actualParams.birthYear
+            actualParams.birthYear,
+            (t) => _getPriceIndex(settings, t)
         );
     }
     if (actualParams && userAge >= actualParams.oasStartAge) {
@@ -88,7 +142,7 @@ function step2_CalculateIncome(yearDataRef, personParams, settings, ownerType, c
 
         if (shareFactor > 0 && userAge >= start && userAge <= end) {
             const itemYearsSinceBase = Math.max(0, currentYear - baseYear);
-            const currentYearAmount = (Number(item.amount) || 0) * Math.pow(1 + (Number(item.cola) || 0), itemYearsSinceBase);
+            const currentYearAmount = _getItemAmountCad(item, settings, itemYearsSinceBase); // [MODIFIED] THB items converted at this year's rate
             const myShare = currentYearAmount * shareFactor;
 
             if (item.type === 'pension') {
@@ -107,13 +161,73 @@ function step2_CalculateIncome(yearDataRef, personParams, settings, ownerType, c
                                yearDataRef.income.other_non_remitted;
 }
 
+/**
+ * [NEW] Survivor income after the first death. Call after step2 for the survivor.
+ * Adds the CPP survivor's pension (based on the deceased's pension at 65), the survivor share of the
+ * deceased's DB pensions (item.survivorPct) and the deceased's half of joint income items.
+ * The deceased's OAS and other personal income end with step2 no longer running for them.
+ * @param {Object} firstDeath - From resolveFirstDeath
+ */
+function applySurvivorIncome(yearDataRef, fullScenario, settings, firstDeath, currentYear) {
+    const deceasedParams = fullScenario[firstDeath.deceased];
+    const survivorAge = yearDataRef.age;
+    const deceasedAge = currentYear - (Number(deceasedParams?.birthYear) || 0);
+    const yearsSinceBase = Math.max(0, currentYear - (settings.baseYear || 2025));
+    const priceIndex = _getPriceIndex(settings, yearsSinceBase);
+
+    // 1. CPP survivor's pension
+    const contributorPension = (Number(deceasedParams?.cppAt65) || 0) * priceIndex;
+    let survivorCpp = 0;
+    if (contributorPension > 0) {
+        survivorCpp = survivorAge >= 65
+            ? contributorPension * CPP_SURVIVOR_INTERNAL.rate65Plus
+            : contributorPension * CPP_SURVIVOR_INTERNAL.rateUnder65 + CPP_SURVIVOR_INTERNAL.flatRateUnder65 * priceIndex;
+        const combinedCap = CPP_SURVIVOR_INTERNAL.maxRetirementPension * priceIndex;
+        survivorCpp = Math.max(0, Math.min(survivorCpp, combinedCap - yearDataRef.income.cpp));
+    }
+    yearDataRef.income.cpp += survivorCpp;
+
+    // 2. DB pensions continuing to the survivor, and joint income now received in full
+    let survivorPension = 0;
+    (fullScenario.user?.otherIncomes || []).forEach(item => {
+        const isDeceasedItem = item.owner === firstDeath.deceased || (!item.owner && firstDeath.deceased === 'user');
+        const isJoint = item.owner === 'joint';
+        if (!(isJoint || (isDeceasedItem && item.type === 'pension'))) return;
+
+        // Joint items follow the survivor's age (as in step2), the deceased's pensions the deceased's age
+        const age = isJoint ? survivorAge : deceasedAge;
+        const start = Number(item.startAge) || 0;
+        const end = (Number(item.endAge) > 0) ? Number(item.endAge) : 110;
+        if (age < start || age > end) return;
+
+        const share = isJoint ? 0.5 : Math.min(1, Math.max(0, Number(item.survivorPct) || 0));
+        const amount = _getItemAmountCad(item, settings, yearsSinceBase) * share;
+
+        if (item.type === 'pension') {
+            yearDataRef.income.pension += amount;
+            if (!isJoint) survivorPension += amount;
+        } else if (item.type === 'income') {
+            yearDataRef.income.other_taxable += amount;
+        } else if (item.type === 'income_overseas') {
+            yearDataRef.income.other_non_remitted += amount;
+        }
+    });
+
+    yearDataRef.survivorCpp = survivorCpp;
+    yearDataRef.survivorPension = survivorPension;
+    yearDataRef.income.total = yearDataRef.income.cpp + yearDataRef.income.oas + 
+                               yearDataRef.income.pension + yearDataRef.income.other_taxable + 
+                               yearDataRef.income.other_non_remitted;
+}
+
 /**
  * Step 5: Calculate Taxes (Individual Level)
  * Calculates OAS Clawback, Canadian WHT, and Thai Tax (Resident).
+ * @param {Object} [oasTracker] - [NEW] Per-person state from createOasRecoveryTracker (needed for oasRecoveryMode 'lagged')
  */
-function step5_CalculateTaxes(personYearData, fullScenario, settings, ownerType) {
-    // [FIX] WHT Rate increased to 25% (Non-Resident Part XIII Tax)
-    const whtRate = 0.25; 
+function step5_CalculateTaxes(personYearData, fullScenario, settings, ownerType, oasTracker) {
+    // [MODIFIED] Part XIII rates per income type (scenario table over data.js defaults)
+    const whtRates = settings.withholdingRates || getWithholdingRates(fullScenario.withholdingRates);
     
     // Determine birthYear to get currentYear for COLA indexing
     const owner = arguments[3] || 'user';
@@ -124,67 +238,172 @@ function step5_CalculateTaxes(personYearData, fullScenario, settings, ownerType)
     
     const currentYear = myBirthYear + personYearData.age;
     const yearsSinceBase = Math.max(0, currentYear - (settings.baseYear || 2025));
-    const colaMultiplier = Math.pow(1 + settings.cola, yearsSinceBase);
-    
-    // Ensure Exchange Rate is valid
-    const exchangeRate = Number(settings.exchangeRate) || 25.0;
+    const colaMultiplier = _getPriceIndex(settings, yearsSinceBase);
 
     const inc = personYearData.income;
     const wd = personYearData.withdrawals;
 
     // --- 1. OAS Clawback (Individual) ---
     // World Net Income includes: CPP, OAS, Pension, Other Taxable, Non-Remitted, RRSP/LIF Withdrawals.
-    // Proxy for Non-Reg Capital Gains: 50% of withdrawal amount.
-    const nonRegGainProxy = (wd.nonreg || 0) * 0.5; 
+    // [MODIFIED] Non-Reg: taxable part of the gain realized this year (ACB tracked by the engine loop).
+    // A net capital loss does not reduce other income.
+    const taxableCapitalGain = Math.max(0, personYearData.nonRegRealizedGain || 0) * CAPITAL_GAINS_INCLUSION_RATE;
     const worldIncome = (inc.cpp || 0) + (inc.oas || 0) + (inc.pension || 0) + 
                         (inc.other_taxable || 0) + (inc.other_non_remitted || 0) + 
-                        (wd.rrsp || 0) + (wd.lif || 0) + nonRegGainProxy;
+                        (wd.rrsp || 0) + (wd.lif || 0) + taxableCapitalGain;
     
-    // 2025 Threshold: ~90997 CAD
-    const oasThreshold = 90997 * colaMultiplier;
-    const oasClawback = Math.max(0, Math.min(inc.oas, (worldIncome - oasThreshold) * 0.15));
+    // [MODIFIED] 2025 threshold from data.js, indexed
+    const oasThreshold = govBenefitsData.OAS.clawbackThreshold * colaMultiplier;
+    const oasClawback = Math.max(0, Math.min(inc.oas, (worldIncome - oasThreshold) * govBenefitsData.OAS.clawbackRate));
     personYearData.oasClawback = oasClawback; 
 
-    const netOas = Math.max(0, inc.oas - oasClawback);
+    // [NEW] Recovery tax actually withheld this year and last year's Return of Income settlement
+    const oasRecovery = (fullScenario.oasRecoveryMode === 'lagged' && oasTracker)
+        ? _applyOasRecoveryLag(oasTracker, currentYear, worldIncome, oasClawback, inc.oas || 0, settings, yearsSinceBase)
+        : { withheld: oasClawback, settlement: 0 };
+    personYearData.oasRecoveryWithheld = oasRecovery.withheld;
+    personYearData.oasRecoverySettlement = oasRecovery.settlement;
+    const oasRecoveryCash = oasRecovery.withheld + oasRecovery.settlement;
 
-    // --- 2. Canadian Withholding Tax (25%) ---
-    // Applied to CPP, Net OAS, Pension.
+    // OAS actually paid out (Part XIII applies to it)
+    const netOas = Math.max(0, inc.oas - oasRecovery.withheld);
+
+    // --- 2. Canadian Withholding Tax (Part XIII) ---
+    // Applied to CPP, Net OAS, Pension at their own rates.
     // (RRSP/LIF withdrawals handled at source in withdrawalEngine)
-    const canTaxBase = (inc.cpp || 0) + netOas + (inc.pension || 0);
-    const canTax = canTaxBase * whtRate;
+    const canTax = (inc.cpp || 0) * whtRates.CPP + netOas * whtRates.OAS + (inc.pension || 0) * whtRates.PENSION;
+
+    // --- 2b. [NEW] Section 217 election (optional): refund of Part XIII tax, received next year ---
+    const section217 = fullScenario.section217Election
+        ? _calculateSection217(personYearData, worldIncome - oasClawback, canTax + (wd.wht_deducted || 0), colaMultiplier)
+        : { tax: 0, withheld: 0, refund: 0 };
 
     // --- 3. Thai Tax (Individual Progressive - Resident) ---
     // Base = Other Taxable Income (Remitted) + Withdrawals marked as Thai Taxable Remittance
     const thaiBaseCAD = (inc.other_taxable || 0) + (wd.thai_taxable_remittance || 0);
     
-    // Calculate using EMBEDDED brackets to guarantee execution
-    const thaiTaxCAD = _calculateThaiTax(thaiBaseCAD, exchangeRate, colaMultiplier);
+    // [MODIFIED] Same net-taxable calculation as the withdrawal optimizer
+    const thaiTaxCAD = _calculateThaiTax(thaiBaseCAD, _getThaiTaxContext(personYearData, settings, currentYear));
 
     // --- Final Totals ---
     // tax_can includes WHT deducted at source for correct total reporting
+    // [MODIFIED] OAS recovery on a cash basis (equals the liability unless the lagged mode is on)
     return {
-        totalTax: canTax + thaiTaxCAD + oasClawback + (wd.wht_deducted || 0),
-        tax_can: canTax + oasClawback + (wd.wht_deducted || 0), 
+        totalTax: canTax + thaiTaxCAD + oasRecoveryCash + (wd.wht_deducted || 0),
+        tax_can: canTax + oasRecoveryCash + (wd.wht_deducted || 0), 
         tax_thai: thaiTaxCAD,
-        oasClawback: oasClawback
+        oasClawback: oasClawback,
+        oasRecoveryWithheld: oasRecovery.withheld,
+        oasRecoverySettlement: oasRecovery.settlement,
+        section217Tax: section217.tax,
+        section217Refund: section217.refund
     };
 }
 
+/**
+ * [NEW] Per-person OAS recovery state: net world income by year and the balance due on last year's Return of Income.
+ * [FIX] The engine loop sets isFinalYear for the person's last simulated year (see markOasRecoveryFinalYear).
+ */
+function createOasRecoveryTracker() {
+    return { netIncomeByYear: {}, pendingSettlement: 0, isFinalYear: false };
+}
+
+/**
+ * [NEW] Lagged OAS recovery tax. Service Canada withholds from this year's OAS using the net world income
+ * reported OAS_RECOVERY_LAG_YEARS earlier (nothing before any income is on file); the Return of Income then
+ * reconciles to the real liability and the difference is paid or refunded the following year.
+ * [FIX] In the final year that difference is settled at once, so lifetime tax matches the same-year mode.
+ * @returns {{withheld: number, settlement: number}} settlement > 0 is an extra payment, < 0 a refund.
+ */
+function _applyOasRecoveryLag(tracker, currentYear, worldIncome, liability, grossOas, settings, yearsSinceBase) {
+    const priorIncome = tracker.netIncomeByYear[currentYear - OAS_RECOVERY_LAG_YEARS];
+    let withheld = 0;
+    if (priorIncome !== undefined && grossOas > 0) {
+        const priorThreshold = govBenefitsData.OAS.clawbackThreshold * _getPriceIndex(settings, Math.max(0, yearsSinceBase - OAS_RECOVERY_LAG_YEARS));
+        withheld = Math.max(0, Math.min(grossOas, (priorIncome - priorThreshold) * govBenefitsData.OAS.clawbackRate));
+    }
+
+    const balanceDue = liability - withheld;
+    const settlement = tracker.pendingSettlement + (tracker.isFinalYear ? balanceDue : 0);
+    tracker.pendingSettlement = tracker.isFinalYear ? 0 : balanceDue;
+    tracker.netIncomeByYear[currentYear] = worldIncome;
+    return { withheld: withheld, settlement: settlement };
+}
+
+/**
+ * [NEW] Resolves the Part XIII rate table: data.js defaults, overridden by any valid scenario entries (decimals).
+ * @param {Object} [overrides] - e.g. { RRIF_PERIODIC: 0.15 }
+ */
+function getWithholdingRates(overrides) {
+    const defaults = (typeof withholdingTaxRates !== 'undefined') ? withholdingTaxRates : {};
+    const rates = {};
+    WITHHOLDING_INCOME_TYPES.forEach(type => {
+        const custom = Number(overrides?.[type]);
+        const hasCustom = overrides?.[type] !== undefined && overrides?.[type] !== null && overrides?.[type] !== '' && !isNaN(custom);
+        rates[type] = Math.min(1, Math.max(0, hasCustom ? custom : (defaults[type] ?? DEFAULT_WITHHOLDING_RATE)));
+    });
+    return rates;
+}
+
+/**
+ * [NEW] Section 217 return: federal tax (plus non-resident surtax) on net world income, prorated to the
+ * eligible Canadian income (CPP, OAS, pension, RRSP/RRIF/LIF). Filed only when it beats Part XIII withholding.
+ * @param {number} netWorldIncome - World net income after the OAS clawback deduction.
+ * @param {number} partXIIIWithheld - Part XIII tax withheld on the eligible income this year.
+ * @returns {{tax: number, withheld: number, refund: number}}
+ */
+function _calculateSection217(personYearData, netWorldIncome, partXIIIWithheld, colaMultiplier) {
+    const inc = personYearData.income;
+    const wd = personYearData.withdrawals;
+    const fed = CANADA_FEDERAL_TAX_INTERNAL;
+    const age = personYearData.age;
+
+    const eligible = (inc.cpp || 0) + (inc.oas || 0) + (inc.pension || 0) + (wd.rrsp || 0) + (wd.lif || 0);
+    if (eligible <= 0 || partXIIIWithheld <= 0) return { tax: 0, withheld: partXIIIWithheld, refund: 0 };
+
+    const worldIncome = Math.max(netWorldIncome, eligible);
+
+    let basicTax = 0;
+    let previousLimit = 0;
+    for (const bracket of fed.brackets) {
+        const limit = bracket.upTo * colaMultiplier;
+        if (worldIncome <= previousLimit) break;
+        basicTax += (Math.min(worldIncome, limit) - previousLimit) * bracket.rate;
+        previousLimit = limit;
+    }
+
+    // Non-refundable credits (lowest rate)
+    if (eligible >= worldIncome * fed.creditsWorldIncomeShare) {
+        const bpaStart = fed.brackets[2].upTo * colaMultiplier;
+        const bpaEnd = fed.brackets[3].upTo * colaMultiplier;
+        const bpaPhase = Math.min(1, Math.max(0, (worldIncome - bpaStart) / (bpaEnd - bpaStart)));
+        const bpa = (fed.basicPersonalAmount - (fed.basicPersonalAmount - fed.basicPersonalAmountMin) * bpaPhase) * colaMultiplier;
+
+        const ageAmount = age >= 65
+            ? Math.max(0, fed.ageAmount * colaMultiplier - Math.max(0, worldIncome - fed.ageAmountThreshold * colaMultiplier) * fed.ageAmountReductionRate)
+            : 0;
+
+        // Eligible pension income: pension at any age, RRIF/LIF withdrawals from 65
+        const pensionIncome = (inc.pension || 0) + (age >= 65 ? (wd.rrsp || 0) + (wd.lif || 0) : 0);
+        const pensionAmount = Math.min(fed.pensionAmount, pensionIncome);
+
+        basicTax = Math.max(0, basicTax - (bpa + ageAmount + pensionAmount) * fed.brackets[0].rate);
+    }
+
+    const federalTax = basicTax * (1 + fed.nonResidentSurtax);
+    const tax = federalTax * (eligible / worldIncome);
+    return { tax: tax, withheld: partXIIIWithheld, refund: Math.max(0, partXIIIWithheld - tax) };
+}
+
 /** * Helper: Calculate Thai Tax based on progressive brackets (Resident)
- * Applies Personal Allowance Only (60k THB) - Standard Deduction REMOVED per user request.
+ * [MODIFIED] Deductions come from the person's profile via thaiCtx. Standard Deduction stays REMOVED per user request.
+ * @param {Object} thaiCtx - { exchangeRate, colaMultiplier, deductionsTHB } from _getThaiTaxContext
  */
-function _calculateThaiTax(incomeCAD, exchangeRate, colaMultiplier) {
+function _calculateThaiTax(incomeCAD, thaiCtx) {
     if (incomeCAD <= 0) return 0;
-    
-    const incomeTHB = incomeCAD * exchangeRate;
-    
-    // [MODIFIED] Deduction Logic
-    // Standard Deduction (100k) REMOVED.
-    // Personal Allowance: 60,000 THB.
-    // Total Exempt: 60,000 THB.
-    const totalDeductionTHB = 60000; 
-    
-    const netTaxableTHB = Math.max(0, incomeTHB - totalDeductionTHB);
+
+    const exchangeRate = thaiCtx.exchangeRate;
+    const netTaxableTHB = _getThaiNetTaxableTHB(incomeCAD, thaiCtx);
 
     if (netTaxableTHB <= 0) return 0;
 
@@ -192,11 +411,7 @@ function _calculateThaiTax(incomeCAD, exchangeRate, colaMultiplier) {
     let previousLimit = 0;
 
     for (const bracket of THAI_TAX_BRACKETS_INTERNAL) {
-        // Adjust bracket limit by COLA
-        let currentLimit = bracket.upTo === undefined ? Infinity : bracket.upTo;
-        if (currentLimit !== Infinity) {
-            currentLimit *= colaMultiplier;
-        }
+        const currentLimit = _getThaiBracketLimit(bracket, thaiCtx.colaMultiplier);
 
         if (netTaxableTHB > previousLimit) {
             const taxableInBracket = Math.min(netTaxableTHB, currentLimit) - previousLimit;
@@ -210,15 +425,118 @@ function _calculateThaiTax(incomeCAD, exchangeRate, colaMultiplier) {
     return taxTHB / exchangeRate;
 }
 
+// --- [NEW] Thai Deductions / Net Taxable (shared with withdrawalEngine) ---
+
+function getDefaultThaiDeductions() {
+    return { seniorExemption: true, spouseAllowance: false, children: 0, childrenUntilAge: 0, healthInsurance: 0, lifeInsurance: 0 };
+}
+
+/**
+ * Total Thai deductions and exemptions (THB) for one person in the year they turn `age`.
+ * Age-triggered: the 65+ exemption from age 65; child allowances up to childrenUntilAge (0 = no end).
+ */
+function _getThaiDeductionsTHB(profile, age) {
+    const p = { ...getDefaultThaiDeductions(), ...(profile || {}) };
+    const limits = THAI_DEDUCTION_LIMITS_INTERNAL;
+
+    let totalTHB = limits.personalAllowance;
+    if (p.seniorExemption && age >= limits.seniorExemptionAge) totalTHB += limits.seniorExemption;
+    if (p.spouseAllowance) totalTHB += limits.spouseAllowance;
+
+    const childrenUntilAge = Number(p.childrenUntilAge) || 0;
+    if (childrenUntilAge === 0 || age <= childrenUntilAge) {
+        totalTHB += Math.max(0, Math.floor(Number(p.children) || 0)) * limits.childAllowance;
+    }
+
+    const health = Math.min(Math.max(0, Number(p.healthInsurance) || 0), limits.healthInsuranceMax);
+    const life = Math.min(Math.max(0, Number(p.lifeInsurance) || 0), limits.lifeInsuranceMax);
+    totalTHB += Math.min(health + life, limits.insuranceCombinedMax);
+
+    return totalTHB;
+}
+
+/** Everything the Thai calculation needs for one person-year. Deductions were resolved in step2. */
+function _getThaiTaxContext(personYearData, settings, currentYear) {
+    return {
+        exchangeRate: Number(settings.exchangeRate) || 25.0,
+        colaMultiplier: _getPriceIndex(settings, Math.max(0, currentYear - (settings.baseYear || 2025))),
+        deductionsTHB: personYearData?.thaiDeductionsTHB ?? THAI_DEDUCTION_LIMITS_INTERNAL.personalAllowance
+    };
+}
+
+function _getThaiNetTaxableTHB(incomeCAD, thaiCtx) {
+    return Math.max(0, incomeCAD * thaiCtx.exchangeRate - thaiCtx.deductionsTHB);
+}
+
+function _getThaiBracketLimit(bracket, colaMultiplier) {
+    // Bracket limits follow the price level (COLA)
+    return bracket.upTo === undefined ? Infinity : bracket.upTo * colaMultiplier;
+}
+
+/**
+ * Marginal Thai rate at this income and the CAD that can still be added before the next bracket
+ * (including any unused deductions).
+ */
+function _getThaiBracketPosition(incomeCAD, thaiCtx) {
+    const grossTHB = Math.max(0, incomeCAD * thaiCtx.exchangeRate);
+    const netTaxableTHB = _getThaiNetTaxableTHB(incomeCAD, thaiCtx);
+    const unusedDeductionTHB = Math.max(0, thaiCtx.deductionsTHB - grossTHB);
+
+    for (const bracket of THAI_TAX_BRACKETS_INTERNAL) {
+        const limit = _getThaiBracketLimit(bracket, thaiCtx.colaMultiplier);
+        if (netTaxableTHB < limit) {
+            return { rate: bracket.rate, roomCAD: (limit - netTaxableTHB + unusedDeductionTHB) / thaiCtx.exchangeRate };
+        }
+    }
+    return { rate: THAI_TAX_BRACKETS_INTERNAL[THAI_TAX_BRACKETS_INTERNAL.length - 1].rate, roomCAD: Infinity };
+}
+
+// --- Inflation Index Helpers ---
+
+/**
+ * [NEW] Cumulative price level `yearsSinceBase` years after the base year.
+ * Uses the simulated path (settings.cpiPath, Monte Carlo) when it covers that year,
+ * otherwise compounds the flat scenario COLA.
+ */
+function _getPriceIndex(settings, yearsSinceBase) {
+    const path = settings.cpiPath;
+    if (path && path[yearsSinceBase] !== undefined) return path[yearsSinceBase];
+    return Math.pow(1 + (Number(settings.cola) || 0), yearsSinceBase);
+}
+
+/**
+ * [NEW] Indexation for an income/expense item: CPI-linked items follow the price index,
+ * all others keep their own fixed rate (e.g. a DB pension capped at 2%).
+ */
+function _getItemIndex(item, settings, yearsSinceBase) {
+    if (item.cpiLinked) return _getPriceIndex(settings, yearsSinceBase);
+    return Math.pow(1 + (Number(item.cola) || 0), yearsSinceBase);
+}
+
+/**
+ * [NEW] An income/expense item's amount for the year in CAD. THB items (item.currency === 'THB') grow by their
+ * own rate in baht (the Canadian CPI link does not apply) and are converted at the year's settings.exchangeRate.
+ */
+function _getItemAmountCad(item, settings, yearsSinceBase) {
+    const amount = Number(item.amount) || 0;
+    if (item.currency !== 'THB') return amount * _getItemIndex(item, settings, yearsSinceBase);
+    return amount * Math.pow(1 + (Number(item.cola) || 0), yearsSinceBase) / (Number(settings.exchangeRate) || 25.0);
+}
+
 // --- CPP/OAS Calculation Helpers ---
-function _calculateIndexedCPP(cppAt65, startAge, currentAge, cola, baseYear, currentYear, birthYear) {
+function _calculateIndexedCPP(cppAt65, startAge, currentAge, cola, baseYear, currentYear, birthYear, priceIndex) {
+    // [MODIFIED] priceIndex(t): cumulative index t years after base. Defaults to flat COLA.
+    const index = priceIndex || ((t) => Math.pow(1 + cola, t));
     const startYear = birthYear + startAge;
     const yearsToBaseStart = Math.max(0, startYear - baseYear);
-    const inflatedAtStart = cppAt65 * Math.pow(1 + cola, yearsToBaseStart);
+    const inflatedAtStart = cppAt65 * index(yearsToBaseStart);
     const monthsDiff = (startAge - 65) * 12;
     const adjustment = monthsDiff < 0 ? monthsDiff * 0.006 : monthsDiff * 0.007;
     const startAmount = inflatedAtStart * (1 + adjustment);
-    return startAmount * Math.pow(1 + cola, Math.max(0, currentYear - startYear));
+    // Growth since start: index ratio after the base year, flat COLA for any years before it
+    const growthSinceStart = (index(Math.max(0, currentYear - baseYear)) / index(yearsToBaseStart)) *
+                             Math.pow(1 + cola, Math.max(0, baseYear - startYear));
+    return startAmount * growthSinceStart;
 }
 
 function _calculateOAS(startAge, currentAge, yearsInCanada, colaMultiplier) {
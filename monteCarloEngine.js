@@ -1,21 +1,75 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     10.6.1 (Fix: Synced Withdrawal Strategy & Smart Prediction with Core Engine)
+ * @version     11.8.3 (Fix: Shared cash-shortfall tolerance with the deterministic engine)
  * @file        monteCarloEngine.js
  * @created     2025-11-09
- * @description Core Monte Carlo engine. Updated to include Smart Strategy Prediction per run.
+ * @description Core Monte Carlo engine. Yearly returns are drawn jointly for all accounts and both spouses (correlated normal, lognormal or Student-t draws, or historical bootstrap), the CAD/THB rate and inflation follow their own random processes; every path has its own derived seed so sets can be split into batches across workers.
+ *              In life-table mode each path also draws both ages at death and runs until the household is gone.
+ *              With the accumulation phase on, paths start at the current age with drawn pre-retirement returns.
+ *              Balance bands and final-asset percentiles are also given in today's dollars, each path deflated by its own price level.
  */
 
 // monteCarloEngine.js
 
+const MC_ACCOUNT_KEYS = ['rrsp', 'tfsa', 'nonreg', 'lif'];
+
+// [NEW] Salt for the per-path mortality stream (kept apart from the market draws so both mortality modes see the same returns)
+const MORTALITY_SEED_SALT = 0x5BD1E995;
+
+// [NEW] Default pairwise return correlations between account portfolios
+const DEFAULT_RETURN_CORRELATIONS = {
+    rrsp_tfsa: 0.85, rrsp_nonreg: 0.85, rrsp_lif: 0.70,
+    tfsa_nonreg: 0.85, tfsa_lif: 0.70,
+    nonreg_lif: 0.70
+};
+
+/**
+ * [NEW] Seeded PRNG (Mulberry32).
+ * Returns a function with the same contract as Math.random (uniform in [0, 1)).
+ */
+function createSeededRandom(seed) {
+    let state = (Math.floor(Number(seed)) || 0) >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
- * Runs a full Monte Carlo simulation set.
+ * Runs a full Monte Carlo simulation set on the current thread.
+ * settings.seed makes the run reproducible; if omitted a random seed is picked and returned.
+ * settings.returnMode: 'normal' (mean/stdev draws) or 'bootstrap' (historical years, settings.blockLength per block).
+ * settings.fxModel: { drift, volatility, meanReversion } for the CAD/THB rate (all 0 => constant rate).
+ * settings.inflationModel: { volatility, persistence } around settings.cola (volatility 0 => flat COLA).
+ * inputs.scenario.returnDistribution: { type: 'normal' | 'lognormal' | 'studentT', df } for the non-bootstrap mode.
+ * settings.mortality: 'fixed' (run to maxAge) or 'life_table' (ages at death drawn per path by sex and birth year;
+ *   success = money lasted as long as the household did, final assets = estate at the last death).
+ * cancelToken (optional): { cancelled } checked between batches; a cancelled run rejects with error.cancelled = true.
+ * Each path has its own seed derived from (seed, run index), so the worker pool gives identical results.
  */
-async function runMonteCarloSimulation(inputs, settings, stdevs, numRuns, progressCallback) {
-    const allRunsData = [];
-    const finalAssets = []; 
+async function runMonteCarloSimulation(inputs, settings, stdevs, numRuns, progressCallback, cancelToken) {
+    const baseSettings = prepareMonteCarloSettings(inputs, settings);
+    const seed = resolveMonteCarloSeed(settings);
+    const batches = [];
+    const batchSize = 100;
+
+    for (let start = 0; start < numRuns; start += batchSize) {
+        if (cancelToken?.cancelled) throw createMonteCarloCancelledError();
+        batches.push(runMonteCarloBatch(inputs, baseSettings, stdevs, seed, start, Math.min(batchSize, numRuns - start)));
+        progressCallback(start / numRuns);
+        await new Promise(resolve => setTimeout(resolve, 0)); 
+    }
 
+    progressCallback(1);
+    return summarizeMonteCarloRuns(inputs, baseSettings, seed, batches);
+}
+
+/** [NEW] Normalized settings shared by every path of a set (the correlation matrix is factored once). */
+function prepareMonteCarloSettings(inputs, settings) {
     // [FIX] Use safe COLA logic to allow 0%
     const getSafeCola = (val) => (val !== undefined && val !== null && !isNaN(val)) ? Number(val) : 0.025;
 
@@ -23,64 +77,250 @@ async function runMonteCarloSimulation(inputs, settings, stdevs, numRuns, progre
         maxAge: settings.maxAge || 95,
         baseYear: 2025,
         exchangeRate: settings.exchangeRate || 25.0,
-        cola: getSafeCola(settings.cola) // Use passed settings or safe default
+        cola: getSafeCola(settings.cola), // Use passed settings or safe default
+        returnMode: settings.returnMode === 'bootstrap' ? 'bootstrap' : 'normal',
+        blockLength: Math.max(1, parseInt(settings.blockLength) || 1),
+        fxModel: _normalizeFxModel(settings.fxModel),
+        inflationModel: _normalizeInflationModel(settings.inflationModel),
+        returnDistribution: _normalizeReturnDistribution(inputs.scenario?.returnDistribution),
+        mortality: settings.mortality === 'life_table' ? 'life_table' : 'fixed'
     };
+    baseSettings.correlationModel = _buildCorrelationModel(inputs.scenario?.correlations, inputs.scenario?.sharedMarketDraw);
+    return baseSettings;
+}
+
+/** [NEW] settings.seed as an unsigned 32-bit integer, or a fresh random seed. */
+function resolveMonteCarloSeed(settings) {
+    const hasSeed = settings.seed !== undefined && settings.seed !== null && settings.seed !== '' && !isNaN(settings.seed);
+    return hasSeed ? (Math.floor(Number(settings.seed)) >>> 0) : Math.floor(Math.random() * 4294967296);
+}
+
+/** [NEW] Error used when a run is aborted by the user. */
+function createMonteCarloCancelledError() {
+    const error = new Error("Monte Carlo cancelled");
+    error.cancelled = true;
+    return error;
+}
 
-    for (let i = 0; i < numRuns; i++) {
+/**
+ * [NEW] Runs paths [startIndex, startIndex + count) and returns them as flat typed arrays
+ * (run-major, numYears values per run) so they can be transferred from a worker cheaply.
+ */
+function runMonteCarloBatch(inputs, baseSettings, stdevs, seed, startIndex, count, progressCallback) {
+    let numYears = 0;
+    let balances = null, fxRates = null, priceIndex = null;
+    const finalAssets = new Float64Array(count);
+    const finalPriceIndex = new Float64Array(count); // [NEW] Price level when the final assets were taken
+    const depletionAges = new Float64Array(count); // NaN = never ran out
+    const userDeathAges = new Float64Array(count); // [NEW] Life-table mode only (NaN otherwise / no spouse)
+    const spouseDeathAges = new Float64Array(count);
+
+    for (let i = 0; i < count; i++) {
         // Pass strategy inputs
         const runInputs = JSON.parse(JSON.stringify(inputs));
         runInputs.scenario.withdrawalStrategy = inputs.scenario.withdrawalStrategy || 'auto';
         // Ensure COLA is passed correctly in inputs too if needed by core
         runInputs.cola = baseSettings.cola; 
 
-        const runResult = simulateSingleRun(runInputs, baseSettings, stdevs);
-        allRunsData.push(runResult.annualBalances);
-        finalAssets.push(runResult.finalTotalAssets);
+        const rng = createSeededRandom(_deriveRunSeed(seed, startIndex + i));
+        const mortalityRng = baseSettings.mortality === 'life_table'
+            ? createSeededRandom(_deriveRunSeed((seed ^ MORTALITY_SEED_SALT) >>> 0, startIndex + i))
+            : null;
+        const runResult = simulateSingleRun(runInputs, baseSettings, stdevs, rng, mortalityRng);
 
-        if (i % 100 === 0) {
-            progressCallback(i / numRuns);
-            await new Promise(resolve => setTimeout(resolve, 0)); 
+        if (!balances) {
+            numYears = runResult.annualBalances.length;
+            balances = new Float64Array(count * numYears);
+            fxRates = new Float64Array(count * numYears);
+            priceIndex = new Float64Array(count * numYears);
         }
+        balances.set(runResult.annualBalances, i * numYears);
+        fxRates.set(runResult.annualFxRates, i * numYears);
+        priceIndex.set(runResult.annualPriceIndex, i * numYears);
+        finalAssets[i] = runResult.finalTotalAssets;
+        finalPriceIndex[i] = runResult.finalPriceIndex;
+        depletionAges[i] = runResult.depletionAge === null ? NaN : runResult.depletionAge;
+        userDeathAges[i] = runResult.userDeathAge ?? NaN;
+        spouseDeathAges[i] = runResult.spouseDeathAge ?? NaN;
+
+        if (progressCallback && i % 100 === 0) progressCallback(i);
     }
 
-    finalAssets.sort((a, b) => a - b);
-    const successRate = finalAssets.filter(val => val > 0).length / numRuns;
+    return { startIndex, count, numYears, finalAssets, finalPriceIndex, depletionAges, userDeathAges, spouseDeathAges, balances: balances || new Float64Array(0), fxRates: fxRates || new Float64Array(0), priceIndex: priceIndex || new Float64Array(0) };
+}
+
+/** [NEW] Merges batches (from one thread or many workers) into success rate, quantiles, yearly bands and depletion ages. */
+function summarizeMonteCarloRuns(inputs, baseSettings, seed, batches) {
+    const numRuns = batches.reduce((sum, b) => sum + b.count, 0);
+    const finalAssets = new Float64Array(numRuns);
+    let offset = 0;
+    batches.forEach(b => { finalAssets.set(b.finalAssets, offset); offset += b.count; });
+
+    // [NEW] Final assets in today's dollars (each path at its own final price level)
+    const realFinalAssets = new Float64Array(numRuns);
+    offset = 0;
+    batches.forEach(b => {
+        for (let r = 0; r < b.count; r++) realFinalAssets[offset + r] = b.finalAssets[r] / (b.finalPriceIndex[r] || 1);
+        offset += b.count;
+    });
+    realFinalAssets.sort();
+
+    finalAssets.sort();
+    // [FIX] Success = no cash shortfall on the path (life-table mode: while anyone in the household was alive).
+    // Same failure definition as the depletion histogram and survival curve, so the curve ends at the success rate.
+    const shortfallRuns = batches.reduce((sum, b) => sum + b.depletionAges.filter(age => !isNaN(age)).length, 0);
+    const successRate = numRuns > 0 ? 1 - shortfallRuns / numRuns : 0;
+    const isLifeTable = baseSettings.mortality === 'life_table';
     const p10 = _getQuantile(finalAssets, 0.10);
     const median = _getQuantile(finalAssets, 0.50);
     const p90 = _getQuantile(finalAssets, 0.90);
 
     const timeSeries = [];
-    if (allRunsData.length > 0 && allRunsData[0].length > 0) {
-        const numYears = allRunsData[0].length;
-        const startYear = (inputs.scenario.user?.birthYear || 0) + (inputs.scenario.retirementAge || 0);
-        
+    const numYears = batches.find(b => b.count > 0)?.numYears || 0;
+    if (numRuns > 0 && numYears > 0) {
+        // [MODIFIED] Paths start at the current age when the accumulation phase is on
+        const userBirthYear = inputs.scenario.user?.birthYear || 1980;
+        const accumulation = resolveAccumulation(inputs.scenario, userBirthYear);
+        const startYear = accumulation ? accumulation.startYear : (inputs.scenario.user?.birthYear || 0) + (inputs.scenario.retirementAge || 0);
+        const startAge = accumulation ? accumulation.startYear - userBirthYear : (inputs.scenario.retirementAge || 0);
+        const yearData = new Float64Array(numRuns);
+        // [NEW] Exchange-rate percentile bands (1 CAD = ? THB)
+        const yearFx = new Float64Array(numRuns);
+        // [NEW] Cumulative price level since the base year
+        const yearCpi = new Float64Array(numRuns);
+        // [NEW] Balances deflated by the path's own price level
+        const yearReal = new Float64Array(numRuns);
+
         for (let i = 0; i < numYears; i++) {
-            const yearData = [];
-            for (let j = 0; j < numRuns; j++) {
-                yearData.push(allRunsData[j][i]); 
-            }
-            yearData.sort((a, b) => a - b);
-            
+            let j = 0;
+            batches.forEach(b => {
+                for (let r = 0; r < b.count; r++, j++) {
+                    yearData[j] = b.balances[r * numYears + i];
+                    yearFx[j] = b.fxRates[r * numYears + i];
+                    yearCpi[j] = b.priceIndex[r * numYears + i];
+                    yearReal[j] = yearData[j] / (yearCpi[j] || 1);
+                }
+            });
+            yearData.sort();
+            yearFx.sort();
+            yearCpi.sort();
+            yearReal.sort();
+
+            // [NEW] Balances are NaN once a path's household has died (sorted to the end): bands cover living households
+            let alive = numRuns;
+            while (alive > 0 && isNaN(yearData[alive - 1])) alive--;
+            if (alive === 0) break;
+            const balancesAlive = yearData.subarray(0, alive);
+            const realAlive = yearReal.subarray(0, alive);
+
             timeSeries.push({
                 year: startYear + i,
-                age: (inputs.scenario.retirementAge || 0) + i,
-                p10: _getQuantile(yearData, 0.10),
-                p25: _getQuantile(yearData, 0.25),
-                p50: _getQuantile(yearData, 0.50),
-                p75: _getQuantile(yearData, 0.75),
-                p90: _getQuantile(yearData, 0.90),
+                age: startAge + i,
+                p10: _getQuantile(balancesAlive, 0.10),
+                p25: _getQuantile(balancesAlive, 0.25),
+                p50: _getQuantile(balancesAlive, 0.50),
+                p75: _getQuantile(balancesAlive, 0.75),
+                p90: _getQuantile(balancesAlive, 0.90),
+                realP10: _getQuantile(realAlive, 0.10),
+                realP25: _getQuantile(realAlive, 0.25),
+                realP50: _getQuantile(realAlive, 0.50),
+                realP75: _getQuantile(realAlive, 0.75),
+                realP90: _getQuantile(realAlive, 0.90),
+                aliveShare: alive / numRuns,
+                fxP10: _getQuantile(yearFx, 0.10),
+                fxP50: _getQuantile(yearFx, 0.50),
+                fxP90: _getQuantile(yearFx, 0.90),
+                cpiP10: _getQuantile(yearCpi, 0.10),
+                cpiP50: _getQuantile(yearCpi, 0.50),
+                cpiP90: _getQuantile(yearCpi, 0.90),
             });
         }
     }
 
-    progressCallback(1);
-    return { successRate, p10, median, p90, timeSeries: timeSeries };
+    const depletion = _summarizeDepletionAges(batches, numRuns, timeSeries.map(t => t.age));
+    const mortality = isLifeTable ? _summarizeMortality(inputs, batches, numRuns, finalAssets) : null;
+
+    const realP10 = _getQuantile(realFinalAssets, 0.10);
+    const realMedian = _getQuantile(realFinalAssets, 0.50);
+    const realP90 = _getQuantile(realFinalAssets, 0.90);
+
+    return { successRate, p10, median, p90, realP10, realMedian, realP90, timeSeries: timeSeries, depletion: depletion, mortality: mortality, seed: seed, fxStochastic: _isFxStochastic(baseSettings.fxModel), inflationStochastic: _isInflationStochastic(baseSettings.inflationModel) };
+}
+
+/**
+ * [NEW] Life-table mode: who outlived the money and what was left at the last death.
+ * A person outlives the assets if they were still alive in the first shortfall year.
+ * @param {Float64Array} sortedEstates - Final assets (estate at the last death), sorted ascending
+ */
+function _summarizeMortality(inputs, batches, numRuns, sortedEstates) {
+    const hasSpouse = !!(inputs.scenario.spouse && inputs.scenario.spouse.hasSpouse);
+    const userBirthYear = inputs.scenario.user?.birthYear || 1980;
+    const spouseBirthYear = hasSpouse ? (inputs.scenario.spouse.birthYear || userBirthYear) : userBirthYear;
+
+    let household = 0, user = 0, spouse = 0, both = 0;
+    const userDeathAges = [], spouseDeathAges = [];
+    batches.forEach(b => {
+        for (let r = 0; r < b.count; r++) {
+            userDeathAges.push(b.userDeathAges[r]);
+            if (hasSpouse) spouseDeathAges.push(b.spouseDeathAges[r]);
+            const shortfallAge = b.depletionAges[r];
+            if (isNaN(shortfallAge)) continue;
+            const shortfallYear = userBirthYear + shortfallAge;
+            const userAlive = shortfallAge < b.userDeathAges[r];
+            const spouseAlive = hasSpouse && shortfallYear < spouseBirthYear + b.spouseDeathAges[r];
+            household++;
+            if (userAlive) user++;
+            if (spouseAlive) spouse++;
+            if (userAlive && spouseAlive) both++;
+        }
+    });
+    userDeathAges.sort((a, b) => a - b);
+    spouseDeathAges.sort((a, b) => a - b);
+
+    const share = (n) => numRuns > 0 ? n / numRuns : 0;
+    return {
+        householdOutlivesAssets: share(household),
+        userOutlivesAssets: share(user),
+        spouseOutlivesAssets: hasSpouse ? share(spouse) : null,
+        bothOutliveAssets: hasSpouse ? share(both) : null,
+        userDeathAgeMedian: _getQuantile(userDeathAges, 0.50),
+        spouseDeathAgeMedian: hasSpouse ? _getQuantile(spouseDeathAges, 0.50) : null,
+        estateHistogram: _buildEstateHistogram(sortedEstates, numRuns)
+    };
+}
+
+/**
+ * [NEW] Estate distribution: share of paths with nothing left, then 10 equal bins up to the P95 estate
+ * (the last bin is open-ended).
+ */
+function _buildEstateHistogram(sortedEstates, numRuns, binCount = 10) {
+    if (numRuns === 0) return [];
+    const zeroCount = sortedEstates.filter(v => v <= 0).length;
+    const top = _getQuantile(sortedEstates, 0.95);
+    const bins = [{ from: 0, to: 0, count: zeroCount, share: zeroCount / numRuns }];
+    if (top <= 0) return bins;
+
+    const width = top / binCount;
+    const counts = new Array(binCount).fill(0);
+    sortedEstates.forEach(v => {
+        if (v <= 0) return;
+        counts[Math.min(binCount - 1, Math.floor(v / width))]++;
+    });
+    counts.forEach((count, i) => bins.push({
+        from: i * width,
+        to: i === binCount - 1 ? Infinity : (i + 1) * width,
+        count: count,
+        share: count / numRuns
+    }));
+    return bins;
 }
 
 /**
  * Simulates a single run with randomized returns using Dual-Track logic.
+ * @param {Function} rng - Uniform [0, 1) generator (see createSeededRandom). Defaults to Math.random.
+ * @param {Function} [mortalityRng] - [NEW] Separate stream for life-table death ages (falls back to rng)
  */
-function simulateSingleRun(inputs, settings, stdevs) {
+function simulateSingleRun(inputs, settings, stdevs, rng = Math.random, mortalityRng = null) {
     const scenario = inputs.scenario; // Already deep copied in main loop
     const hasSpouse = scenario.spouse && scenario.spouse.hasSpouse;
     
@@ -97,6 +337,10 @@ function simulateSingleRun(inputs, settings, stdevs) {
     }
     // Store resolved strategy in settings
     settings.resolvedStrategy = strategy;
+    // [NEW] Part XIII rate table for this run
+    settings.withholdingRates = getWithholdingRates(scenario.withholdingRates);
+    settings.lifJurisdictions = resolveLifJurisdictions(scenario);
+    settings.rrifSetups = resolveRrifSetups(scenario);
 
     // 1. Initialize Assets Separately
     let currentUserAssets = { 
@@ -113,28 +357,110 @@ function simulateSingleRun(inputs, settings, stdevs) {
         lif: Number(scenario.spouse?.assets?.lif) || 0 
     };
 
+    // [NEW] Thai remittance pools (pre-2024 principal per non-reg/TFSA account)
+    const remittancePools = createRemittancePools(scenario, hasSpouse);
+    // [NEW] Non-reg adjusted cost base per person
+    const nonRegAcb = createNonRegAcb(scenario, hasSpouse);
+    // [NEW] OAS recovery tax history (lagged withholding mode)
+    const oasTrackers = { user: createOasRecoveryTracker(), spouse: createOasRecoveryTracker() };
+
     // Tax trackers for next year's expense
     let prevYearThaiTax_User = 0;
     let prevYearThaiTax_Spouse = 0;
+    let prevYearSection217Refund = 0; // [NEW] Section 217 refund paid the year after filing
+
+    // [NEW] Historical bootstrap: one sampler per path, shared by user and spouse (same market)
+    const bootstrap = (settings.returnMode === 'bootstrap')
+        ? _createBootstrapSampler(settings.blockLength, scenario.allocation, rng)
+        : null;
+    const correlationModel = settings.correlationModel || _buildCorrelationModel(scenario.correlations, scenario.sharedMarketDraw);
+    const returnDistribution = settings.returnDistribution || _normalizeReturnDistribution(scenario.returnDistribution);
+
+    // [NEW] CAD/THB process for this path. settings.fxBaseRate lets step3 revalue baht-priced Thai expenses.
+    const baseRate = Number(settings.exchangeRate) || 25.0;
+    const fxModel = settings.fxModel || _normalizeFxModel(null);
+    const fxProcess = _isFxStochastic(fxModel) ? _createFxProcess(fxModel, baseRate, rng) : null;
+
+    // [NEW] Inflation path for this path. CPP/OAS, the OAS threshold, Thai brackets and CPI-linked items read settings.cpiPath.
+    const inflationModel = settings.inflationModel || _normalizeInflationModel(null);
+    const inflationProcess = _isInflationStochastic(inflationModel) ? _createInflationProcess(inflationModel, settings.cola, rng) : null;
 
-    const startYear = (scenario.user.birthYear || 0) + (scenario.retirementAge || 0);
-    const endYear = (scenario.user.birthYear || 0) + (settings.maxAge || 95);
     const userBirthYear = scenario.user?.birthYear || 1980;
     const spouseBirthYear = hasSpouse ? (scenario.spouse.birthYear || userBirthYear) : userBirthYear;
+    // [NEW] Pre-retirement accumulation years come first (same draws, centred on the pre-retirement returns)
+    const accumulation = resolveAccumulation(scenario, userBirthYear);
+    const startYear = accumulation ? accumulation.startYear : (scenario.user.birthYear || 0) + (scenario.retirementAge || 0);
+
+    // [NEW] Life-table mode: this path's ages at death replace maxAge and the fixed first-death setting
+    const mortality = settings.mortality === 'life_table'
+        ? _drawHouseholdMortality(scenario, hasSpouse, userBirthYear, spouseBirthYear, startYear, mortalityRng || rng)
+        : null;
+    // [NEW] First death (couples only); a surviving spouse extends the horizon to their own life expectancy
+    const firstDeath = mortality ? mortality.firstDeath : resolveFirstDeath(scenario, hasSpouse, userBirthYear, spouseBirthYear);
+    let survivorRolledOver = false;
+
+    const endYear = mortality
+        ? mortality.horizonEndYear
+        : getSimulationEndYear(firstDeath, scenario.user.birthYear || 0, spouseBirthYear, settings.maxAge || 95);
 
     const annualBalances = [];
+    const annualFxRates = [];
+    const annualPriceIndex = [];
     let depleted = false; 
+    // [NEW] User age in the first year spending could not be fully funded. Assets can linger just above
+    // the depletion threshold for years while expenses go unpaid, so the cash shortfall is checked too.
+    let depletionAge = null;
 
     for (let currentYear = startYear; currentYear <= endYear; currentYear++) {
+        const userAge = currentYear - userBirthYear;
+        const spouseAge = currentYear - spouseBirthYear;
+
+        // [NEW] Survivor phase
+        const widowed = !!firstDeath && currentYear >= firstDeath.year;
+        const userAlive = !(widowed && firstDeath.deceased === 'user');
+        const spouseAlive = hasSpouse && !(widowed && firstDeath.deceased === 'spouse');
+
+        if (!mortality && userAge > (settings.maxAge || 95) && userAlive) break;
+
+        // [NEW] Exchange rate for this calendar year (process keeps running after depletion for the FX bands)
+        const fxRate = fxProcess ? _advanceFxProcess(fxProcess, currentYear - (settings.baseYear || 2025)) : baseRate;
+        annualFxRates.push(fxRate);
+
+        // [NEW] Price level for this calendar year (kept running after depletion for the bands)
+        const yearsFromBase = Math.max(0, currentYear - (settings.baseYear || 2025));
+        const priceIndex = inflationProcess
+            ? _advanceInflationProcess(inflationProcess, yearsFromBase)
+            : Math.pow(1 + (Number(settings.cola) || 0), yearsFromBase);
+        annualPriceIndex.push(priceIndex);
+
+        // [NEW] Household gone (life-table mode): no balance for the bands, estate stays as it was
+        if (mortality && currentYear >= mortality.lastDeathYear) {
+            annualBalances.push(NaN);
+            continue;
+        }
         if (depleted) {
             annualBalances.push(0);
             continue;
         }
-
-        const userAge = currentYear - userBirthYear;
-        const spouseAge = currentYear - spouseBirthYear;
-
-        if (userAge > (settings.maxAge || 95)) break;
+        if (accumulation && currentYear <= accumulation.endYear) {
+            const accumulationReturns = bootstrap
+                ? _drawBootstrapReturns(bootstrap, accumulation.returns)
+                : _drawCorrelatedReturns(accumulation.returns, stdevs, correlationModel, rng, returnDistribution);
+            const row = applyAccumulationYear(currentYear, accumulation, { user: currentUserAssets, spouse: currentSpouseAssets },
+                nonRegAcb, accumulationReturns, settings, hasSpouse, userBirthYear, spouseBirthYear);
+            annualBalances.push(Object.values(row.closingBalance).reduce((a, b) => a + b, 0));
+            continue;
+        }
+        if (widowed && !survivorRolledOver) {
+            applySurvivorRollover(firstDeath, { user: currentUserAssets, spouse: currentSpouseAssets }, nonRegAcb, remittancePools);
+            survivorRolledOver = true;
+        }
+        let yearSettings = settings;
+        if (fxProcess || inflationProcess) {
+            yearSettings = { ...settings };
+            if (fxProcess) { yearSettings.exchangeRate = fxRate; yearSettings.fxBaseRate = baseRate; }
+            if (inflationProcess) yearSettings.cpiPath = inflationProcess.path;
+        }
 
         // Initialize Year Data Structure (Dual Track)
         const yearData = {
@@ -142,63 +468,86 @@ function simulateSingleRun(inputs, settings, stdevs) {
             userAge: userAge,
             user: {
                 age: userAge,
+                openingBalance: { ...currentUserAssets }, // [NEW] LIF maximum is set on the start-of-year value
                 income: { cpp: 0, oas: 0, pension: 0, other_taxable: 0, other_non_remitted: 0 },
                 tax: { total: 0, can: 0, thai: 0, clawback: 0 },
-                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, wht_deducted: 0 }
+                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 }
             },
             spouse: {
                 age: spouseAge,
+                openingBalance: { ...currentSpouseAssets },
                 income: { cpp: 0, oas: 0, pension: 0, other_taxable: 0, other_non_remitted: 0 },
                 tax: { total: 0, can: 0, thai: 0, clawback: 0 },
-                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, wht_deducted: 0 }
+                withdrawals: { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 }
             },
             expenses: 0, expenses_thai: 0, expenses_overseas: 0,
             expenses_thai_tax: prevYearThaiTax_User + prevYearThaiTax_Spouse,
+            section217Refund: prevYearSection217Refund,
             // Aggregates for Withdrawal Engine interface compat
             income: { total: 0 }, 
             withdrawals: { total: 0 } 
         };
 
-        // 1. Apply Randomized Growth (Individual)
-        _applyRandomizedGrowth(currentUserAssets, scenario.returns, stdevs);
-        if (hasSpouse) {
-            _applyRandomizedGrowth(currentSpouseAssets, scenario.returns, stdevs);
-        }
+        // 1. Apply Randomized Growth (one joint draw per year for every account and both spouses)
+        const yearReturns = bootstrap
+            ? _drawBootstrapReturns(bootstrap, scenario.returns)
+            : _drawCorrelatedReturns(scenario.returns, stdevs, correlationModel, rng, returnDistribution);
+        _applyReturns(currentUserAssets, yearReturns);
+        if (hasSpouse) _applyReturns(currentSpouseAssets, yearReturns);
         
         // 2. Calculate Income (Individual)
-        step2_CalculateIncome(yearData.user, scenario.user, settings, 'user', currentYear, scenario);
-        if (hasSpouse) {
-            step2_CalculateIncome(yearData.spouse, scenario.user, settings, 'spouse', currentYear, scenario);
+        if (userAlive) {
+            step2_CalculateIncome(yearData.user, scenario.user, yearSettings, 'user', currentYear, scenario);
+        }
+        if (spouseAlive) {
+            step2_CalculateIncome(yearData.spouse, scenario.user, yearSettings, 'spouse', currentYear, scenario);
+        }
+        if (widowed) {
+            applySurvivorIncome(yearData[firstDeath.survivor], scenario, yearSettings, firstDeath, currentYear);
         }
         yearData.income.total = (yearData.user.income?.total || 0) + (yearData.spouse.income?.total || 0);
         
         // 3. Calculate Expenses (Household)
-        step3_CalculateExpenses(yearData, scenario, settings, hasSpouse, spouseBirthYear);
+        step3_CalculateExpenses(yearData, scenario, yearSettings, hasSpouse, spouseBirthYear, widowed ? firstDeath : null);
         // [FIX] Ensure expenses include tax bill
         yearData.expenses = (yearData.expenses || 0) + (yearData.expenses_thai_tax || 0);
 
         // 4. Perform Withdrawals (Pass Settings with Resolved Strategy)
-        const wdInfo = step4_PerformWithdrawals(yearData, currentUserAssets, currentSpouseAssets, hasSpouse, settings);
+        const wdInfo = step4_PerformWithdrawals(yearData, currentUserAssets, currentSpouseAssets, spouseAlive || !userAlive, yearSettings, remittancePools);
+        realizeNonRegGains(yearData.user, currentUserAssets, nonRegAcb, 'user');
+        if (hasSpouse) realizeNonRegGains(yearData.spouse, currentSpouseAssets, nonRegAcb, 'spouse');
         
         // 5. Calculate Taxes (Individual)
-        const userTaxInfo = step5_CalculateTaxes(yearData.user, scenario, settings, 'user');
+        markOasRecoveryFinalYear(oasTrackers, currentYear, mortality ? mortality.lastDeathYear - 1 : endYear, firstDeath, wdInfo.depleted);
+        let userTaxInfo = { totalTax: 0, tax_can: 0, tax_thai: 0, section217Refund: 0 };
+        if (userAlive) {
+            userTaxInfo = step5_CalculateTaxes(yearData.user, scenario, yearSettings, 'user', oasTrackers.user);
+        }
         yearData.user.tax = userTaxInfo;
         
-        let spouseTaxInfo = { totalTax: 0, tax_can: 0, tax_thai: 0 };
-        if (hasSpouse) {
-            spouseTaxInfo = step5_CalculateTaxes(yearData.spouse, scenario, settings, 'spouse');
+        let spouseTaxInfo = { totalTax: 0, tax_can: 0, tax_thai: 0, section217Refund: 0 };
+        if (spouseAlive) {
+            spouseTaxInfo = step5_CalculateTaxes(yearData.spouse, scenario, yearSettings, 'spouse', oasTrackers.spouse);
             yearData.spouse.tax = spouseTaxInfo;
         }
         
-        // 6. Reinvest Surplus (Split 50/50)
+        // 6. Reinvest Surplus (Split 50/50 between the living)
         const totalCashOut = yearData.expenses + userTaxInfo.tax_can + spouseTaxInfo.tax_can;
-        const totalCashIn = yearData.income.total + wdInfo.withdrawals.total;
+        const totalCashIn = yearData.income.total + wdInfo.withdrawals.total + prevYearSection217Refund;
         const netCashflow = totalCashIn - totalCashOut;
 
         if (netCashflow > 0.01) {
-            const splitSurplus = netCashflow / (hasSpouse ? 2 : 1);
-            currentUserAssets.nonreg += splitSurplus;
-            if (hasSpouse) currentSpouseAssets.nonreg += splitSurplus;
+            const splitSurplus = netCashflow / ((userAlive ? 1 : 0) + (spouseAlive ? 1 : 0));
+            if (userAlive) {
+                currentUserAssets.nonreg += splitSurplus;
+                nonRegAcb.user += splitSurplus;
+            }
+            if (spouseAlive) {
+                currentSpouseAssets.nonreg += splitSurplus;
+                nonRegAcb.spouse += splitSurplus;
+            }
+        } else if (netCashflow < -CASH_SHORTFALL_TOLERANCE && depletionAge === null) {
+            depletionAge = userAge;
         }
         
         // Calculate Total Household Assets for this year
@@ -208,6 +557,7 @@ function simulateSingleRun(inputs, settings, stdevs) {
 
         if (wdInfo.depleted) {
             depleted = true; 
+            if (depletionAge === null) depletionAge = userAge;
             annualBalances.push(0); 
             // Zero out assets to prevent zombie growth
             currentUserAssets = { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0 };
@@ -220,30 +570,374 @@ function simulateSingleRun(inputs, settings, stdevs) {
         // [FIX] Use .tax_thai
         prevYearThaiTax_User = userTaxInfo.tax_thai;
         prevYearThaiTax_Spouse = spouseTaxInfo.tax_thai;
+        prevYearSection217Refund = (userTaxInfo.section217Refund || 0) + (spouseTaxInfo.section217Refund || 0);
     }
 
     // Final Asset Sum
     const finalTotalAssets = Object.values(currentUserAssets).reduce((a, b) => a + b, 0) + 
                              Object.values(currentSpouseAssets).reduce((a, b) => a + b, 0);
+    // [NEW] Price level of the last year with a balance (the estate year in life-table mode)
+    const lastBalanceYear = annualBalances.length - annualBalances.filter(v => isNaN(v)).length;
+    const finalPriceIndex = annualPriceIndex[Math.max(0, lastBalanceYear - 1)] || 1;
+
+    return {
+        finalTotalAssets, finalPriceIndex, annualBalances, annualFxRates, annualPriceIndex, depletionAge,
+        userDeathAge: mortality ? mortality.userDeathAge : null,
+        spouseDeathAge: mortality ? mortality.spouseDeathAge : null
+    };
+}
+
+/**
+ * [NEW] Life-table q(x) for sex ('male' | 'female'; anything else = average of both) at an age in a calendar year.
+ * Log-linear between the 5-year knots, reduced by the yearly mortality improvement after the table's base year.
+ */
+function getMortalityRate(sex, age, calendarYear) {
+    const table = (typeof lifeTable !== 'undefined') ? lifeTable : null;
+    if (!table) return 0;
+    if (age >= table.maxAge) return 1;
+    if (sex !== 'male' && sex !== 'female') {
+        return (getMortalityRate('male', age, calendarYear) + getMortalityRate('female', age, calendarYear)) / 2;
+    }
+
+    const knots = table[sex];
+    const ages = _getLifeTableAges(sex);
+    let q = knots[ages[0]];
+    if (age > ages[0]) {
+        const i = ages.findIndex(a => a > age);
+        const lo = ages[i - 1], hi = ages[i];
+        q = Math.exp(Math.log(knots[lo]) + (Math.log(knots[hi]) - Math.log(knots[lo])) * (age - lo) / (hi - lo));
+    }
+    const yearsOfImprovement = Math.max(0, calendarYear - table.baseYear);
+    return Math.min(1, q * Math.pow(1 - table.improvement, yearsOfImprovement));
+}
+
+const _lifeTableAgesCache = {};
+function _getLifeTableAges(sex) {
+    if (!_lifeTableAgesCache[sex]) {
+        _lifeTableAgesCache[sex] = Object.keys(lifeTable[sex]).map(Number).sort((a, b) => a - b);
+    }
+    return _lifeTableAgesCache[sex];
+}
 
-    return { finalTotalAssets, annualBalances };
+/**
+ * [NEW] Draws an age at death for someone alive at fromAge. Same convention as the survivor model:
+ * the returned age is the first one not reached (death at the start of that year).
+ */
+function _drawDeathAge(sex, birthYear, fromAge, rng) {
+    const maxAge = (typeof lifeTable !== 'undefined') ? lifeTable.maxAge : 110;
+    for (let age = fromAge; age < maxAge; age++) {
+        if (rng() < getMortalityRate(sex, age, birthYear + age)) return age + 1;
+    }
+    return Math.max(fromAge, maxAge);
+}
+
+/**
+ * [NEW] Both ages at death for one path (both alive at the start year).
+ * horizonEndYear is fixed per scenario (youngest member at the table's maximum age) so every path has the same length.
+ */
+function _drawHouseholdMortality(scenario, hasSpouse, userBirthYear, spouseBirthYear, startYear, rng) {
+    const maxAge = (typeof lifeTable !== 'undefined') ? lifeTable.maxAge : 110;
+    const userDeathAge = _drawDeathAge(scenario.user?.sex, userBirthYear, startYear - userBirthYear, rng);
+    const spouseDeathAge = hasSpouse ? _drawDeathAge(scenario.spouse?.sex, spouseBirthYear, startYear - spouseBirthYear, rng) : NaN;
+
+    const userDeathYear = userBirthYear + userDeathAge;
+    const spouseDeathYear = hasSpouse ? spouseBirthYear + spouseDeathAge : -Infinity;
+    let firstDeath = null;
+    if (hasSpouse && userDeathYear !== spouseDeathYear) {
+        firstDeath = createFirstDeath(userDeathYear < spouseDeathYear ? 'user' : 'spouse', Math.min(userDeathYear, spouseDeathYear), scenario);
+    }
+
+    return {
+        userDeathAge: userDeathAge,
+        spouseDeathAge: spouseDeathAge,
+        firstDeath: firstDeath,
+        lastDeathYear: Math.max(userDeathYear, spouseDeathYear),
+        horizonEndYear: Math.max(userBirthYear, hasSpouse ? spouseBirthYear : userBirthYear) + maxAge - 1
+    };
+}
+
+/** Helper: Standard normal random number (Box-Muller) */
+function _randn(rng) {
+    let u = 0, v = 0;
+    while(u === 0) u = rng();
+    while(v === 0) v = rng();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+/**
+ * [NEW] Helper: Builds the joint-draw model for account returns.
+ * shared = true  -> one market draw per year drives every account.
+ * shared = false -> Cholesky factor of the pairwise correlation matrix (missing pairs use defaults).
+ */
+function _buildCorrelationModel(correlations, shared) {
+    if (shared) return { shared: true, cholesky: null };
+
+    const n = MC_ACCOUNT_KEYS.length;
+    const matrix = MC_ACCOUNT_KEYS.map((a, i) => MC_ACCOUNT_KEYS.map((b, j) => {
+        if (i === j) return 1;
+        const key = i < j ? `${a}_${b}` : `${b}_${a}`;
+        const raw = Number(correlations?.[key]);
+        const rho = (correlations && correlations[key] !== undefined && correlations[key] !== null && !isNaN(raw)) ? raw : DEFAULT_RETURN_CORRELATIONS[key];
+        return Math.max(-1, Math.min(1, rho));
+    }));
+
+    // Inconsistent user matrices are not positive semi-definite: shrink toward identity until they are
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const cholesky = _choleskyDecompose(matrix);
+        if (cholesky) return { shared: false, cholesky };
+        for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) if (i !== j) matrix[i][j] *= 0.95;
+    }
+    console.warn("Correlation matrix could not be factored; using independent draws.");
+    return { shared: false, cholesky: MC_ACCOUNT_KEYS.map((_, i) => MC_ACCOUNT_KEYS.map((_, j) => (i === j ? 1 : 0))) };
+}
+
+/** Helper: Lower-triangular Cholesky factor (tolerates semi-definite input). Returns null if not PSD. */
+function _choleskyDecompose(matrix) {
+    const n = matrix.length;
+    const L = matrix.map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (sum < -1e-9) return null;
+                L[i][i] = Math.sqrt(Math.max(0, sum));
+            } else {
+                L[i][j] = L[j][j] > 1e-12 ? sum / L[j][j] : 0;
+            }
+        }
+    }
+    return L;
+}
+
+/**
+ * [NEW] Helper: Draws one year of jointly-distributed returns { rrsp, tfsa, nonreg, lif }.
+ * Every distribution keeps the account's arithmetic mean and stdev:
+ *  - normal:    mean + stdev * z
+ *  - lognormal: 1 + r is lognormal (z drives the log return), so r can never fall below -100%
+ *  - studentT:  z divided by one shared sqrt(chi2(df) / df) per year (multivariate t), rescaled to unit variance.
+ *               The shared divisor makes crash years hit every account at once.
+ * Arithmetic draws are floored at -100%.
+ */
+function _drawCorrelatedReturns(returns, stdevs, model, rng, distribution) {
+    let z;
+    if (model.shared) {
+        const market = _randn(rng);
+        z = MC_ACCOUNT_KEYS.map(() => market);
+    } else {
+        const e = MC_ACCOUNT_KEYS.map(() => _randn(rng));
+        z = model.cholesky.map(row => row.reduce((sum, l, j) => sum + l * e[j], 0));
+    }
+
+    const type = distribution?.type || 'normal';
+    if (type === 'studentT') {
+        const df = distribution.df;
+        const scale = Math.sqrt((df - 2) / df) / Math.sqrt(_randChiSquare(df, rng) / df);
+        z = z.map(v => v * scale);
+    }
+
+    const yearReturns = {};
+    MC_ACCOUNT_KEYS.forEach((key, i) => {
+        const mean = returns?.[key] || 0;
+        const stdev = stdevs?.[key] || 0;
+        if (type === 'lognormal' && mean > -1) {
+            const sigma2 = Math.log(1 + (stdev * stdev) / ((1 + mean) * (1 + mean)));
+            yearReturns[key] = Math.exp(Math.log(1 + mean) - sigma2 / 2 + Math.sqrt(sigma2) * z[i]) - 1;
+        } else {
+            yearReturns[key] = Math.max(-1, mean + z[i] * stdev);
+        }
+    });
+    return yearReturns;
+}
+
+/** [NEW] Helper: Return distribution defaults. Student-t needs df > 2 for a finite variance. */
+function _normalizeReturnDistribution(distribution) {
+    const type = ['normal', 'lognormal', 'studentT'].includes(distribution?.type) ? distribution.type : 'normal';
+    const df = Number(distribution?.df);
+    return { type, df: Math.max(2.1, isNaN(df) || df <= 0 ? 5 : df) };
+}
+
+/** [NEW] Helper: Chi-square(df) draw via Gamma(df / 2, 2) (Marsaglia-Tsang). */
+function _randChiSquare(df, rng) {
+    return 2 * _randGamma(df / 2, rng);
+}
+
+function _randGamma(shape, rng) {
+    if (shape < 1) {
+        // Boost: Gamma(a) = Gamma(a + 1) * U^(1/a)
+        let u = 0;
+        while (u === 0) u = rng();
+        return _randGamma(shape + 1, rng) * Math.pow(u, 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x, v;
+        do {
+            x = _randn(rng);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = rng();
+        if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+        if (u > 0 && Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+}
+
+/** Helper: Applies one set of returns { rrsp, tfsa, nonreg, lif } to an account set */
+function _applyReturns(currentAssets, yearReturns) {
+    currentAssets.rrsp *= (1 + yearReturns.rrsp);
+    currentAssets.tfsa *= (1 + yearReturns.tfsa);
+    currentAssets.nonreg *= (1 + yearReturns.nonreg);
+    currentAssets.lif *= (1 + yearReturns.lif);
+}
+
+/**
+ * [NEW] Helper: Creates a (circular) block bootstrap sampler over historicalAnnualReturns.
+ * Each year's return is the allocation-weighted mix of equity/bonds/cash for a historical year.
+ * Blocks of `blockLength` consecutive years preserve crash clustering and sequence risk.
+ */
+function _createBootstrapSampler(blockLength, allocation, rng) {
+    const table = (typeof historicalAnnualReturns !== 'undefined') ? historicalAnnualReturns : [];
+    if (table.length === 0) throw new Error("Historical return table not available.");
+
+    // Normalize allocation (default 60/35/5 if missing or empty)
+    let eq = Number(allocation?.equity) || 0, bd = Number(allocation?.bonds) || 0, ca = Number(allocation?.cash) || 0;
+    if (eq + bd + ca <= 0) { eq = 0.60; bd = 0.35; ca = 0.05; }
+    const sum = eq + bd + ca;
+    const mix = table.map(row => (row.equity * eq + row.bonds * bd + row.cash * ca) / sum);
+    const mixMean = mix.reduce((a, b) => a + b, 0) / mix.length;
+
+    return { mix, mixMean, blockLength: Math.max(1, blockLength || 1), index: 0, remaining: 0, rng };
 }
 
-/** Helper: Applies randomized growth using Box-Muller transform */
-function _applyRandomizedGrowth(currentAssets, returns, stdevs) {
-    const randn = () => { // Standard normal random number (Box-Muller)
-        let u = 0, v = 0;
-        while(u === 0) u = Math.random();
-        while(v === 0) v = Math.random();
-        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+/**
+ * [NEW] Helper: Draws the next historical year and maps it onto each account.
+ * The historical mix is re-centred on each account's mean return input, so the deterministic
+ * assumptions still set the average while history supplies the shape and sequence.
+ */
+function _drawBootstrapReturns(sampler, returns) {
+    if (sampler.remaining <= 0) {
+        sampler.index = Math.floor(sampler.rng() * sampler.mix.length);
+        sampler.remaining = sampler.blockLength;
+    }
+    const deviation = sampler.mix[sampler.index] - sampler.mixMean;
+    sampler.index = (sampler.index + 1) % sampler.mix.length;
+    sampler.remaining--;
+
+    return {
+        rrsp: (returns.rrsp || 0) + deviation,
+        tfsa: (returns.tfsa || 0) + deviation,
+        nonreg: (returns.nonreg || 0) + deviation,
+        lif: (returns.lif || 0) + deviation
     };
+}
 
-    const calcReturn = (mean, stdev) => mean + randn() * stdev;
+/** [NEW] Helper: Sanitizes the FX model { drift, volatility, meanReversion } (decimals) */
+function _normalizeFxModel(fxModel) {
+    return {
+        drift: Number(fxModel?.drift) || 0,
+        volatility: Math.max(0, Number(fxModel?.volatility) || 0),
+        meanReversion: Math.max(0, Math.min(1, Number(fxModel?.meanReversion) || 0))
+    };
+}
+
+function _isFxStochastic(fxModel) {
+    return !!fxModel && (fxModel.volatility > 0 || fxModel.drift !== 0);
+}
+
+/**
+ * [NEW] Helper: CAD/THB rate process, stepped once per year from the base year.
+ * Log-rate = ln(base) + t * ln(1 + drift) + deviation, where
+ * deviation(t+1) = (1 - meanReversion) * deviation(t) + volatility * Z.
+ * meanReversion 0 = random walk with drift, 1 = independent yearly noise around the drift path.
+ */
+function _createFxProcess(fxModel, baseRate, rng) {
+    return { ...fxModel, baseRate, logDrift: Math.log(1 + fxModel.drift), deviation: 0, step: 0, rng };
+}
+
+function _advanceFxProcess(proc, yearsFromBase) {
+    const target = Math.max(0, yearsFromBase);
+    while (proc.step < target) {
+        const shock = proc.volatility > 0 ? proc.volatility * _randn(proc.rng) : 0;
+        proc.deviation = (1 - proc.meanReversion) * proc.deviation + shock;
+        proc.step++;
+    }
+    return proc.baseRate * Math.exp(proc.logDrift * proc.step + proc.deviation);
+}
 
-    currentAssets.rrsp *= (1 + calcReturn(returns.rrsp, stdevs.rrsp));
-    currentAssets.tfsa *= (1 + calcReturn(returns.tfsa, stdevs.tfsa));
-    currentAssets.nonreg *= (1 + calcReturn(returns.nonreg, stdevs.nonreg));
-    currentAssets.lif *= (1 + calcReturn(returns.lif, stdevs.lif));
+/** [NEW] Helper: Inflation model defaults (decimals). persistence is the AR(1) coefficient, clamped to 0-0.99. */
+function _normalizeInflationModel(inflationModel) {
+    return {
+        volatility: Math.max(0, Number(inflationModel?.volatility) || 0),
+        persistence: Math.max(0, Math.min(0.99, Number(inflationModel?.persistence) || 0))
+    };
+}
+
+function _isInflationStochastic(inflationModel) {
+    return !!inflationModel && inflationModel.volatility > 0;
+}
+
+/**
+ * [NEW] Helper: Yearly inflation as an AR(1) around the scenario COLA:
+ * inflation(t) = cola + persistence * (inflation(t-1) - cola) + volatility * Z.
+ * path[t] is the cumulative price level t years after the base year (path[0] = 1).
+ */
+function _createInflationProcess(inflationModel, cola, rng) {
+    const mean = Number(cola) || 0;
+    return { ...inflationModel, mean, lastRate: mean, path: [1], rng };
+}
+
+function _advanceInflationProcess(proc, yearsFromBase) {
+    while (proc.path.length <= yearsFromBase) {
+        const shock = proc.volatility * _randn(proc.rng);
+        // Floor keeps the price level positive in extreme draws
+        proc.lastRate = Math.max(-0.5, proc.mean + proc.persistence * (proc.lastRate - proc.mean) + shock);
+        proc.path.push(proc.path[proc.path.length - 1] * (1 + proc.lastRate));
+    }
+    return proc.path[yearsFromBase];
+}
+
+/**
+ * [NEW] Helper: Depletion ages of failed paths.
+ * histogram: share of all paths that ran out at each age; survival: probability assets remain at each age.
+ */
+function _summarizeDepletionAges(batches, numRuns, ages) {
+    const failedAges = [];
+    batches.forEach(b => b.depletionAges?.forEach(age => { if (!isNaN(age)) failedAges.push(age); }));
+    failedAges.sort((a, b) => a - b);
+
+    const countByAge = {};
+    failedAges.forEach(age => { countByAge[age] = (countByAge[age] || 0) + 1; });
+
+    let cumulative = 0;
+    const histogram = [];
+    const survival = [];
+    ages.forEach(age => {
+        const count = countByAge[age] || 0;
+        cumulative += count;
+        histogram.push({ age, count, share: numRuns > 0 ? count / numRuns : 0 });
+        survival.push({ age, probability: numRuns > 0 ? 1 - cumulative / numRuns : 1 });
+    });
+
+    return {
+        failedRuns: failedAges.length,
+        medianAge: failedAges.length > 0 ? _getQuantile(failedAges, 0.50) : null,
+        p10Age: failedAges.length > 0 ? _getQuantile(failedAges, 0.10) : null,
+        histogram,
+        survival
+    };
+}
+
+/**
+ * [NEW] Helper: Independent seed for path `runIndex` of a set (integer hash of seed and index).
+ * Paths no longer share one stream, so splitting a set across workers does not change results.
+ */
+function _deriveRunSeed(seed, runIndex) {
+    let h = (seed ^ Math.imul(runIndex + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
 }
 
 /** Helper: Calculates quantile from a sorted array */
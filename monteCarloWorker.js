@@ -0,0 +1,35 @@
+/**
+ * @project     Canada-Thailand Retirement Simulator (Non-Resident)
+ * @author      dluvbell (https://github.com/dluvbell)
+ * @version     1.0.0 (Feature: Monte Carlo Web Worker)
+ * @file        monteCarloWorker.js
+ * @created     2026-10-19
+ * @description Web Worker entry point. Loads the engines and runs one batch of Monte Carlo paths per message.
+ */
+
+// monteCarloWorker.js
+
+importScripts('data.js', 'incomeTaxEngine.js', 'withdrawalEngine.js', 'engineCore.js', 'monteCarloEngine.js');
+
+/**
+ * Message in:  { type: 'run', jobId, inputs, settings, stdevs, seed, startIndex, count }
+ * Messages out: { type: 'progress', jobId, done } every 100 paths,
+ *               { type: 'result', jobId, batch } (typed-array buffers transferred),
+ *               { type: 'error', jobId, message }
+ */
+self.onmessage = (event) => {
+    const msg = event.data;
+    if (!msg || msg.type !== 'run') return;
+
+    try {
+        const baseSettings = prepareMonteCarloSettings(msg.inputs, msg.settings);
+        const batch = runMonteCarloBatch(msg.inputs, baseSettings, msg.stdevs, msg.seed, msg.startIndex, msg.count,
+            (done) => self.postMessage({ type: 'progress', jobId: msg.jobId, done: done }));
+
+        self.postMessage({ type: 'result', jobId: msg.jobId, batch: batch },
+            [batch.finalAssets.buffer, batch.finalPriceIndex.buffer, batch.depletionAges.buffer, batch.userDeathAges.buffer, batch.spouseDeathAges.buffer,
+             batch.balances.buffer, batch.fxRates.buffer, batch.priceIndex.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId: msg.jobId, message: error.message });
+    }
+};
@@ -0,0 +1,175 @@
+/**
+ * @project     Canada-Thailand Retirement Simulator (Non-Resident)
+ * @author      dluvbell (https://github.com/dluvbell)
+ * @version     1.0.2 (Fix: A late cancelled main-thread run no longer clears a newer run's handle)
+ * @file        monteCarloWorkerPool.js
+ * @created     2026-10-19
+ * @description Splits Monte Carlo sets into batches and runs them on a pool of Web Workers sized to the CPU.
+ *              Several sets (Scenario A and B) share the pool and run in parallel. Falls back to the main thread
+ *              when workers are unavailable (e.g. the page is opened from file:// in Chrome) or fail before returning
+ *              any result (e.g. the worker script cannot load from file:// in Firefox).
+ */
+
+// monteCarloWorkerPool.js
+
+const MC_WORKER_SCRIPT = 'monteCarloWorker.js';
+const MC_MAX_WORKERS = 16;
+
+// Active run: { workers, cancel } (null when idle)
+let activeMonteCarloRun = null;
+
+function getMonteCarloPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    return Math.max(1, Math.min(MC_MAX_WORKERS, cores));
+}
+
+/**
+ * Runs several Monte Carlo sets at once.
+ * @param {Array} jobs - [{ inputs, settings, stdevs, numRuns }]
+ * @param {Function} progressCallback - (jobIndex, fraction 0-1)
+ * @returns {Promise<Array>} One runMonteCarloSimulation-shaped result per job, in order.
+ *          Rejects with error.cancelled = true after cancelMonteCarloRun().
+ */
+async function runMonteCarloJobs(jobs, progressCallback) {
+    if (activeMonteCarloRun) cancelMonteCarloRun();
+
+    const workers = _createMonteCarloWorkers(getMonteCarloPoolSize());
+    if (!workers) return _runMonteCarloJobsOnMainThread(jobs, progressCallback);
+
+    const prepared = jobs.map(job => ({
+        ...job,
+        baseSettings: prepareMonteCarloSettings(job.inputs, job.settings),
+        seed: resolveMonteCarloSeed(job.settings),
+        batches: [],
+        done: 0
+    }));
+
+    // Each set is cut into one batch per worker; batches of A and B are interleaved in the queue
+    const queue = [];
+    const batchSize = Math.ceil(Math.max(...prepared.map(p => p.numRuns)) / workers.length) || 1;
+    for (let start = 0; prepared.some(p => start < p.numRuns); start += batchSize) {
+        prepared.forEach((p, jobIndex) => {
+            if (start < p.numRuns) queue.push({ jobIndex, startIndex: start, count: Math.min(batchSize, p.numRuns - start) });
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        let remaining = queue.length;
+        const inFlight = new Map(); // worker -> task
+
+        let settled = false;
+        let anyResult = false;
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            workers.forEach(w => w.terminate());
+            if (activeMonteCarloRun?.workers === workers) activeMonteCarloRun = null;
+            if (error) { reject(error); return; }
+            resolve(prepared.map(p => {
+                p.batches.sort((a, b) => a.startIndex - b.startIndex);
+                return summarizeMonteCarloRuns(p.inputs, p.baseSettings, p.seed, p.batches);
+            }));
+        };
+
+        // [FIX] A worker that errors before any batch came back (e.g. its script failed to load) means the pool
+        // cannot run here: redo the whole run on the main thread instead of failing it
+        const fallBackToMainThread = (reason) => {
+            if (settled) return;
+            settled = true;
+            console.warn("Monte Carlo workers failed, running on the main thread:", reason);
+            workers.forEach(w => w.terminate());
+            if (activeMonteCarloRun?.workers === workers) activeMonteCarloRun = null;
+            _runMonteCarloJobsOnMainThread(jobs, progressCallback).then(resolve, reject);
+        };
+
+        const dispatch = (worker) => {
+            const task = queue.shift();
+            if (!task) return;
+            const p = prepared[task.jobIndex];
+            inFlight.set(worker, { ...task, reported: 0 });
+            worker.postMessage({
+                type: 'run', jobId: task.jobIndex,
+                inputs: p.inputs, settings: p.settings, stdevs: p.stdevs,
+                seed: p.seed, startIndex: task.startIndex, count: task.count
+            });
+        };
+
+        const report = (jobIndex) => {
+            const p = prepared[jobIndex];
+            if (progressCallback) progressCallback(jobIndex, p.numRuns > 0 ? p.done / p.numRuns : 1);
+        };
+
+        workers.forEach(worker => {
+            worker.onmessage = (event) => {
+                const msg = event.data;
+                const task = inFlight.get(worker);
+                if (!task) return;
+                const p = prepared[task.jobIndex];
+
+                if (msg.type === 'progress') {
+                    p.done += msg.done - task.reported;
+                    task.reported = msg.done;
+                    report(task.jobIndex);
+                } else if (msg.type === 'result') {
+                    anyResult = true;
+                    p.done += task.count - task.reported;
+                    p.batches.push(msg.batch);
+                    inFlight.delete(worker);
+                    report(task.jobIndex);
+                    if (--remaining === 0) finish();
+                    else dispatch(worker);
+                } else if (msg.type === 'error') {
+                    finish(new Error(msg.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                if (!anyResult) fallBackToMainThread(event.message);
+                else finish(new Error(event.message || "Monte Carlo worker failed"));
+            };
+        });
+
+        activeMonteCarloRun = { workers, cancel: () => finish(createMonteCarloCancelledError()) };
+        workers.forEach(dispatch);
+    });
+}
+
+/** Aborts the active run: workers are terminated and the pending promise rejects. */
+function cancelMonteCarloRun() {
+    if (activeMonteCarloRun) activeMonteCarloRun.cancel();
+}
+
+function isMonteCarloRunActive() {
+    return activeMonteCarloRun !== null;
+}
+
+/** Returns the workers, or null if this page cannot start them. */
+function _createMonteCarloWorkers(count) {
+    if (typeof Worker === 'undefined') return null;
+    const workers = [];
+    try {
+        for (let i = 0; i < count; i++) workers.push(new Worker(MC_WORKER_SCRIPT));
+        return workers;
+    } catch (error) {
+        console.warn("Web Workers unavailable, running Monte Carlo on the main thread:", error.message);
+        workers.forEach(w => w.terminate());
+        return null;
+    }
+}
+
+/** Fallback: all sets interleaved on the main thread, cancellable between batches. */
+async function _runMonteCarloJobsOnMainThread(jobs, progressCallback) {
+    const cancelToken = { cancelled: false };
+    const run = { workers: null, cancel: () => { cancelToken.cancelled = true; } };
+    activeMonteCarloRun = run;
+    try {
+        return await Promise.all(jobs.map((job, jobIndex) => runMonteCarloSimulation(
+            job.inputs, job.settings, job.stdevs, job.numRuns,
+            (fraction) => { if (progressCallback) progressCallback(jobIndex, fraction); },
+            cancelToken
+        )));
+    } finally {
+        // [FIX] Only release our own handle (a cancelled run can finish after a newer one started)
+        if (activeMonteCarloRun === run) activeMonteCarloRun = null;
+    }
+}
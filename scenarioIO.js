@@ -0,0 +1,159 @@
+/**
+ * @project     Canada-Thailand Retirement Simulator (Non-Resident)
+ * @author      dluvbell (https://github.com/dluvbell)
+ * @version     1.0.0 (Feature: Shared scenario-file mapping and CSV columns)
+ * @file        scenarioIO.js
+ * @created     2026-10-19
+ * @description Scenario file to engine inputs, and the yearly results CSV columns. No DOM access:
+ *              shared by the browser (gatherInputs, exportToCsv) and the command-line runner (simulateCli.js).
+ */
+
+// scenarioIO.js
+
+/**
+ * Builds engine inputs for scenario 'a' or 'b' from scenario-file data (the object "Save Scenario" writes).
+ * Percent fields become decimals; blank or missing fields take the same defaults as populateUIFromLoadedData,
+ * and a blank Scenario B global falls back to Scenario A's.
+ * @param {Object} data - Saved scenario file, or collectScenarioFileData() in the browser
+ * @param {String} s - 'a' | 'b'
+ * @returns {Object} Engine inputs (runFullSimulation / runMonteCarloSimulation)
+ */
+function scenarioFileToInputs(data, s) {
+    const pct = (val, fallback) => { const n = parseFloat(val); return (isNaN(n) ? fallback : n) / 100; };
+    const num = (val, fallback) => { const n = parseFloat(val); return isNaN(n) ? fallback : n; };
+    const pick = (valB, valA) => (s === 'b' && valB !== undefined && valB !== null && valB !== '') ? valB : valA;
+
+    const store = (s === 'a' ? data.scenarioAData : data.scenarioBData) || {};
+    const strategy = data[`strategy_${s}`] || {};
+    const userData = store.user || {};
+    const spouseData = store.spouse || {};
+    const isCouple = !!data[`isCouple_${s}`];
+    const fx = data[`fxModel_${s}`];
+    const fxPath = data[`fxPath_${s}`];
+    const inflation = data[`inflationModel_${s}`];
+    const distribution = s === 'a' ? data.returnDistribution : data.returnDistribution_b;
+    const withholding = (s === 'a' ? data.withholdingRates : data.withholdingRates_b) || {};
+
+    const withholdingRates = {};
+    Object.entries(withholding).forEach(([type, val]) => {
+        const n = parseFloat(val);
+        if (!isNaN(n)) withholdingRates[type] = n / 100;
+    });
+
+    const death = data[`firstDeath_${s}`];
+    const firstDeath = (death && (death.person === 'user' || death.person === 'spouse'))
+        ? { person: death.person, age: parseInt(death.age) || 0, expenseFactor: pct(death.expensePct, 70) }
+        : null;
+
+    // [NEW] Pre-retirement accumulation (blank current age = age this calendar year, as in the browser)
+    const acc = data[`accumulation_${s}`];
+    const currentAge = parseInt(acc?.currentAge);
+    const accumulation = (acc && acc.accumulationEnabled) ? {
+        enabled: true,
+        currentAge: isNaN(currentAge) ? new Date().getFullYear() - (parseInt(userData.birthYear) || 1980) : currentAge,
+        contributionGrowth: pct(acc.contribGrowth, 0),
+        returns: { rrsp: pct(acc.accumReturnRrsp, NaN), tfsa: pct(acc.accumReturnTfsa, NaN), nonreg: pct(acc.accumReturnNonreg, NaN) },
+        contributions: {
+            user: { rrsp: num(acc.contribRrsp, 0), tfsa: num(acc.contribTfsa, 0), nonreg: num(acc.contribNonreg, 0) },
+            spouse: { rrsp: num(acc.contribRrspSpouse, 0), tfsa: num(acc.contribTfsaSpouse, 0), nonreg: num(acc.contribNonregSpouse, 0) }
+        }
+    } : null;
+
+    const correlations = {};
+    Object.entries(strategy.correlations || {}).forEach(([pair, val]) => {
+        const n = parseFloat(val);
+        if (!isNaN(n)) correlations[pair] = n;
+    });
+
+    return {
+        exchangeRate: num(pick(data.exchangeRate_b, data.exchangeRate), 25.0) || 25.0,
+        fxModel: { drift: pct(fx?.drift, 0), volatility: pct(fx?.volatility, 0), meanReversion: num(fx?.meanReversion, 0) },
+        fxPath: { mode: fxPath?.mode || 'flat', drift: pct(fx?.drift, 0), table: fxPath?.table || '' },
+        lifeExpectancy: parseInt(pick(data.lifeExpectancy_b, data.lifeExpectancy)) || 95,
+        cola: pct(pick(data.cola_b, data.cola), 2.5),
+        inflationModel: { volatility: pct(inflation?.volatility, 0), persistence: num(inflation?.persistence, 0.6) },
+        isCouple: isCouple,
+        scenario: {
+            retirementAge: parseInt(strategy.retirementAge) || (s === 'a' ? 60 : 65),
+            returns: {
+                rrsp: pct(strategy.returns?.rrsp, 6),
+                tfsa: pct(strategy.returns?.tfsa, 6),
+                nonreg: pct(strategy.returns?.nonreg, 6),
+                lif: pct(strategy.returns?.lif, 5)
+            },
+            allocation: {
+                equity: pct(strategy.allocation?.equity, 60),
+                bonds: pct(strategy.allocation?.bonds, 35),
+                cash: pct(strategy.allocation?.cash, 5)
+            },
+            correlations: correlations,
+            sharedMarketDraw: !!strategy.sharedMarketDraw,
+            returnDistribution: { type: distribution?.type || 'normal', df: num(distribution?.df, 5) || 5 },
+            withdrawalStrategy: data[`strategy_setting_${s}`] || 'auto',
+            remittanceOrder: data[`remittanceOrder_${s}`] || 'principal_first',
+            section217Election: !!data[`section217_${s}`],
+            withholdingRates: withholdingRates,
+            oasRecoveryMode: data[`oasRecoveryMode_${s}`] || 'same_year',
+            firstDeath: firstDeath,
+            accumulation: accumulation,
+            user: {
+                birthYear: userData.birthYear, sex: userData.sex, cppStartAge: userData.cppStartAge, cppAt65: userData.cppAt65,
+                oasStartAge: userData.oasStartAge, userYearsInCanada: userData.userYearsInCanada, lifJurisdiction: userData.lifJurisdiction,
+                rrifConversionAge: userData.rrifConversionAge, rrifAgeBasis: userData.rrifAgeBasis,
+                assets: { ...userData.assets },
+                pre2024Savings: { ...userData.pre2024Savings },
+                initialNonRegGains: userData.initialNonRegGains || 0,
+                otherIncomes: data[`otherIncomes_${s}`] || [],
+                thaiDeductions: { ...getDefaultThaiDeductions(), ...userData.thaiDeductions }
+            },
+            spouse: {
+                hasSpouse: isCouple,
+                birthYear: spouseData.birthYear, sex: spouseData.sex, cppStartAge: spouseData.cppStartAge, cppAt65: spouseData.cppAt65,
+                oasStartAge: spouseData.oasStartAge, yearsInCanada: spouseData.yearsInCanada, lifJurisdiction: spouseData.lifJurisdiction,
+                rrifConversionAge: spouseData.rrifConversionAge, rrifAgeBasis: spouseData.rrifAgeBasis,
+                assets: { ...spouseData.assets },
+                pre2024Savings: { ...spouseData.pre2024Savings },
+                initialNonRegGains: spouseData.initialNonRegGains || 0,
+                thaiDeductions: { ...getDefaultThaiDeductions(), ...spouseData.thaiDeductions }
+            }
+        }
+    };
+}
+
+/**
+ * Yearly results CSV columns (after Year/Age). `balance` columns are closing balances and `flag` columns are 0/1,
+ * so the browser export can apply its display units to the rest.
+ */
+function getResultsCsvColumns() {
+    return [
+        { label: "Total Assets", calc: d => Object.values(d.closingBalance || {}).reduce((a, b) => a + b, 0), balance: true },
+        { label: "Total Income", prop: 'income.total' },
+        { label: "Total Expenses", prop: 'expenses' },
+        { label: "Total Taxes", prop: 'taxPayable' },
+        { label: "Cash Shortfall", prop: 'cashShortfall' },
+        { label: "Contributions", prop: 'contributions.total' },
+        { label: "WD: RRSP", prop: 'withdrawals.rrsp' },
+        { label: "WD: LIF", prop: 'withdrawals.lif' },
+        { label: "LIF Max Reached", calc: d => d.lifMaxReached ? 1 : 0, flag: true },
+        { label: "WD: Unfunded", prop: 'withdrawalShortfall' },
+        { label: "WD: NonReg", prop: 'withdrawals.nonreg' },
+        { label: "WD: TFSA", prop: 'withdrawals.tfsa' },
+        { label: "Remit: Taxable", prop: 'withdrawals.thai_taxable_remittance' },
+        { label: "Remit: Pre-2024", prop: 'withdrawals.thai_exempt_remittance' },
+        { label: "Realized Gain", prop: 'nonRegRealizedGain' },
+        { label: "S.217 Refund", prop: 'section217Refund' },
+        { label: "OAS Rec.: Withheld", prop: 'oasRecoveryWithheld' },
+        { label: "OAS Rec.: Liability", prop: 'oasClawback' },
+        { label: "OAS Rec.: Settlement", prop: 'oasRecoverySettlement' },
+        { label: "Survivor Benefits", prop: 'survivorBenefits' },
+        { label: "Bal: RRSP", prop: 'closingBalance.rrsp', balance: true },
+        { label: "Bal: LIF", prop: 'closingBalance.lif', balance: true },
+        { label: "Bal: NonReg", prop: 'closingBalance.nonreg', balance: true },
+        { label: "Bal: TFSA", prop: 'closingBalance.tfsa', balance: true }
+    ];
+}
+
+/** Raw (nominal CAD, annual) value of one CSV column for a year row; missing values are 0. */
+function getCsvColumnValue(col, d) {
+    return (col.calc ? col.calc(d) : col.prop.split('.').reduce((o, i) => o?.[i], d)) || 0;
+}
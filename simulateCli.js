@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * @project     Canada-Thailand Retirement Simulator (Non-Resident)
+ * @author      dluvbell (https://github.com/dluvbell)
+ * @version     1.1.0 (Refactor: Scenario mapping and CSV columns shared with the browser)
+ * @file        simulateCli.js
+ * @created     2026-10-19
+ * @description Runs a saved scenario file (the JSON written by "Save Scenario") without a browser.
+ *              Loads the same engine scripts as index.html and writes yearly results as JSON or CSV.
+ *              The file-to-inputs mapping and the CSV columns come from scenarioIO.js, as in the browser.
+ *
+ * Usage: node simulateCli.js <scenario.json> [options]
+ *   --mode <deterministic|montecarlo|both>   default: deterministic
+ *   --scenario <A|B|both>                    default: both
+ *   --runs <n>                               Monte Carlo paths, default: 10000
+ *   --seed <n>                               default: seed saved in the file, else random
+ *   --mortality <fixed|life_table>           Monte Carlo lifespan, default: setting saved in the file
+ *   --format <json|csv>                      default: json
+ *   --out <file>                             default: stdout
+ */
+
+// simulateCli.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ENGINE_FILES = ['data.js', 'incomeTaxEngine.js', 'withdrawalEngine.js', 'engineCore.js', 'monteCarloEngine.js', 'scenarioIO.js'];
+
+// [MODIFIED] Browser export columns (scenarioIO.js) plus today's-dollar total assets (the browser has a Dollars toggle instead)
+const REAL_ASSETS_COLUMN = { label: "Total Assets (Today's $)", calc: d => Object.values(d.closingBalance || {}).reduce((a, b) => a + b, 0) / (d.priceIndex || 1) };
+
+function csvColumns(engine) {
+    return engine.getResultsCsvColumns().flatMap(col => col.label === "Total Assets" ? [col, REAL_ASSETS_COLUMN] : [col]);
+}
+
+function loadEngine() {
+    const context = vm.createContext({ console, setTimeout });
+    ENGINE_FILES.forEach(file => {
+        const fullPath = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+    });
+    return context;
+}
+
+function parseArgs(argv) {
+    const options = { mode: 'deterministic', scenario: 'both', runs: 10000, seed: null, mortality: null, format: 'json', out: null, file: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--mode': options.mode = next().toLowerCase(); break;
+            case '--scenario': options.scenario = next().toLowerCase(); break;
+            case '--runs': options.runs = parseInt(next()); break;
+            case '--seed': options.seed = parseInt(next()); break;
+            case '--mortality': options.mortality = next().toLowerCase(); break;
+            case '--format': options.format = next().toLowerCase(); break;
+            case '--out': options.out = next(); break;
+            case '-h': case '--help': options.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                options.file = arg;
+        }
+    }
+    if (!['deterministic', 'montecarlo', 'both'].includes(options.mode)) throw new Error(`Invalid --mode ${options.mode}`);
+    if (!['a', 'b', 'both'].includes(options.scenario)) throw new Error(`Invalid --scenario ${options.scenario}`);
+    if (options.mortality !== null && !['fixed', 'life_table'].includes(options.mortality)) throw new Error(`Invalid --mortality ${options.mortality}`);
+    if (!['json', 'csv'].includes(options.format)) throw new Error(`Invalid --format ${options.format}`);
+    if (!(options.runs > 0)) throw new Error("--runs must be a positive integer");
+    if (options.seed !== null && (isNaN(options.seed) || options.seed < 0)) throw new Error("--seed must be a non-negative integer");
+    return options;
+}
+
+/** Monte Carlo settings as runAndDisplayMonteCarlo builds them (seed/mode from the file unless overridden). */
+function monteCarloSettingsFor(data, inputs, options) {
+    const savedSeed = parseInt(data.monteCarloSeed);
+    return {
+        maxAge: inputs.lifeExpectancy, cola: inputs.cola, baseYear: 2025, exchangeRate: inputs.exchangeRate,
+        seed: options.seed !== null ? options.seed : (isNaN(savedSeed) ? undefined : savedSeed),
+        returnMode: data.monteCarloReturnMode || 'normal',
+        blockLength: parseInt(data.monteCarloBlockLength) || 5,
+        mortality: options.mortality || data.monteCarloMortality || 'fixed',
+        fxModel: inputs.fxModel,
+        inflationModel: inputs.inflationModel
+    };
+}
+
+function stdevsFor(data, s) {
+    const saved = (s === 'a' ? data.stdevs : data.stdevs_b) || {};
+    const defaults = { rrsp: 10, tfsa: 10, nonreg: 10, lif: 8 };
+    const stdevs = {};
+    Object.keys(defaults).forEach(key => {
+        const n = parseFloat(saved[key]);
+        stdevs[key] = (isNaN(n) ? defaults[key] : n) / 100;
+    });
+    return stdevs;
+}
+
+async function runScenarioFile(data, options, engine) {
+    if (!data || !data.scenarioAData) throw new Error("Not a scenario file (missing scenarioAData).");
+    const suffixes = options.scenario === 'both' ? ['a', 'b'] : [options.scenario];
+    const output = { scenarios: {} };
+
+    const inputs = { a: engine.scenarioFileToInputs(data, 'a'), b: engine.scenarioFileToInputs(data, 'b') };
+
+    if (options.mode !== 'montecarlo') {
+        const { resultsA, resultsB, sustainableA, sustainableB, firstShortfallA, firstShortfallB } = engine.runFullSimulation(inputs.a, inputs.b);
+        const yearly = { a: resultsA, b: resultsB };
+        const sustainable = { a: sustainableA, b: sustainableB };
+        const firstShortfall = { a: firstShortfallA, b: firstShortfallB };
+        suffixes.forEach(s => { output.scenarios[s.toUpperCase()] = { deterministic: yearly[s], sustainableSpending: sustainable[s], firstShortfall: firstShortfall[s] }; });
+    }
+
+    if (options.mode !== 'deterministic') {
+        for (const s of suffixes) {
+            const settings = monteCarloSettingsFor(data, inputs[s], options);
+            const mc = await engine.runMonteCarloSimulation(inputs[s], settings, stdevsFor(data, s), options.runs, () => {});
+            const key = s.toUpperCase();
+            output.scenarios[key] = { ...output.scenarios[key], monteCarlo: { numRuns: options.runs, ...mc } };
+        }
+    }
+    return output;
+}
+
+function toCsv(output, engine) {
+    const lines = [];
+    const columns = csvColumns(engine);
+    const cell = (v) => (typeof v === 'number') ? v.toFixed(0) : `"${String(v ?? '').replace(/"/g, '""')}"`;
+    const entries = Object.entries(output.scenarios);
+
+    if (entries.some(([, r]) => r.deterministic)) {
+        lines.push(["Scenario", "Year", "Age"].concat(columns.map(c => c.label)).map(cell).join(','));
+        entries.forEach(([key, r]) => (r.deterministic || []).forEach(d => {
+            const values = columns.map(col => engine.getCsvColumnValue(col, d));
+            lines.push([cell(key), d.year, d.userAge].concat(values.map(cell)).join(','));
+        }));
+    }
+
+    if (entries.some(([, r]) => r.monteCarlo)) {
+        if (lines.length > 0) lines.push('');
+        lines.push(["Scenario", "Year", "Age", "P10", "P25", "P50", "P75", "P90", "Real P10", "Real P50", "Real P90", "Survival %"].map(cell).join(','));
+        entries.forEach(([key, r]) => {
+            if (!r.monteCarlo) return;
+            const survival = r.monteCarlo.depletion?.survival || [];
+            r.monteCarlo.timeSeries.forEach(t => {
+                const surv = survival.find(d => d.age === t.age);
+                lines.push([cell(key), t.year, t.age, cell(t.p10), cell(t.p25), cell(t.p50), cell(t.p75), cell(t.p90),
+                    cell(t.realP10), cell(t.realP50), cell(t.realP90),
+                    surv ? (surv.probability * 100).toFixed(1) : ''].join(','));
+            });
+        });
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\nRun with --help for usage.\n`);
+        process.exit(2);
+    }
+    if (options.help || !options.file) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/ \* Usage:[\s\S]*?(?= \*\/)/)[0];
+        process.stdout.write(usage.replace(/^ \* ?/gm, ''));
+        process.exit(options.help ? 0 : 2);
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        const engine = loadEngine();
+        const output = { file: path.basename(options.file), ...(await runScenarioFile(data, options, engine)) };
+        const text = options.format === 'csv' ? toCsv(output, engine) : JSON.stringify(output, null, 2) + '\n';
+        if (options.out) fs.writeFileSync(options.out, text);
+        else process.stdout.write(text);
+    } catch (error) {
+        process.stderr.write(`Simulation failed: ${error.message}\n`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { runScenarioFile, toCsv, loadEngine };
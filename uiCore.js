@@ -1,7 +1,7 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     10.5.2 (Fix: Register Withdrawal Strategy IDs in DOM Cache - Minimal Edit)
+ * @version     10.14.3 (Fix: Monte Carlo units note)
  * @file        uiCore.js
  * @created     2025-11-09
  * @description Core UI setup. Registers newly added DOM elements for Withdrawal Strategy.
@@ -25,30 +25,113 @@ const translations = {
         section1Title: "1. Enter Information", legendBasicInfo: "Basic Information",
         exchangeRateLabel: "Exchange Rate (1 CAD = ? THB)",
         exchangeRateTooltip: "Used to convert remitted income into Thai Baht for Thai tax calculation.",
+        fxDriftLabel: "FX Drift (%/yr)", fxDriftTooltip: "Expected yearly change in THB per CAD. Negative = baht strengthens (Thai costs rise in CAD).",
+        fxVolatilityLabel: "FX Volatility (%)", fxMeanReversionLabel: "FX Mean Reversion (0-1)",
+        fxPathModeLabel: "FX Path (Deterministic)", fxPathModeTooltip: "Exchange rate used year by year in the deterministic run (Thai tax, baht-priced Thai expenses, THB display). Drift compounds the FX Drift above from the base year; Monte Carlo keeps its own FX process.",
+        fxPathFlat: "Flat rate", fxPathDrift: "Annual drift (FX Drift)", fxPathTable: "Year-by-year table",
+        fxPathTableLabel: "Rate Table (year: rate)", fxPathTableTooltip: "Used with the year-by-year table. Each rate holds from its year until the next entry; earlier years use the rate above. Example, baht +20% from 2030: 2030: 20.83",
+        fxMeanReversionTooltip: "Monte Carlo only. 0 = shocks persist (random walk); 1 = the rate snaps back to its drift path every year.",
+        inflationVolatilityLabel: "Inflation Volatility (%)", inflationVolatilityTooltip: "Monte Carlo only. Yearly shock to inflation around the Global COLA. 0 = inflation is always the COLA.",
+        inflationPersistenceLabel: "Inflation Persistence (0-0.99)", inflationPersistenceTooltip: "How much of last year's inflation surprise carries into this year. Higher = longer high/low inflation spells.",
+        incomeCpiLinkedLabel: "CPI-linked (follows scenario inflation)", incomeCpiLinkedTooltip: "Indexed to actual inflation like CPP/OAS. Leave unchecked for a fixed indexing rate (e.g. a pension capped at 2%).",
+        incomeCurrencyLabel: "Currency", incomeCurrencyTooltip: "THB items are entered in baht and grow by their own COLA in baht (Thai inflation; the CPI link does not apply). Each year they are converted at that year's exchange rate. CAD items stay in CAD whatever the exchange rate does.",
+        incomeSurvivorPctLabel: "Survivor Benefit (%)", incomeSurvivorPctTooltip: "Pensions only. Share of this pension that continues to the surviving spouse after the owner's death (e.g. 60 for a 60% joint-and-survivor DB pension).",
+        survivorTitle: "Survivor Scenario", firstDeathPersonLabel: "First Death", firstDeathNone: "Not Modelled", firstDeathUser: "User", firstDeathSpouse: "Spouse",
+        firstDeathTooltip: "Models one spouse dying at the start of the year they reach the chosen age. RRSP/RRIF, LIF, TFSA and non-reg roll over tax-free to the survivor, the deceased's OAS stops, the survivor receives the CPP survivor's pension (capped with their own CPP at the maximum) and DB pensions continue at their survivor %. If the user dies first, the plan runs to the survivor's life expectancy.",
+        firstDeathAgeLabel: "Age at Death",
+        survivorExpenseLabel: "Household Expenses After Death (%)", survivorExpenseTooltip: "Expense items are scaled to this share after the first death, whoever owns them. Items marked personal stop with their owner; the survivor's personal items continue unchanged.",
+        incomePersonalLabel: "Personal expense (stops at owner's death)", incomePersonalTooltip: "Expenses only. Leave unchecked for household costs such as rent or living expenses, which continue for the survivor at the share set under the survivor scenario.",
+        mcDepletionGraphTitle: "Age When Money Runs Short (% of All Paths)", mcSurvivalGraphTitle: "Probability Assets Remain at Age",
+        mcDepletionMedian: "Typical Shortfall Age", mcDepletionMedianDesc: "(Median / P10 age among failed paths)", mcDepletionNone: "No failed paths",
+        // [NEW] Life-table mortality
+        userSexLabel: "Sex (Life Table)", sexTooltip: "Used only by the Monte Carlo life-table mode to draw ages at death. Unspecified uses the average of the male and female tables.",
+        sexUnspecified: "Unspecified", sexMale: "Male", sexFemale: "Female",
+        monteCarloMortalityLabel: "Lifespan:", mcMortalityFixed: "Fixed (Life Expectancy)", mcMortalityLifeTable: "Life Table (Random)",
+        monteCarloMortalityTooltip: "Life Table draws each person's age at death per path (Canadian-style table by sex and birth year, with mortality improvement). Success then means the money lasted as long as the household did; the first-death setting is replaced by the drawn ages.",
+        mcSuccessDescLifeTable: "(% of runs where money lasted as long as the household)",
+        mcOutliveHousehold: "Household Outlives Assets", mcOutliveHouseholdDesc: "(Someone alive when money runs short)",
+        mcOutliveUser: "User Outlives Assets", mcOutliveSpouse: "Spouse Outlives Assets", mcOutliveBoth: "Both Outlive Assets",
+        mcDeathAgeMedian: "Median Age at Death", mcDeathAgeMedianDesc: "(User / Spouse, drawn from the life table)",
+        mcEstateMedian: "Median Estate", mcEstateMedianDesc: "(Assets left at the last death)",
+        mcEstateGraphTitle: "Estate at Last Death (% of All Paths)", mcEstateNone: "Nothing left",
+        mcCpiFinal: "Cumulative Inflation at Final Age", mcCpiFinalDesc: "(P10 / Median / P90, price level vs 2025)",
         legendYourInfo: "Income Plan", userBirthYearLabel: "Birth Year", userCppAt65Label: "Estimated CPP at 65 (Annual)", cppTooltip: "Check 'My Service Canada Account'.",
         userYearsInCanadaLabel: "Years in Canada (18+)", userYearsInCanadaTooltip: "Used for OAS eligibility (40 years for full).",
+        // [NEW] Thai deductions profile
+        thaiDeductionsTitle: "Thai Tax Deductions", thaiSeniorLabel: "Age 65+ Exemption (190,000 THB)", thaiSeniorTooltip: "Applied automatically from the year this person turns 65.",
+        thaiSpouseAllowanceLabel: "Spouse Allowance (60,000 THB)", thaiSpouseAllowanceTooltip: "Only if the spouse has no Thai assessable income.",
+        thaiChildrenLabel: "Children (30,000 THB each)", thaiChildrenUntilAgeLabel: "Child Allowance Until Age", thaiChildrenUntilAgeTooltip: "Last age (of this person) the child allowance is claimed. 0 = every year.",
+        thaiHealthInsuranceLabel: "Health Insurance Premium (THB/yr)", thaiLifeInsuranceLabel: "Life Insurance Premium (THB/yr)",
+        thaiInsuranceTooltip: "Deductible up to 25,000 THB (health) and 100,000 THB (life), 100,000 THB combined. Add the premium itself as an expense.",
         legendOtherIncome: "Other Income & Expenses", otherIncomeDesc: "Manage pensions, rental income, and living expenses.",
         manageIncomeExpensesBtn: "[ Manage Income & Expenses ]",
         legendAssumptions: "Global Assumptions", colaLabel: "Global COLA (%)", lifeExpectancyLabel: "Max Calculation Age",
         legendGrowth: "Account Growth Rates (%)", legendGrowthAssumptionsIncome: "Growth, Assumptions & Other Items",
         runAnalysisBtn: "Run Analysis", retirementAgeLabel: "Retirement Age", cppStartAgeLabel: "CPP Start Age", oasStartAgeLabel: "OAS Start Age",
         legendAssets: "Assets at Retirement", assetRRSP: "RRSP/RRIF", assetTFSA: "TFSA", assetNonReg: "Non-Registered (Total)", assetLIF: "LIF",
+        // [NEW] Pre-retirement accumulation
+        accumulationTitle: "Pre-Retirement Savings", accumulationEnabledLabel: "Balances above are today's (save until retirement)",
+        accumulationTooltip: "When checked, the simulation starts at your current age from the balances above, grows them at the pre-retirement returns and adds the yearly contributions until the year before retirement. Results and charts then cover the whole timeline, so different retirement ages can be compared from the same starting point.",
+        currentAgeLabel: "Current Age", contribGrowthLabel: "Contribution Increase (%/yr)",
+        accumReturnRrspLabel: "RRSP Return Before Retirement (%)", accumReturnTfsaLabel: "TFSA Return Before Retirement (%)", accumReturnNonRegLabel: "Non-Reg Return Before Retirement (%)",
+        contribRrspLabel: "RRSP Contribution (Annual)", contribTfsaLabel: "TFSA Contribution (Annual)", contribNonRegLabel: "Non-Reg Contribution (Annual)",
+        contribRrspSpouseLabel: "Spouse RRSP Contribution", contribTfsaSpouseLabel: "Spouse TFSA Contribution", contribNonRegSpouseLabel: "Spouse Non-Reg Contribution",
+        contribLimitTooltip: "RRSP and TFSA contributions are capped at each year's dollar limit (2025: $32,490 / $7,000, indexed with inflation); anything above goes to non-registered savings. The 18%-of-income RRSP cap and unused room are not modelled.",
+        pre2024TfsaLabel: "TFSA Saved Before 2024", pre2024NonRegLabel: "Non-Reg Saved Before 2024",
+        pre2024SpouseTfsaLabel: "Spouse TFSA Saved Before 2024", pre2024SpouseNonRegLabel: "Spouse Non-Reg Saved Before 2024",
+        nonRegGainsLabel: "Non-Reg Unrealized Gain", nonRegGainsSpouseLabel: "Spouse Non-Reg Unrealized Gain",
+        lifJurisdictionLabel: "LIF Jurisdiction", lifJurisdictionTooltip: "Pension law governing the locked-in money. Each year's LIF withdrawal is capped at that jurisdiction's maximum factor times the balance at the start of the year; any remaining need comes from the other accounts.",
+        lifJurON: "Ontario", lifJurBC: "British Columbia", lifJurAB: "Alberta", lifJurQC: "Quebec", lifJurFED: "Federal (PBSA)",
+        rrifConversionAgeLabel: "RRIF Conversion Age", rrifConversionAgeTooltip: "Age the RRSP becomes a RRIF (71 at the latest). Minimum withdrawals for the RRIF and LIF start that year; before 71 the minimum is 1/(90 - age).",
+        rrifAgeBasisLabel: "RRIF Minimum Based On", rrifAgeBasisTooltip: "Electing a younger spouse's age lowers the forced RRIF/LIF minimum. The election applies to couples only.",
+        rrifAgeOwn: "Own Age", rrifAgeSpouse: "Spouse's Age",
+        nonRegGainsTooltip: "Market value minus adjusted cost base (ACB) at retirement. Each withdrawal realizes a proportional share of the gain.",
+        pre2024Tooltip: "Part of the balance already held on 31 Dec 2023. It can be remitted to Thailand tax-free; the rest and all later growth is taxable when remitted.",
+        remittanceOrderLabel: "Thai Remittance Order", remittanceOrderTooltip: "Which pool Thai-bound non-reg/TFSA withdrawals come from: pre-2024 savings (tax-free) or post-2024 earnings (taxable).",
+        remitPrincipalFirst: "Pre-2024 Savings First", remitEarningsFirst: "Post-2024 Earnings First", remitProRata: "Pro-Rata",
+        section217Label: "File a Section 217 return when it refunds withholding tax",
+        oasRecoveryModeLabel: "OAS Recovery Tax", oasRecoverySameYear: "Same-Year Income", oasRecoveryLagged: "Withheld on Income 2 Years Earlier + Return of Income",
+        oasRecoveryModeTooltip: "Non-residents have the recovery tax withheld from OAS based on income reported two years earlier. The annual Return of Income settles the difference the following year (refund or extra payment).",
+        withholdingTitle: "Canadian Withholding Tax (%)",
+        withholdingTooltip: "Part XIII rates by income type. Defaults follow the Canada-Thailand treaty (25% on all pension types). RRIF payments up to the greater of 2x the minimum and 10% of the opening value are periodic; the rest is excess. RRSP withdrawals before the RRIF minimum starts are lump sums.",
+        whtCpp: "CPP", whtOas: "OAS", whtPension: "Periodic Pension", whtRrifPeriodic: "RRIF Periodic", whtRrifExcess: "RRIF Excess", whtRrspLumpSum: "RRSP Lump Sum", whtLif: "LIF",
+        section217Tooltip: "Recomputes CPP, OAS, pension and RRSP/RRIF/LIF income at federal rates (+48% non-resident surtax). If that is less than the 25% withheld, the difference is refunded the following year.",
         returnRRSP: "RRSP/RRIF (%)", returnTFSA: "TFSA (%)", returnNonReg: "Non-Reg (%)", returnLIF: "LIF (%)",
         stdevRRSP: "RRSP StDev (%)", stdevTFSA: "TFSA StDev (%)", stdevNonReg: "Non-Reg StDev (%)", stdevLIF: "LIF StDev (%)",
-        runMonteCarloBtn: "Run Monte Carlo", monteCarloRunsLabel: "Runs:",
-        mcTitle: "Monte Carlo Simulation Results", mcSubTitle: (runs) => `Based on ${runs.toLocaleString()} randomized runs`,
-        mcSuccessRate: "Success Rate", mcSuccessDesc: "(% of runs not depleting assets)",
+        returnDistributionLabel: "Return Distribution", returnDistributionTooltip: "Monte Carlo (Normal mode) only. Lognormal never loses more than 100%; Student-t adds crash years (lower DoF = fatter tails). Mean and StDev stay the same.",
+        distNormal: "Normal", distLognormal: "Lognormal", distStudentT: "Student-t (Fat Tails)", returnDfLabel: "Degrees of Freedom",
+        runMonteCarloBtn: "Run Monte Carlo", cancelMonteCarloBtn: "Cancel", mcCancelled: "Monte Carlo cancelled.",
+        mcRunningProgress: (pa, pb) => `Running A ${pa}% | B ${pb}%`, monteCarloRunsLabel: "Runs:", monteCarloSeedLabel: "Seed:",
+        monteCarloReturnModeLabel: "Returns:", mcModeNormal: "Normal (Mean/StDev)", mcModeBootstrap: "Historical Bootstrap", monteCarloBlockLengthLabel: "Block (Years):",
+        legendAllocation: "Historical Mix for Bootstrap MC (%)", allocEquity: "Equity (%)", allocBonds: "Bonds (%)", allocCash: "Cash (%)",
+        legendCorrelation: "Return Correlations for Monte Carlo (-1 to 1)", sharedMarketDrawLabel: "One shared market draw per year (all accounts move together)",
+        mcTitle: "Monte Carlo Simulation Results", mcSubTitle: (runs, seed) => `Based on ${runs.toLocaleString()} randomized runs` + (seed !== undefined ? ` (Seed: ${seed})` : ''),
+        mcSuccessRate: "Success Rate", mcSuccessDesc: "(% of runs with no cash shortfall)",
         mcP10: "10th Percentile", mcP10Desc: "(Bottom 10% outcome)",
         mcMedian: "Median", mcMedianDesc: "(50th percentile outcome)",
         mcP90: "90th Percentile", mcP90Desc: "(Top 10% outcome)",
         mcFinalAssets: "Final Total Assets",
         mcGraphTitleA: "Monte Carlo Graph (Scenario A)", 
         mcGraphTitleB: "Monte Carlo Graph (Scenario B)", 
+        mcFxGraphTitle: "Exchange Rate Paths (1 CAD = ? THB, P10-P90)", mcFxFinal: "Exchange Rate at Final Age", mcFxFinalDesc: "(P10 / Median / P90, THB per CAD)",
         runOptimizedMonteCarloBtn: "Run Optimized MC", optimizedMonteCarloRunsLabel: "Optimized Runs:",
         section2Title: "2. Analysis Results", loadingText: "Calculating...",
         toggleGraphBtn: "Show/Hide Graph", toggleTableBtn: "Show/Hide Detailed Data", exportCsvBtn: "Export CSV",
-        runOptimizationBtn: "Run Optimization (N/A)",
+        runOptimizationBtn: "Run Optimization",
         loadingTextOptimizer: "Running Optimization...",
+        // [NEW] Optimizer (CPP/OAS timing, strategy, retirement age)
+        optimizationObjectiveLabel: "Optimize For:", optObjectiveFinalAssets: "Max Final Assets", optObjectiveLifetimeTax: "Min Lifetime Tax", optObjectiveLowestAssets: "Max Lowest Balance",
+        optRetireAgeRangeLabel: "Retire Age (From-To):", optRetireAgeRangeTooltip: "Range of retirement ages to search. Leave blank to keep each scenario's current retirement age. Assets are treated as the balances at retirement.",
+        optSpendingFloorLabel: "Spending Floor ($/yr, today's):", optSpendingFloorTooltip: "Lowest yearly spending you would accept, in today's dollars. A combination is infeasible if the spending it can fund (expenses less any shortfall) drops below this in any year or the money runs out before life expectancy. Feasible combinations are ranked by the objective. Leave blank for no floor (every year must be fully funded).",
+        optProgress: (label, count) => `Running Optimization... (${label}: ${count} combinations)`,
+        optComplete: (nA, nB) => `Optimization Complete (A: ${nA} combinations, B: ${nB} combinations tested)`,
+        optSummaryTitle: "Optimization Summary", optDetailsTitle: "Top Combinations", optGraphTitle: "Total Assets: Current Inputs vs Best Combination",
+        optObjectiveLabel: "Objective:", optRankingNote: "Combinations that fund all spending to life expectancy rank first.",
+        optRankingNoteFloor: (floor) => `Combinations that keep funded spending at or above ${floor}/yr (today's dollars) to life expectancy rank first.`,
+        optRowCurrent: "Current Inputs", optRowBest: "Best Found", optColScenario: "Scenario", optColRank: "#",
+        optColRetireAge: "Retire Age", optColCpp: "CPP Start (You / Spouse)", optColOas: "OAS Start (You / Spouse)", optColStrategy: "Strategy",
+        optColLifetimeTax: "Lifetime Tax", optColLowestAssets: "Lowest Balance", optColLowestSpending: "Lowest Spending (Today's $)", optColFundedTo: "Spending Funded To", optColVsCurrent: "vs Current",
+        optFundedFull: "Full", optStrategyAuto: "Smart Auto", optStrategyRrspFirst: "RRSP Meltdown First", optStrategyNonregFirst: "Non-Reg First",
         modalTitle: "Manage Income & Expenses", modalAddTitle: "Add/Edit Item",
         incomeTypeLabel: "Type", incomeTypeIncome: "Income", incomeTypeExpense: "Expense",
         incomeTypePension: "Income: Pension (Tax Exempt in Thailand)", incomeTypeOther: "Income: Other (Taxable in Thailand)",
@@ -75,12 +158,24 @@ const translations = {
         createdBy: "Created by ", agreeLabel: "I understand and agree.", confirmBtn: "Confirm",
         metricsTitle: "Key Metrics Summary", metricsFinalAssets: "Final Total Assets", metricsTotalIncomeGross: "Total Income (Gross)", metricsTotalTaxesPaid: "Total Taxes (Can WHT + Thai)",
         metricsScenarioA: "Scenario A", metricsScenarioB: "Scenario B", metricsDifference: "Difference (B - A)",
+        metricsSustainableThb: "Sustainable Thai Spending (THB / month)", metricsSustainableTooltip: "All expense items scaled up or down together until the money lasts exactly to the end of the plan; shown as the first retirement year's Thai living expenses in baht per month (overseas expenses are scaled too but not counted here).",
+        metricsShortfallAge: "Money Runs Short At", metricsShortfallNone: "Never", metricsShortfallTooltip: "Age in the first year income and withdrawals do not cover expenses and Canadian tax, or the assets run out. A Monte Carlo path fails on the same test.",
+        resultsCurrencyLabel: "Currency", resultsPeriodLabel: "Period", periodAnnual: "Annual", periodMonthly: "Monthly",
+        resultsDollarsLabel: "Dollars", dollarsNominal: "Nominal", dollarsReal: "Today's Dollars",
+        mcUnitsNote: "Monte Carlo values are CAD balances: the Currency and Period settings apply to the yearly results only (Dollars applies to both).",
+        resultsDollarsTooltip: "Today's dollars divide every amount by the price level of its year (the scenario's COLA since the base year; each Monte Carlo path uses its own inflation path).",
+        displayUnits: (currency, period, dollars) => `${currency} / ${period === 'monthly' ? 'month' : 'year'}` + (dollars === 'real' ? ", today's dollars" : ''),
         tableTitle: "Detailed Year-by-Year Comparison", colAge: "Age", colTotalAssets: "Total Assets",
         colIncomeCPP: "Inc: CPP", colIncomeOAS: "Inc: OAS", colIncomeGIS: "Inc: GIS", colIncomeOther: "Inc: Other", colIncomeTotal: "Inc: Total",
         colExpenses: "Expenses", colTaxesPaid: "Taxes (Total)", colNetCashflow: "Net Cashflow",
         colWdRRSP: "WD: RRSP", colWdLIF: "WD: LIF", colWdNonReg: "WD: NonReg", colWdTFSA: "WD: TFSA", colWdTotal: "WD: Total",
+        colLifMaxReached: "LIF Max", lifMaxReachedFlag: "Reached", lifMaxShortfallFlag: "Reached (spending unfunded)", colCashShortfall: "Shortfall", chartShortfall: "Shortfall",
+        colWdShortfall: "WD: Unfunded", metricsShortfallLifCap: "LIF max",
         colOASClawback: "OAS Clawback", colTaxableIncome: "Thai Taxable Inc.",
         colBalRRSP: "Bal: RRSP", colBalLIF: "Bal: LIF", colBalNonReg: "Bal: NonReg", colBalTFSA: "Bal: TFSA",
+        colRemitTaxable: "Remit: Taxable", colRemitPre2024: "Remit: Pre-2024", colRealizedGain: "Realized Gain", colSection217Refund: "S.217 Refund",
+        colOasRecoveryWithheld: "OAS Rec.: Withheld", colOasRecoveryLiability: "OAS Rec.: Liability", colOasRecoverySettlement: "OAS Rec.: Settlement",
+        colSurvivorBenefits: "Survivor Benefits", colContributions: "Contributions",
         prefixA: "A: ", prefixB: "B: ", errSimFailed: "Error during calculation: ",
         simComplete: (yrsA, yrsB) => `Simulation Complete (A: ${yrsA} years, B: ${yrsB} years)`
     },
@@ -94,28 +189,111 @@ const translations = {
         section1Title: "1. 정보 입력", legendBasicInfo: "기본 정보",
         exchangeRateLabel: "환율 (1 CAD = ? 바트)",
         exchangeRateTooltip: "태국으로 송금된 소득의 태국 세금 계산 시 사용됩니다.",
+        fxDriftLabel: "환율 추세 (%/년)", fxDriftTooltip: "CAD당 바트의 연간 예상 변화율. 음수 = 바트 강세 (CAD 기준 태국 생활비 증가).",
+        fxVolatilityLabel: "환율 변동성 (%)", fxMeanReversionLabel: "환율 평균회귀 (0-1)",
+        fxPathModeLabel: "환율 경로 (결정론적)", fxPathModeTooltip: "결정론적 실행에서 연도별로 적용할 환율입니다 (태국 세금, 바트 기준 태국 생활비, THB 표시). 추세는 위의 환율 추세를 기준 연도부터 복리로 적용하며, 몬테카를로는 자체 환율 과정을 사용합니다.",
+        fxPathFlat: "고정 환율", fxPathDrift: "연간 추세 (환율 추세)", fxPathTable: "연도별 표",
+        fxPathTableLabel: "환율 표 (연도: 환율)", fxPathTableTooltip: "연도별 표 선택 시 사용합니다. 각 환율은 해당 연도부터 다음 항목 전까지 유지되며, 이전 연도는 위의 환율을 사용합니다. 예: 2030년부터 바트 20% 강세: 2030: 20.83",
+        fxMeanReversionTooltip: "몬테카를로 전용. 0 = 충격 지속 (랜덤워크), 1 = 매년 추세 경로로 복귀.",
+        inflationVolatilityLabel: "물가 변동성 (%)", inflationVolatilityTooltip: "몬테카를로 전용. 전체 물가상승률을 중심으로 한 연간 물가 충격. 0 = 항상 전체 물가상승률 적용.",
+        inflationPersistenceLabel: "물가 지속성 (0-0.99)", inflationPersistenceTooltip: "전년도 물가 충격이 올해로 이어지는 정도. 높을수록 고/저물가 기간이 길어집니다.",
+        incomeCpiLinkedLabel: "CPI 연동 (시나리오 물가 적용)", incomeCpiLinkedTooltip: "CPP/OAS처럼 실제 물가에 연동됩니다. 고정 인상률 항목(예: 2% 상한 연금)은 체크하지 마세요.",
+        incomeCurrencyLabel: "통화", incomeCurrencyTooltip: "THB 항목은 바트로 입력하며 바트 기준 개별 물가상승률(태국 물가, CPI 연동 미적용)로 증가합니다. 매년 해당 연도 환율로 환산됩니다. CAD 항목은 환율 변동과 관계없이 CAD 금액 그대로 유지됩니다.",
+        incomeSurvivorPctLabel: "유족 연금 비율 (%)", incomeSurvivorPctTooltip: "연금 항목 전용. 소유자 사망 후 생존 배우자에게 계속 지급되는 비율입니다 (예: 60% 유족 DB 연금이면 60).",
+        survivorTitle: "유족 시나리오", firstDeathPersonLabel: "먼저 사망하는 사람", firstDeathNone: "적용 안 함", firstDeathUser: "본인", firstDeathSpouse: "배우자",
+        firstDeathTooltip: "선택한 나이가 되는 해의 초에 배우자 한 명이 사망하는 경우를 모델링합니다. RRSP/RRIF, LIF, TFSA, 비등록 계좌는 생존 배우자에게 비과세로 이전되고, 사망자의 OAS는 중단되며, 생존자는 CPP 유족 연금(본인 CPP와 합산 시 최대액 한도)을 받고 DB 연금은 유족 비율로 계속 지급됩니다. 본인이 먼저 사망하면 생존 배우자의 기대 수명까지 계산합니다.",
+        firstDeathAgeLabel: "사망 나이",
+        survivorExpenseLabel: "사망 후 가계 지출 (%)", survivorExpenseTooltip: "첫 사망 이후 소유자와 관계없이 지출 항목에 이 비율을 적용합니다. 개인 지출로 표시된 항목은 소유자 사망 시 중단되고, 생존자의 개인 지출은 그대로 유지됩니다.",
+        incomePersonalLabel: "개인 지출 (소유자 사망 시 중단)", incomePersonalTooltip: "지출 항목 전용. 임대료나 생활비 같은 가계 지출은 체크하지 마세요. 생존자 시나리오에서 설정한 비율로 계속됩니다.",
+        mcDepletionGraphTitle: "자금 부족 발생 나이 (전체 경로 대비 %)", mcSurvivalGraphTitle: "나이별 자산 유지 확률",
+        mcDepletionMedian: "일반적인 자금 부족 나이", mcDepletionMedianDesc: "(실패 경로의 중간값 / P10 나이)", mcDepletionNone: "실패 경로 없음",
+        // [NEW] Life-table mortality
+        userSexLabel: "성별 (생명표)", sexTooltip: "몬테카를로 생명표 모드에서 사망 나이를 추출할 때만 사용됩니다. 미지정 시 남녀 생명표의 평균을 사용합니다.",
+        sexUnspecified: "미지정", sexMale: "남성", sexFemale: "여성",
+        monteCarloMortalityLabel: "수명:", mcMortalityFixed: "고정 (기대 수명)", mcMortalityLifeTable: "생명표 (무작위)",
+        monteCarloMortalityTooltip: "생명표 모드는 경로마다 각 사람의 사망 나이를 추출합니다 (성별·출생연도별 캐나다식 생명표, 사망률 개선 반영). 이때 성공은 가구가 생존하는 동안 자금이 유지된 경우를 의미하며, 첫 사망 설정은 추출된 나이로 대체됩니다.",
+        mcSuccessDescLifeTable: "(가구 생존 기간 동안 자금이 유지된 비율)",
+        mcOutliveHousehold: "가구가 자산보다 오래 생존", mcOutliveHouseholdDesc: "(자금 부족 시점에 생존자가 있는 경우)",
+        mcOutliveUser: "본인이 자산보다 오래 생존", mcOutliveSpouse: "배우자가 자산보다 오래 생존", mcOutliveBoth: "두 사람 모두 자산보다 오래 생존",
+        mcDeathAgeMedian: "사망 나이 중간값", mcDeathAgeMedianDesc: "(본인 / 배우자, 생명표 추출)",
+        mcEstateMedian: "유산 중간값", mcEstateMedianDesc: "(마지막 사망 시 남은 자산)",
+        mcEstateGraphTitle: "마지막 사망 시 유산 (전체 경로 대비 %)", mcEstateNone: "남은 자산 없음",
+        mcCpiFinal: "최종 나이 시점 누적 물가", mcCpiFinalDesc: "(P10 / 중간값 / P90, 2025년 대비 물가 수준)",
         legendYourInfo: "소득 계획", userBirthYearLabel: "생년", userCppAt65Label: "65세 기준 예상 CPP (연간)", cppTooltip: "'My Service Canada Account' 확인",
         userYearsInCanadaLabel: "캐나다 거주 기간 (18세 이후)", userYearsInCanadaTooltip: "OAS 수령 자격 계산용 (최대 40년).",
+        // [NEW] Thai deductions profile
+        thaiDeductionsTitle: "태국 세금 공제", thaiSeniorLabel: "65세 이상 면제 (190,000 THB)", thaiSeniorTooltip: "해당 인물이 65세가 되는 해부터 자동 적용됩니다.",
+        thaiSpouseAllowanceLabel: "배우자 공제 (60,000 THB)", thaiSpouseAllowanceTooltip: "배우자에게 태국 과세 소득이 없는 경우에만 해당됩니다.",
+        thaiChildrenLabel: "자녀 수 (1인당 30,000 THB)", thaiChildrenUntilAgeLabel: "자녀 공제 종료 나이", thaiChildrenUntilAgeTooltip: "자녀 공제를 받는 마지막 나이 (본인 기준). 0 = 매년 적용.",
+        thaiHealthInsuranceLabel: "건강보험료 (THB/년)", thaiLifeInsuranceLabel: "생명보험료 (THB/년)",
+        thaiInsuranceTooltip: "건강보험 최대 25,000 THB, 생명보험 최대 100,000 THB, 합산 100,000 THB까지 공제됩니다. 보험료 자체는 지출로 추가하세요.",
         legendOtherIncome: "기타 소득 및 지출", otherIncomeDesc: "연금, 임대 소득, 생활비 등을 관리합니다.",
         manageIncomeExpensesBtn: "[ 수입 및 지출 관리 ]",
         legendAssumptions: "공통 가정", colaLabel: "전체 물가상승률 (%)", lifeExpectancyLabel: "최대 계산 나이",
         legendGrowth: "계좌별 성장률 (%)", legendGrowthAssumptionsIncome: "성장률, 가정치 & 기타 항목",
         runAnalysisBtn: "분석 실행", retirementAgeLabel: "은퇴 나이", cppStartAgeLabel: "CPP 시작", oasStartAgeLabel: "OAS 시작",
         legendAssets: "은퇴 시점 자산", assetRRSP: "RRSP/RRIF", assetTFSA: "TFSA", assetNonReg: "비등록 (총액)", assetLIF: "LIF",
+        // [NEW] Pre-retirement accumulation
+        accumulationTitle: "은퇴 전 저축", accumulationEnabledLabel: "위 잔액은 현재 잔액 (은퇴까지 저축)",
+        accumulationTooltip: "선택하면 현재 나이에서 위 잔액으로 시작해 은퇴 전 수익률로 불리고, 은퇴 전년도까지 매년 납입액을 더합니다. 결과와 그래프가 전체 기간을 포함하므로 같은 출발점에서 여러 은퇴 나이를 비교할 수 있습니다.",
+        currentAgeLabel: "현재 나이", contribGrowthLabel: "납입액 증가율 (%/년)",
+        accumReturnRrspLabel: "은퇴 전 RRSP 수익률 (%)", accumReturnTfsaLabel: "은퇴 전 TFSA 수익률 (%)", accumReturnNonRegLabel: "은퇴 전 비등록 수익률 (%)",
+        contribRrspLabel: "RRSP 납입액 (연간)", contribTfsaLabel: "TFSA 납입액 (연간)", contribNonRegLabel: "비등록 납입액 (연간)",
+        contribRrspSpouseLabel: "배우자 RRSP 납입액", contribTfsaSpouseLabel: "배우자 TFSA 납입액", contribNonRegSpouseLabel: "배우자 비등록 납입액",
+        contribLimitTooltip: "RRSP와 TFSA 납입액은 연도별 한도(2025년: $32,490 / $7,000, 물가 연동)로 제한되며 초과분은 비등록 계좌로 들어갑니다. RRSP 소득 18% 한도와 미사용 한도 이월은 반영하지 않습니다.",
+        pre2024TfsaLabel: "2024년 이전 TFSA 저축분", pre2024NonRegLabel: "2024년 이전 비등록 저축분",
+        pre2024SpouseTfsaLabel: "배우자 2024년 이전 TFSA 저축분", pre2024SpouseNonRegLabel: "배우자 2024년 이전 비등록 저축분",
+        nonRegGainsLabel: "비등록 미실현 이익", nonRegGainsSpouseLabel: "배우자 비등록 미실현 이익",
+        lifJurisdictionLabel: "LIF 관할", lifJurisdictionTooltip: "잠금 자금에 적용되는 연금법입니다. 매년 LIF 인출액은 해당 관할의 최대 계수 × 연초 잔액으로 제한되며, 부족분은 다른 계좌에서 충당합니다.",
+        lifJurON: "온타리오", lifJurBC: "브리티시컬럼비아", lifJurAB: "앨버타", lifJurQC: "퀘벡", lifJurFED: "연방 (PBSA)",
+        rrifConversionAgeLabel: "RRIF 전환 나이", rrifConversionAgeTooltip: "RRSP가 RRIF로 전환되는 나이입니다 (최대 71세). 그 해부터 RRIF와 LIF의 최소 인출이 시작되며, 71세 미만의 최소 인출률은 1/(90 - 나이)입니다.",
+        rrifAgeBasisLabel: "RRIF 최소 인출 기준", rrifAgeBasisTooltip: "나이가 적은 배우자의 나이를 선택하면 RRIF/LIF 강제 최소 인출액이 줄어듭니다. 부부에게만 적용됩니다.",
+        rrifAgeOwn: "본인 나이", rrifAgeSpouse: "배우자 나이",
+        nonRegGainsTooltip: "은퇴 시점의 시장가치에서 조정원가(ACB)를 뺀 금액입니다. 인출할 때마다 이익의 비례 몫이 실현됩니다.",
+        pre2024Tooltip: "2023년 12월 31일에 이미 보유하던 금액입니다. 태국으로 비과세 송금할 수 있으며, 나머지와 이후 모든 수익은 송금 시 과세됩니다.",
+        remittanceOrderLabel: "태국 송금 순서", remittanceOrderTooltip: "태국으로 송금되는 비등록/TFSA 인출액을 어느 풀에서 먼저 꺼낼지: 2024년 이전 저축분(비과세) 또는 2024년 이후 수익(과세).",
+        remitPrincipalFirst: "2024년 이전 저축분 먼저", remitEarningsFirst: "2024년 이후 수익 먼저", remitProRata: "비례 배분",
+        section217Label: "원천징수세 환급이 있으면 Section 217 신고",
+        oasRecoveryModeLabel: "OAS 회수세", oasRecoverySameYear: "당해 연도 소득 기준", oasRecoveryLagged: "2년 전 소득 기준 원천징수 + 소득 신고서 정산",
+        oasRecoveryModeTooltip: "비거주자는 2년 전에 신고한 소득을 기준으로 OAS에서 회수세가 원천징수됩니다. 연간 소득 신고서(Return of Income)로 다음 해에 차액을 정산합니다(환급 또는 추가 납부).",
+        withholdingTitle: "캐나다 원천징수세 (%)",
+        withholdingTooltip: "소득 유형별 Part XIII 세율입니다. 기본값은 캐나다-태국 조세조약(모든 연금 유형 25%)을 따릅니다. RRIF 지급액은 최소 인출액의 2배와 연초 잔액의 10% 중 큰 금액까지 정기 지급이며, 나머지는 초과분입니다. RRIF 최소 인출이 시작되기 전 RRSP 인출은 일시금입니다.",
+        whtCpp: "CPP", whtOas: "OAS", whtPension: "정기 연금", whtRrifPeriodic: "RRIF 정기 지급", whtRrifExcess: "RRIF 초과분", whtRrspLumpSum: "RRSP 일시금", whtLif: "LIF",
+        section217Tooltip: "CPP, OAS, 연금, RRSP/RRIF/LIF 소득을 연방 세율(+비거주자 부가세 48%)로 다시 계산합니다. 25% 원천징수액보다 적으면 차액이 다음 해에 환급됩니다.",
         returnRRSP: "RRSP/RRIF (%)", returnTFSA: "TFSA (%)", returnNonReg: "비등록 (%)", returnLIF: "LIF (%)",
         stdevRRSP: "RRSP 표준편차 (%)", stdevTFSA: "TFSA 표준편차 (%)", stdevNonReg: "비등록 표준편차 (%)", stdevLIF: "LIF 표준편차 (%)",
-        runMonteCarloBtn: "몬테카를로 실행", monteCarloRunsLabel: "횟수:",
-        mcTitle: "몬테카를로 시뮬레이션 결과", mcSubTitle: (runs) => `${runs.toLocaleString()}회 무작위 실행 기반`,
-        mcSuccessRate: "성공률", mcSuccessDesc: "(자산이 고갈되지 않은 비율)",
+        returnDistributionLabel: "수익률 분포", returnDistributionTooltip: "몬테카를로(정규 모드) 전용. 로그정규는 -100% 미만 손실이 없고, 스튜던트-t는 폭락 연도를 반영합니다 (자유도가 낮을수록 꼬리가 두꺼움). 평균과 표준편차는 동일합니다.",
+        distNormal: "정규분포", distLognormal: "로그정규분포", distStudentT: "스튜던트-t (두꺼운 꼬리)", returnDfLabel: "자유도",
+        runMonteCarloBtn: "몬테카를로 실행", cancelMonteCarloBtn: "취소", mcCancelled: "몬테카를로 시뮬레이션이 취소되었습니다.",
+        mcRunningProgress: (pa, pb) => `실행 중 A ${pa}% | B ${pb}%`, monteCarloRunsLabel: "횟수:", monteCarloSeedLabel: "시드:",
+        monteCarloReturnModeLabel: "수익률:", mcModeNormal: "정규분포 (평균/표준편차)", mcModeBootstrap: "과거 수익률 재표본", monteCarloBlockLengthLabel: "블록 (년):",
+        legendAllocation: "과거 수익률 재표본용 자산 배분 (%)", allocEquity: "주식 (%)", allocBonds: "채권 (%)", allocCash: "현금 (%)",
+        legendCorrelation: "몬테카를로 수익률 상관계수 (-1 ~ 1)", sharedMarketDrawLabel: "연도별 단일 시장 변동 적용 (모든 계좌 동일 움직임)",
+        mcTitle: "몬테카를로 시뮬레이션 결과", mcSubTitle: (runs, seed) => `${runs.toLocaleString()}회 무작위 실행 기반` + (seed !== undefined ? ` (시드: ${seed})` : ''),
+        mcSuccessRate: "성공률", mcSuccessDesc: "(자금 부족이 없었던 비율)",
         mcP10: "하위 10%", mcP10Desc: "(보수적 결과)", mcMedian: "중간값", mcMedianDesc: "(일반적 결과)", mcP90: "상위 10%", mcP90Desc: "(낙관적 결과)",
         mcFinalAssets: "최종 총 자산",
         mcGraphTitleA: "몬테카를로 그래프 (시나리오 A)", 
         mcGraphTitleB: "몬테카를로 그래프 (시나리오 B)", 
+        mcFxGraphTitle: "환율 경로 (1 CAD = ? 바트, P10-P90)", mcFxFinal: "최종 나이 시점 환율", mcFxFinalDesc: "(P10 / 중간값 / P90, CAD당 바트)",
         runOptimizedMonteCarloBtn: "최적화 MC 실행", optimizedMonteCarloRunsLabel: "최적화 횟수:",
         section2Title: "2. 분석 결과", loadingText: "계산 중...",
         toggleGraphBtn: "그래프 보기/숨기기", toggleTableBtn: "상세 데이터 보기/숨기기", exportCsvBtn: "CSV 저장",
-        runOptimizationBtn: "최적화 실행 (미지원)",
+        runOptimizationBtn: "최적화 실행",
         loadingTextOptimizer: "최적화 중...",
+        // [NEW] Optimizer (CPP/OAS timing, strategy, retirement age)
+        optimizationObjectiveLabel: "최적화 기준:", optObjectiveFinalAssets: "최종 자산 최대", optObjectiveLifetimeTax: "평생 세금 최소", optObjectiveLowestAssets: "최저 잔액 최대",
+        optRetireAgeRangeLabel: "은퇴 나이 (부터-까지):", optRetireAgeRangeTooltip: "탐색할 은퇴 나이 범위입니다. 비워두면 각 시나리오의 현재 은퇴 나이를 유지합니다. 자산은 은퇴 시점의 잔액으로 간주됩니다.",
+        optSpendingFloorLabel: "최소 지출 ($/년, 현재 가치):", optSpendingFloorTooltip: "허용할 수 있는 최소 연간 지출(현재 달러 가치)입니다. 충당 가능한 지출(지출에서 부족분을 뺀 금액)이 어느 해라도 이 금액 아래로 떨어지거나 기대 수명 전에 자금이 소진되면 해당 조합은 불가능으로 표시됩니다. 가능한 조합은 최적화 기준으로 순위가 매겨집니다. 비워두면 최소 지출 없이 매년 전액 충당을 요구합니다.",
+        optProgress: (label, count) => `최적화 중... (${label}: ${count}개 조합)`,
+        optComplete: (nA, nB) => `최적화 완료 (A: ${nA}개, B: ${nB}개 조합 검토)`,
+        optSummaryTitle: "최적화 요약", optDetailsTitle: "상위 조합", optGraphTitle: "총 자산: 현재 입력 vs 최적 조합",
+        optObjectiveLabel: "기준:", optRankingNote: "기대 수명까지 모든 지출을 충당하는 조합이 먼저 순위에 오릅니다.",
+        optRankingNoteFloor: (floor) => `기대 수명까지 충당 지출을 연 ${floor}(현재 가치) 이상으로 유지하는 조합이 먼저 순위에 오릅니다.`,
+        optRowCurrent: "현재 입력", optRowBest: "최적 조합", optColScenario: "시나리오", optColRank: "#",
+        optColRetireAge: "은퇴 나이", optColCpp: "CPP 시작 (본인 / 배우자)", optColOas: "OAS 시작 (본인 / 배우자)", optColStrategy: "전략",
+        optColLifetimeTax: "평생 세금", optColLowestAssets: "최저 잔액", optColLowestSpending: "최저 지출 (현재 가치)", optColFundedTo: "지출 충당 나이", optColVsCurrent: "현재 대비",
+        optFundedFull: "전체", optStrategyAuto: "스마트 자동", optStrategyRrspFirst: "RRSP 우선 인출", optStrategyNonregFirst: "비등록 우선 인출",
         modalTitle: "수입 및 지출 관리", modalAddTitle: "항목 추가/수정",
         incomeTypeLabel: "유형", incomeTypeIncome: "수입", incomeTypeExpense: "지출",
         incomeTypePension: "수입: 연금 (태국 면세)", incomeTypeOther: "수입: 기타 (태국 과세)",
@@ -142,12 +320,24 @@ const translations = {
         createdBy: "제작: ", agreeLabel: "이해했으며 동의합니다.", confirmBtn: "확인",
         metricsTitle: "주요 지표 요약", metricsFinalAssets: "최종 총 자산", metricsTotalIncomeGross: "총 소득 (세전)", metricsTotalTaxesPaid: "총 납부 세금 (캐나다+태국)",
         metricsScenarioA: "시나리오 A", metricsScenarioB: "시나리오 B", metricsDifference: "차이 (B - A)",
+        metricsSustainableThb: "지속 가능한 태국 지출 (THB / 월)", metricsSustainableTooltip: "모든 지출 항목을 같은 비율로 늘리거나 줄여 자금이 계획 마지막 해까지 정확히 유지되는 수준을 찾습니다. 은퇴 첫 해의 태국 생활비를 월 바트로 표시합니다 (해외 지출도 함께 조정되지만 여기에는 포함되지 않습니다).",
+        metricsShortfallAge: "자금 부족 발생 나이", metricsShortfallNone: "없음", metricsShortfallTooltip: "수입과 인출로 지출과 캐나다 세금을 충당하지 못하거나 자산이 소진되는 첫 해의 나이입니다. 몬테카를로 경로도 같은 기준으로 실패를 판단합니다.",
+        resultsCurrencyLabel: "통화", resultsPeriodLabel: "기간", periodAnnual: "연간", periodMonthly: "월간",
+        resultsDollarsLabel: "금액 기준", dollarsNominal: "명목", dollarsReal: "현재 가치",
+        mcUnitsNote: "몬테카를로 값은 CAD 잔액입니다. 통화 및 기간 설정은 연도별 결과에만 적용됩니다 (금액 기준은 둘 다 적용).",
+        resultsDollarsTooltip: "현재 가치는 각 금액을 해당 연도의 물가 수준(기준 연도부터의 시나리오 COLA, 몬테카를로는 경로별 인플레이션)으로 나눈 값입니다.",
+        displayUnits: (currency, period, dollars) => `${currency} / ${period === 'monthly' ? '월' : '연'}` + (dollars === 'real' ? ', 현재 가치' : ''),
         tableTitle: "연도별 상세 비교", colAge: "나이", colTotalAssets: "총 자산",
         colIncomeCPP: "수입: CPP", colIncomeOAS: "수입: OAS", colIncomeGIS: "수입: GIS", colIncomeOther: "수입: 기타", colIncomeTotal: "수입: 총합",
         colExpenses: "지출", colTaxesPaid: "납부 세금 (총합)", colNetCashflow: "순현금흐름",
         colWdRRSP: "인출: RRSP", colWdLIF: "인출: LIF", colWdNonReg: "인출: 비등록", colWdTFSA: "인출: TFSA", colWdTotal: "인출: 총합",
+        colLifMaxReached: "LIF 최대", lifMaxReachedFlag: "도달", lifMaxShortfallFlag: "도달 (지출 미충당)", colCashShortfall: "부족액", chartShortfall: "자금 부족",
+        colWdShortfall: "인출: 미충당", metricsShortfallLifCap: "LIF 최대 한도",
         colOASClawback: "OAS Clawback", colTaxableIncome: "태국 과세대상 소득",
         colBalRRSP: "잔액: RRSP", colBalLIF: "잔액: LIF", colBalNonReg: "잔액: 비등록", colBalTFSA: "잔액: TFSA",
+        colRemitTaxable: "송금: 과세분", colRemitPre2024: "송금: 2024년 이전분", colRealizedGain: "실현 이익", colSection217Refund: "S.217 환급",
+        colOasRecoveryWithheld: "OAS 회수: 원천징수", colOasRecoveryLiability: "OAS 회수: 확정액", colOasRecoverySettlement: "OAS 회수: 정산",
+        colSurvivorBenefits: "유족 급여", colContributions: "납입액",
         prefixA: "A: ", prefixB: "B: ", errSimFailed: "계산 중 오류 발생: ",
         simComplete: (yrsA, yrsB) => `시뮬레이션 완료 (A: ${yrsA}년, B: ${yrsB}년)`
     }
@@ -163,51 +353,84 @@ function initializeCore() {
     const allElementIds = [
         'theme-toggle', 'lang-toggle', 'modal-lang-toggle',
         'load-scenario-btn', 'save-scenario-btn', 'scenario-file-input',
-        'exchangeRate',
+        'exchangeRate', 'fxDrift', 'fxVolatility', 'fxMeanReversion', 'fxPathMode', 'fxPathTable', // [NEW] Deterministic FX path
+        'exchangeRate_b', 'fxDrift_b', 'fxVolatility_b', 'fxMeanReversion_b', 'fxPathMode_b', 'fxPathTable_b',
         // A
-        'lifeExpectancy', 'retirementAge_a', 'userBirthYear', 'cppStartAge_a', 'userCppAt65', 'oasStartAge_a',
+        'lifeExpectancy', 'retirementAge_a', 'userBirthYear', 'userSex', 'cppStartAge_a', 'userCppAt65', 'oasStartAge_a',
         'userYearsInCanada',
         // [NEW] Spouse Income Plan A Inputs
-        'spouseBirthYear', 'spouseCppStartAge_a', 'spouseCppAt65', 'spouseOasStartAge_a', 'spouseYearsInCanada',
+        'spouseBirthYear', 'spouseSex', 'spouseCppStartAge_a', 'spouseCppAt65', 'spouseOasStartAge_a', 'spouseYearsInCanada',
+        // [NEW] Thai Deductions A
+        'userThaiSenior', 'userThaiSpouseAllowance', 'userThaiChildren', 'userThaiChildrenUntilAge', 'userThaiHealthInsurance', 'userThaiLifeInsurance',
+        'spouseThaiSenior', 'spouseThaiSpouseAllowance', 'spouseThaiChildren', 'spouseThaiChildrenUntilAge', 'spouseThaiHealthInsurance', 'spouseThaiLifeInsurance',
+        'firstDeathPerson_a', 'firstDeathAge_a', 'survivorExpensePct_a', // [NEW] Survivor scenario A
+        'accumulationEnabled_a', 'currentAge_a', 'contribGrowth_a', 'accumReturnRrsp_a', 'accumReturnTfsa_a', 'accumReturnNonreg_a', // [NEW] Accumulation A
+        'contribRrsp_a', 'contribTfsa_a', 'contribNonreg_a', 'contribRrspSpouse_a', 'contribTfsaSpouse_a', 'contribNonregSpouse_a',
         
-        'manage-income-btn', 'income-modal', 'save-income-btn', 'income-list', 'income-id', 'future-value-display', 'add-income-form', 'income-cola',
+        'manage-income-btn', 'income-modal', 'save-income-btn', 'income-list', 'income-id', 'future-value-display', 'add-income-form', 'income-cola', 'income-cpi-linked', 'income-survivor-pct', 'income-currency', 'income-personal',
         'income-type', 'income-owner', // [NEW] Owner dropdown A
         'asset_rrsp', 'asset_tfsa', 'asset_nonreg', 'asset_lif',
         // Scenario A: Couple/Spouse Assets
         'isCouple_a',
         'asset_rrsp_spouse', 'asset_tfsa_spouse', 'asset_nonreg_spouse', 'asset_lif_spouse',
+        'pre2024_tfsa', 'pre2024_nonreg', 'pre2024_tfsa_spouse', 'pre2024_nonreg_spouse', // [NEW] Thai remittance pools A
+        'gains_nonreg', 'gains_nonreg_spouse', // [NEW] Non-reg unrealized gain A
+        'userLifJurisdiction', 'spouseLifJurisdiction', // [NEW] LIF maximum tables A
+        'userRrifConversionAge', 'userRrifAgeBasis', 'spouseRrifConversionAge', 'spouseRrifAgeBasis', // [NEW] RRIF setup A
         
         // [NEW] Strategy Selection A
-        'withdrawalStrategy_a',
+        'withdrawalStrategy_a', 'remittanceOrder_a', 'section217_a', 'oasRecoveryMode_a',
+        'wht_cpp', 'wht_oas', 'wht_pension', 'wht_rrif_periodic', 'wht_rrif_excess', 'wht_rrsp_lump_sum', 'wht_lif', // [NEW] Part XIII table A
 
         'return_rrsp', 'return_tfsa', 'return_nonreg', 'return_lif', 'cola',
+        'inflationVolatility', 'inflationPersistence', // [NEW] Stochastic inflation A
         'stdev_rrsp', 'stdev_tfsa', 'stdev_nonreg', 'stdev_lif',
+        'returnDistribution_a', 'returnDf_a', // [NEW] MC return distribution A
+        'alloc_equity', 'alloc_bonds', 'alloc_cash', // [NEW] Bootstrap MC mix A
+        'corr_rrsp_tfsa', 'corr_rrsp_nonreg', 'corr_rrsp_lif', 'corr_tfsa_nonreg', 'corr_tfsa_lif', 'corr_nonreg_lif', 'sharedMarketDraw_a', // [NEW] MC correlations A
         // B
-        'lifeExpectancy_b', 'retirementAge_b', 'userBirthYear_b', 'cppStartAge_b', 'userCppAt65_b', 'oasStartAge_b',
+        'lifeExpectancy_b', 'retirementAge_b', 'userBirthYear_b', 'userSex_b', 'cppStartAge_b', 'userCppAt65_b', 'oasStartAge_b',
         'userYearsInCanada_b',
         // [NEW] Spouse Income Plan B Inputs
-        'spouseBirthYear_b', 'spouseCppStartAge_b', 'spouseCppAt65_b', 'spouseOasStartAge_b', 'spouseYearsInCanada_b',
+        'spouseBirthYear_b', 'spouseSex_b', 'spouseCppStartAge_b', 'spouseCppAt65_b', 'spouseOasStartAge_b', 'spouseYearsInCanada_b',
+        // [NEW] Thai Deductions B
+        'userThaiSenior_b', 'userThaiSpouseAllowance_b', 'userThaiChildren_b', 'userThaiChildrenUntilAge_b', 'userThaiHealthInsurance_b', 'userThaiLifeInsurance_b',
+        'spouseThaiSenior_b', 'spouseThaiSpouseAllowance_b', 'spouseThaiChildren_b', 'spouseThaiChildrenUntilAge_b', 'spouseThaiHealthInsurance_b', 'spouseThaiLifeInsurance_b',
+        'firstDeathPerson_b', 'firstDeathAge_b', 'survivorExpensePct_b', // [NEW] Survivor scenario B
+        'accumulationEnabled_b', 'currentAge_b', 'contribGrowth_b', 'accumReturnRrsp_b', 'accumReturnTfsa_b', 'accumReturnNonreg_b', // [NEW] Accumulation B
+        'contribRrsp_b', 'contribTfsa_b', 'contribNonreg_b', 'contribRrspSpouse_b', 'contribTfsaSpouse_b', 'contribNonregSpouse_b',
 
-        'manage-income-btn_b', 'income-modal_b', 'save-income-btn_b', 'income-list_b', 'income-id_b', 'future-value-display_b', 'add-income-form_b', 'income-cola_b',
+        'manage-income-btn_b', 'income-modal_b', 'save-income-btn_b', 'income-list_b', 'income-id_b', 'future-value-display_b', 'add-income-form_b', 'income-cola_b', 'income-cpi-linked_b', 'income-survivor-pct_b', 'income-currency_b', 'income-personal_b',
         'income-type_b', 'income-owner_b', // [NEW] Owner dropdown B
         'asset_rrsp_b', 'asset_tfsa_b', 'asset_nonreg_b', 'asset_lif_b',
         // Scenario B: Couple/Spouse Assets
         'isCouple_b',
         'asset_rrsp_spouse_b', 'asset_tfsa_spouse_b', 'asset_nonreg_spouse_b', 'asset_lif_spouse_b',
+        'pre2024_tfsa_b', 'pre2024_nonreg_b', 'pre2024_tfsa_spouse_b', 'pre2024_nonreg_spouse_b', // [NEW] Thai remittance pools B
+        'gains_nonreg_b', 'gains_nonreg_spouse_b', // [NEW] Non-reg unrealized gain B
+        'userLifJurisdiction_b', 'spouseLifJurisdiction_b', // [NEW] LIF maximum tables B
+        'userRrifConversionAge_b', 'userRrifAgeBasis_b', 'spouseRrifConversionAge_b', 'spouseRrifAgeBasis_b', // [NEW] RRIF setup B
 
         // [NEW] Strategy Selection B
-        'withdrawalStrategy_b',
+        'withdrawalStrategy_b', 'remittanceOrder_b', 'section217_b', 'oasRecoveryMode_b',
+        'wht_cpp_b', 'wht_oas_b', 'wht_pension_b', 'wht_rrif_periodic_b', 'wht_rrif_excess_b', 'wht_rrsp_lump_sum_b', 'wht_lif_b', // [NEW] Part XIII table B
 
         'return_rrsp_b', 'return_tfsa_b', 'return_nonreg_b', 'return_lif_b', 'cola_b',
+        'inflationVolatility_b', 'inflationPersistence_b', // [NEW] Stochastic inflation B
         'stdev_rrsp_b', 'stdev_tfsa_b', 'stdev_nonreg_b', 'stdev_lif_b',
+        'returnDistribution_b', 'returnDf_b', // [NEW] MC return distribution B
+        'alloc_equity_b', 'alloc_bonds_b', 'alloc_cash_b', // [NEW] Bootstrap MC mix B
+        'corr_rrsp_tfsa_b', 'corr_rrsp_nonreg_b', 'corr_rrsp_lif_b', 'corr_tfsa_nonreg_b', 'corr_tfsa_lif_b', 'corr_nonreg_lif_b', 'sharedMarketDraw_b', // [NEW] MC correlations B
         // Common
         'runAnalysisBtn', 'loading-indicator', 'results-container', 'break-even-text-result', 'additional-metrics-container',
-        'toggle-graph-btn', 'export-csv-btn',
+        'toggle-graph-btn', 'export-csv-btn', 'resultsCurrency', 'resultsPeriod', 'resultsDollars', // [NEW] Results display units
         'toggle-details-a-btn', 'toggle-details-b-btn', 'detailed-table-container-a', 'detailed-table-container-b',
         'welcome-modal', 'disclaimer-agree', 'agree-btn',
-        'runOptimizationBtn', 'optimizer-loading-indicator', 'optimizer-loading-text',
-        'runMonteCarloBtn', 'monteCarloRunsSelect', 'monte-carlo-results-container',
-        'mc-graph-container-area', 'mc-graph-a-container', 'mc-chart-a', 'mc-graph-b-container', 'mc-chart-b'
+        'runOptimizationBtn', 'optimizer-loading-indicator', 'optimizer-loading-text', 'optimizationObjective', 'optRetireAgeMin', 'optRetireAgeMax', 'optSpendingFloor', 'optimizer-graph-container', 'optimizer-results-chart', // [NEW] Optimizer
+        'runMonteCarloBtn', 'cancelMonteCarloBtn', 'monteCarloRunsSelect', 'monteCarloSeed', 'monteCarloReturnMode', 'monteCarloBlockLength', 'monteCarloBlockLength-container', 'monteCarloMortality', 'monte-carlo-results-container',
+        'mc-graph-container-area', 'mc-graph-a-container', 'mc-chart-a', 'mc-graph-b-container', 'mc-chart-b',
+        'mc-fx-graph-container', 'mc-fx-chart', 'mc-depletion-chart', 'mc-survival-chart',
+        'mc-estate-graph-container', 'mc-estate-chart' // [NEW] Life-table estate distribution
     ];
 
      allElementIds.forEach(id => {
@@ -328,16 +551,18 @@ function setLanguage(lang) {
              drawD3Chart(lastResults);
         }
     }
-    if (typeof getLastMonteCarloResults === 'function' && getLastMonteCarloResults()) {
-        const lastMCResults = getLastMonteCarloResults();
-        if (typeof displayMonteCarloResults === 'function') {
-            displayMonteCarloResults(lastMCResults.resultsA, lastMCResults.resultsB, lastMCResults.numRuns);
-        }
-        if (typeof drawMonteCarloChart === 'function' && elements.mc_graph_container_area && !elements.mc_graph_container_area.classList.contains('hidden')) {
-            drawMonteCarloChart(lastMCResults.resultsA.timeSeries, 'a');
-            drawMonteCarloChart(lastMCResults.resultsB.timeSeries, 'b');
+    // [NEW] Re-render optimizer output in the new language
+    if (typeof getLastOptimizationResults === 'function' && getLastOptimizationResults() && typeof lastRunWasOptimization !== 'undefined' && lastRunWasOptimization) {
+        const lastOpt = getLastOptimizationResults();
+        if (typeof displayOptimizationSummaryTable === 'function') displayOptimizationSummaryTable(lastOpt);
+        if (typeof displayOptimizationDetailedTable === 'function') displayOptimizationDetailedTable(lastOpt);
+        if (elements.break_even_text_result) elements.break_even_text_result.textContent = translations[lang].optComplete(lastOpt.resultsA.evaluated, lastOpt.resultsB.evaluated);
+        if (typeof drawOptimizationD3Chart === 'function' && elements.optimizer_graph_container && !elements.optimizer_graph_container.classList.contains('hidden')) {
+            drawOptimizationD3Chart(lastOpt);
         }
     }
+    // [MODIFIED] Same redraw path as the display-units toggles (keeps the today's-dollar bands)
+    if (typeof refreshMonteCarloDisplay === 'function') refreshMonteCarloDisplay();
 };
 
 function switchTab(tabName) {
@@ -356,10 +581,7 @@ function toggleTheme() {
     if (typeof getLastResultDetails === 'function' && getLastResultDetails() && typeof drawD3Chart === 'function' && elements.graph_container && !elements.graph_container.classList.contains('hidden')) {
         drawD3Chart(getLastResultDetails());
     }
-    if (typeof getLastMonteCarloResults === 'function' && getLastMonteCarloResults() && typeof drawMonteCarloChart === 'function' && elements.mc_graph_container_area && !elements.mc_graph_container_area.classList.contains('hidden')) {
-        drawMonteCarloChart(getLastMonteCarloResults().resultsA.timeSeries, 'a');
-        drawMonteCarloChart(getLastMonteCarloResults().resultsB.timeSeries, 'b');
-    }
+    if (typeof refreshMonteCarloDisplay === 'function') refreshMonteCarloDisplay();
 }
 function loadTheme() {
     const isDark = localStorage.getItem('theme') === 'dark';
@@ -367,9 +589,10 @@ function loadTheme() {
     if (isDark) { document.body.classList.add('dark-mode'); }
 }
 
-function formatCurrency(value) {
+function formatCurrency(value, currency) {
     if (typeof value !== 'number' || isNaN(value)) return '-';
-    return `$${Math.round(value).toLocaleString()}`;
+    const symbol = currency === 'THB' ? '฿' : '$'; // [NEW] Results pane can show baht
+    return `${symbol}${Math.round(value).toLocaleString()}`;
 }
 
 function formatYAxisLabel(value) {
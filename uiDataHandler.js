@@ -1,7 +1,7 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     10.1.0 (Feature: Add Withdrawal Strategy Input Handling)
+ * @version     10.14.0 (Refactor: Inputs mapped from the saved-file shape via scenarioIO.js)
  * @file        uiDataHandler.js
  * @created     2025-11-09
  * @description Manages data sync, input gathering. Now captures 'withdrawalStrategy' (Auto/RRSP-First/NonReg-First).
@@ -22,6 +22,10 @@ function initializeScenarioData(scenarioSuffix) {
     // 1. Initialize User Data
     dataStore.user = {
         birthYear: parseInt(elements[`userBirthYear${suffix}`]?.value) || 1980,
+        sex: elements[`userSex${suffix}`]?.value || 'unspecified', // [NEW] Life-table mortality
+        lifJurisdiction: elements[`userLifJurisdiction${suffix}`]?.value || 'ON', // [NEW] LIF maximum table
+        rrifConversionAge: parseInt(elements[`userRrifConversionAge${suffix}`]?.value) || 71, // [NEW] RRIF setup
+        rrifAgeBasis: elements[`userRrifAgeBasis${suffix}`]?.value || 'own',
         cppStartAge: parseInt(elements[`cppStartAge_${s}`]?.value) || 60,
         cppAt65: parseFloat(elements[`userCppAt65${suffix}`]?.value) || 0,
         oasStartAge: parseInt(elements[`oasStartAge_${s}`]?.value) || 65,
@@ -32,11 +36,18 @@ function initializeScenarioData(scenarioSuffix) {
             nonreg: parseFloat(elements[`asset_nonreg${suffix}`]?.value) || 0,
             lif: parseFloat(elements[`asset_lif${suffix}`]?.value) || 0,
         },
+        pre2024Savings: _readPre2024Savings('', suffix),
+        initialNonRegGains: parseFloat(elements[`gains_nonreg${suffix}`]?.value) || 0,
+        thaiDeductions: _readThaiDeductions('user', suffix),
     };
     
     // 2. Initialize Spouse Data (Assets + Income Plan)
     dataStore.spouse = {
         birthYear: parseInt(elements[`spouseBirthYear${suffix}`]?.value) || 1980,
+        sex: elements[`spouseSex${suffix}`]?.value || 'unspecified',
+        lifJurisdiction: elements[`spouseLifJurisdiction${suffix}`]?.value || 'ON',
+        rrifConversionAge: parseInt(elements[`spouseRrifConversionAge${suffix}`]?.value) || 71,
+        rrifAgeBasis: elements[`spouseRrifAgeBasis${suffix}`]?.value || 'own',
         cppStartAge: parseInt(elements[`spouseCppStartAge_${s}`]?.value) || 60,
         cppAt65: parseFloat(elements[`spouseCppAt65${suffix}`]?.value) || 0,
         oasStartAge: parseInt(elements[`spouseOasStartAge_${s}`]?.value) || 65,
@@ -46,19 +57,24 @@ function initializeScenarioData(scenarioSuffix) {
             tfsa: parseFloat(elements[`asset_tfsa_spouse${suffix}`]?.value) || 0,
             nonreg: parseFloat(elements[`asset_nonreg_spouse${suffix}`]?.value) || 0,
             lif: parseFloat(elements[`asset_lif_spouse${suffix}`]?.value) || 0,
-        }
+        },
+        pre2024Savings: _readPre2024Savings('_spouse', suffix),
+        initialNonRegGains: parseFloat(elements[`gains_nonreg_spouse${suffix}`]?.value) || 0,
+        thaiDeductions: _readThaiDeductions('spouse', suffix)
     };
 
     // 3. Setup Couple Toggle Listener
     const coupleCheckbox = elements[`isCouple_${s}`];
     const spouseAssetContainer = document.getElementById(`spouse-assets-container-${s}`);
     const spouseIncomeContainer = document.getElementById(`spouse-income-plan-container-${s}`); 
+    const spouseContribContainer = document.getElementById(`spouse-contrib-container-${s}`); // [NEW] Accumulation phase
 
     if (coupleCheckbox) {
         const toggleSpouseUI = () => {
             const isChecked = coupleCheckbox.checked;
             if (spouseAssetContainer) isChecked ? spouseAssetContainer.classList.remove('hidden') : spouseAssetContainer.classList.add('hidden');
             if (spouseIncomeContainer) isChecked ? spouseIncomeContainer.classList.remove('hidden') : spouseIncomeContainer.classList.add('hidden');
+            if (spouseContribContainer) spouseContribContainer.classList.toggle('hidden', !isChecked);
         };
 
         coupleCheckbox.addEventListener('change', () => {
@@ -72,23 +88,38 @@ function initializeScenarioData(scenarioSuffix) {
     // 4. Setup Input Sync Listeners (Scenario A only)
     if (s === 'a') {
         const scenarioAInputs = [
-            'exchangeRate',
-            'lifeExpectancy', 'cola',
+            'exchangeRate', 'fxDrift', 'fxVolatility', 'fxMeanReversion', 'fxPathMode', 'fxPathTable',
+            'lifeExpectancy', 'cola', 'inflationVolatility', 'inflationPersistence',
             'retirementAge_a',
-            'userBirthYear', 'cppStartAge_a', 'userCppAt65', 'oasStartAge_a',
+            'userBirthYear', 'userSex', 'userLifJurisdiction', 'userRrifConversionAge', 'userRrifAgeBasis', 'cppStartAge_a', 'userCppAt65', 'oasStartAge_a',
             'userYearsInCanada',
             // User Assets
             'asset_rrsp', 'asset_tfsa', 'asset_nonreg', 'asset_lif',
             // Spouse Assets
             'asset_rrsp_spouse', 'asset_tfsa_spouse', 'asset_nonreg_spouse', 'asset_lif_spouse',
+            // [NEW] Pre-2024 savings (Thai remittance pools)
+            'pre2024_tfsa', 'pre2024_nonreg', 'pre2024_tfsa_spouse', 'pre2024_nonreg_spouse',
+            // [NEW] Non-reg unrealized gain (ACB)
+            'gains_nonreg', 'gains_nonreg_spouse',
             // Spouse Income Plan
-            'spouseBirthYear', 'spouseCppStartAge_a', 'spouseCppAt65', 'spouseOasStartAge_a', 'spouseYearsInCanada',
+            'spouseBirthYear', 'spouseSex', 'spouseLifJurisdiction', 'spouseRrifConversionAge', 'spouseRrifAgeBasis', 'spouseCppStartAge_a', 'spouseCppAt65', 'spouseOasStartAge_a', 'spouseYearsInCanada',
+            // [NEW] Thai Deductions (User / Spouse)
+            ...THAI_DEDUCTION_INPUTS.map(f => `user${f}`), ...THAI_DEDUCTION_INPUTS.map(f => `spouse${f}`),
             // Settings
             'income-type', 'income-owner', 
             'return_rrsp', 'return_tfsa', 'return_nonreg', 'return_lif',
+            'alloc_equity', 'alloc_bonds', 'alloc_cash', // [NEW] Bootstrap MC mix
+            'corr_rrsp_tfsa', 'corr_rrsp_nonreg', 'corr_rrsp_lif', 'corr_tfsa_nonreg', 'corr_tfsa_lif', 'corr_nonreg_lif', 'sharedMarketDraw_a', // [NEW] MC correlations
+            'returnDistribution_a', 'returnDf_a', // [NEW] MC return distribution
             'isCouple_a',
             // [NEW] Strategy Sync
-            'withdrawalStrategy_a'
+            'withdrawalStrategy_a', 'remittanceOrder_a', 'section217_a', 'oasRecoveryMode_a',
+            // [NEW] Survivor scenario
+            'firstDeathPerson_a', 'firstDeathAge_a', 'survivorExpensePct_a',
+            // [NEW] Pre-retirement accumulation
+            ...ACCUMULATION_INPUTS.map(f => `${f}_a`),
+            // [NEW] Part XIII withholding table
+            ...WITHHOLDING_INCOME_TYPES.map(type => `wht_${type.toLowerCase()}`)
         ];
 
         scenarioAInputs.forEach(idA => {
@@ -110,6 +141,10 @@ function saveCurrentPersonData(scenarioSuffix) {
     // Save User
     dataStore.user = {
         birthYear: parseInt(elements[`userBirthYear${suffix}`]?.value) || 0,
+        sex: elements[`userSex${suffix}`]?.value || 'unspecified', // [NEW] Life-table mortality
+        lifJurisdiction: elements[`userLifJurisdiction${suffix}`]?.value || 'ON', // [NEW] LIF maximum table
+        rrifConversionAge: parseInt(elements[`userRrifConversionAge${suffix}`]?.value) || 71, // [NEW] RRIF setup
+        rrifAgeBasis: elements[`userRrifAgeBasis${suffix}`]?.value || 'own',
         cppStartAge: parseInt(elements[`cppStartAge_${s}`]?.value) || 0,
         cppAt65: parseFloat(elements[`userCppAt65${suffix}`]?.value) || 0,
         oasStartAge: parseInt(elements[`oasStartAge_${s}`]?.value) || 0,
@@ -119,12 +154,19 @@ function saveCurrentPersonData(scenarioSuffix) {
             tfsa: parseFloat(elements[`asset_tfsa${suffix}`]?.value) || 0,
             nonreg: parseFloat(elements[`asset_nonreg${suffix}`]?.value) || 0,
             lif: parseFloat(elements[`asset_lif${suffix}`]?.value) || 0,
-        }
+        },
+        pre2024Savings: _readPre2024Savings('', suffix),
+        initialNonRegGains: parseFloat(elements[`gains_nonreg${suffix}`]?.value) || 0,
+        thaiDeductions: _readThaiDeductions('user', suffix)
     };
 
     // Save Spouse
     dataStore.spouse = {
         birthYear: parseInt(elements[`spouseBirthYear${suffix}`]?.value) || 0,
+        sex: elements[`spouseSex${suffix}`]?.value || 'unspecified',
+        lifJurisdiction: elements[`spouseLifJurisdiction${suffix}`]?.value || 'ON',
+        rrifConversionAge: parseInt(elements[`spouseRrifConversionAge${suffix}`]?.value) || 71,
+        rrifAgeBasis: elements[`spouseRrifAgeBasis${suffix}`]?.value || 'own',
         cppStartAge: parseInt(elements[`spouseCppStartAge_${s}`]?.value) || 0,
         cppAt65: parseFloat(elements[`spouseCppAt65${suffix}`]?.value) || 0,
         oasStartAge: parseInt(elements[`spouseOasStartAge_${s}`]?.value) || 0,
@@ -134,7 +176,10 @@ function saveCurrentPersonData(scenarioSuffix) {
             tfsa: parseFloat(elements[`asset_tfsa_spouse${suffix}`]?.value) || 0,
             nonreg: parseFloat(elements[`asset_nonreg_spouse${suffix}`]?.value) || 0,
             lif: parseFloat(elements[`asset_lif_spouse${suffix}`]?.value) || 0,
-        }
+        },
+        pre2024Savings: _readPre2024Savings('_spouse', suffix),
+        initialNonRegGains: parseFloat(elements[`gains_nonreg_spouse${suffix}`]?.value) || 0,
+        thaiDeductions: _readThaiDeductions('spouse', suffix)
     };
 }
 
@@ -149,6 +194,10 @@ function loadPersonData(scenarioSuffix) {
 
     // Load User
     if(elements[`userBirthYear${suffix}`]) elements[`userBirthYear${suffix}`].value = personData.birthYear || '';
+    if(elements[`userSex${suffix}`]) elements[`userSex${suffix}`].value = personData.sex || 'unspecified';
+    if(elements[`userLifJurisdiction${suffix}`]) elements[`userLifJurisdiction${suffix}`].value = personData.lifJurisdiction || 'ON';
+    if(elements[`userRrifConversionAge${suffix}`]) elements[`userRrifConversionAge${suffix}`].value = personData.rrifConversionAge || 71;
+    if(elements[`userRrifAgeBasis${suffix}`]) elements[`userRrifAgeBasis${suffix}`].value = personData.rrifAgeBasis || 'own';
     if(elements[`cppStartAge_${s}`]) elements[`cppStartAge_${s}`].value = personData.cppStartAge || '';
     if(elements[`userCppAt65${suffix}`]) elements[`userCppAt65${suffix}`].value = personData.cppAt65 || '';
     if(elements[`oasStartAge_${s}`]) elements[`oasStartAge_${s}`].value = personData.oasStartAge || '';
@@ -157,10 +206,17 @@ function loadPersonData(scenarioSuffix) {
     if(elements[`asset_tfsa${suffix}`]) elements[`asset_tfsa${suffix}`].value = personData.assets?.tfsa || '';
     if(elements[`asset_nonreg${suffix}`]) elements[`asset_nonreg${suffix}`].value = personData.assets?.nonreg || '';
     if(elements[`asset_lif${suffix}`]) elements[`asset_lif${suffix}`].value = personData.assets?.lif || '';
+    _writePre2024Savings('', suffix, personData.pre2024Savings);
+    if(elements[`gains_nonreg${suffix}`]) elements[`gains_nonreg${suffix}`].value = personData.initialNonRegGains || 0;
+    _writeThaiDeductions('user', suffix, personData.thaiDeductions);
 
     // Load Spouse
     if (spouseData) {
         if(elements[`spouseBirthYear${suffix}`]) elements[`spouseBirthYear${suffix}`].value = spouseData.birthYear || '';
+        if(elements[`spouseSex${suffix}`]) elements[`spouseSex${suffix}`].value = spouseData.sex || 'unspecified';
+        if(elements[`spouseLifJurisdiction${suffix}`]) elements[`spouseLifJurisdiction${suffix}`].value = spouseData.lifJurisdiction || 'ON';
+        if(elements[`spouseRrifConversionAge${suffix}`]) elements[`spouseRrifConversionAge${suffix}`].value = spouseData.rrifConversionAge || 71;
+        if(elements[`spouseRrifAgeBasis${suffix}`]) elements[`spouseRrifAgeBasis${suffix}`].value = spouseData.rrifAgeBasis || 'own';
         if(elements[`spouseCppStartAge_${s}`]) elements[`spouseCppStartAge_${s}`].value = spouseData.cppStartAge || '';
         if(elements[`spouseCppAt65${suffix}`]) elements[`spouseCppAt65${suffix}`].value = spouseData.cppAt65 || '';
         if(elements[`spouseOasStartAge_${s}`]) elements[`spouseOasStartAge_${s}`].value = spouseData.oasStartAge || '';
@@ -172,6 +228,9 @@ function loadPersonData(scenarioSuffix) {
             if(elements[`asset_nonreg_spouse${suffix}`]) elements[`asset_nonreg_spouse${suffix}`].value = spouseData.assets.nonreg || '';
             if(elements[`asset_lif_spouse${suffix}`]) elements[`asset_lif_spouse${suffix}`].value = spouseData.assets.lif || '';
         }
+        _writePre2024Savings('_spouse', suffix, spouseData.pre2024Savings);
+        if(elements[`gains_nonreg_spouse${suffix}`]) elements[`gains_nonreg_spouse${suffix}`].value = spouseData.initialNonRegGains || 0;
+        _writeThaiDeductions('spouse', suffix, spouseData.thaiDeductions);
     }
 
     // Update UI visibility
@@ -184,72 +243,10 @@ function loadPersonData(scenarioSuffix) {
 }
 
 // --- Data Gathering ---
+// [MODIFIED] The form is read into the saved-file shape and mapped by scenarioFileToInputs (scenarioIO.js),
+// the same mapping simulateCli.js applies to a saved file
 function gatherInputs(scenarioSuffix) {
-    const s = scenarioSuffix;
-    const suffix = (s === 'a') ? '' : '_b';
-    const dataStore = (s === 'a') ? scenarioAData : scenarioBData;
-    let incomesAndExpenses = (s === 'a') ? otherIncomes_a : otherIncomes_b;
-
-    saveCurrentPersonData(s);
-
-    let allItems = incomesAndExpenses; 
-    
-    // [FIX] Gather Strategy Input (Default to 'auto' if not present in HTML yet)
-    // Values: 'auto', 'rrsp_first' (Meltdown), 'nonreg_first' (Deferral)
-    const strategyInput = elements[`withdrawalStrategy_${s}`];
-    const withdrawalStrategy = strategyInput ? strategyInput.value : 'auto';
-
-    // Check for undefined/null specifically to allow 0 for COLA
-    const colaInput = parseFloat(elements[`cola${suffix}`]?.value);
-    const safeCola = isNaN(colaInput) ? 0.025 : (colaInput / 100);
-
-    const commonInputs = {
-        exchangeRate: parseFloat(elements[`exchangeRate${suffix}`]?.value) || 25.0,
-        lifeExpectancy: parseInt(elements[`lifeExpectancy${suffix}`]?.value) || 95,
-        cola: safeCola,
-        returns: {
-            rrsp: (parseFloat(elements[`return_rrsp${suffix}`]?.value) || 0) / 100,
-            tfsa: (parseFloat(elements[`return_tfsa${suffix}`]?.value) || 0) / 100,
-            nonreg: (parseFloat(elements[`return_nonreg${suffix}`]?.value) || 0) / 100,
-            lif: (parseFloat(elements[`return_lif${suffix}`]?.value) || 0) / 100
-        },
-        retirementAge: parseInt(elements[`retirementAge_${s}`]?.value) || 60,
-        isCouple: elements[`isCouple_${s}`]?.checked || false
-    };
-
-    const userData = dataStore.user || {};
-    const spouseData = dataStore.spouse || {};
-
-    const userScenarioData = {
-        birthYear: userData.birthYear, cppStartAge: userData.cppStartAge, cppAt65: userData.cppAt65, oasStartAge: userData.oasStartAge, userYearsInCanada: userData.userYearsInCanada,
-        assets: { ...userData.assets },
-        initialNonRegGains: 0,
-        otherIncomes: allItems, 
-    };
-
-    const spouseScenarioData = {
-        hasSpouse: commonInputs.isCouple,
-        birthYear: spouseData.birthYear, 
-        cppStartAge: spouseData.cppStartAge, 
-        cppAt65: spouseData.cppAt65, 
-        oasStartAge: spouseData.oasStartAge, 
-        yearsInCanada: spouseData.yearsInCanada,
-        assets: { ...spouseData.assets }
-    };
-
-    return {
-        exchangeRate: commonInputs.exchangeRate,
-        lifeExpectancy: commonInputs.lifeExpectancy,
-        cola: commonInputs.cola,
-        isCouple: commonInputs.isCouple,
-        scenario: {
-            retirementAge: commonInputs.retirementAge,
-            returns: commonInputs.returns,
-            withdrawalStrategy: withdrawalStrategy, // [NEW] Pass strategy to engine
-            user: userScenarioData,
-            spouse: spouseScenarioData
-        }
-    };
+    return scenarioFileToInputs(collectScenarioFileData(), scenarioSuffix);
 }
 
 // --- Sync Helpers ---
@@ -263,7 +260,7 @@ function syncInputAtoB(elementIdA) {
     let elementIdB = elementIdA.endsWith('_a') ? elementIdA.slice(0, -2) + '_b' : elementIdA + '_b';
 
     // [MODIFIED] Added 'withdrawalStrategy' to sync list
-    if (['exchangeRate', 'lifeExpectancy', 'cola', 'userBirthYear', 'userCppAt65', 'income-type', 'userYearsInCanada', 'spouseBirthYear', 'spouseCppAt65', 'spouseYearsInCanada', 'withdrawalStrategy'].includes(elementIdA) || elementIdA.startsWith('asset_') || elementIdA.startsWith('return_')) {
+    if (['exchangeRate', 'fxDrift', 'fxVolatility', 'fxMeanReversion', 'fxPathMode', 'fxPathTable', 'lifeExpectancy', 'cola', 'inflationVolatility', 'inflationPersistence', 'userBirthYear', 'userSex', 'userLifJurisdiction', 'userRrifConversionAge', 'userRrifAgeBasis', 'userCppAt65', 'income-type', 'userYearsInCanada', 'spouseBirthYear', 'spouseSex', 'spouseLifJurisdiction', 'spouseRrifConversionAge', 'spouseRrifAgeBasis', 'spouseCppAt65', 'spouseYearsInCanada', 'withdrawalStrategy'].includes(elementIdA) || _isThaiDeductionInput(elementIdA) || elementIdA.startsWith('asset_') || elementIdA.startsWith('pre2024_') || elementIdA.startsWith('gains_') || elementIdA.startsWith('wht_') || elementIdA.startsWith('return_') || elementIdA.startsWith('alloc_') || elementIdA.startsWith('corr_')) {
         elementIdB = elementIdA + '_b';
     }
 
@@ -284,7 +281,7 @@ function syncInputAtoB(elementIdA) {
 
         const fieldKey = elementIdA.replace('_a', '');
         // Update internal data logic (omitted for brevity as strategy doesn't need deep storage here)
-        if (!['exchangeRate', 'lifeExpectancy', 'cola', 'retirementAge_a', 'withdrawalStrategy_a'].includes(elementIdA) && !elementIdA.startsWith('return_')) {
+        if (!['exchangeRate', 'fxDrift', 'fxVolatility', 'fxMeanReversion', 'fxPathMode', 'fxPathTable', 'lifeExpectancy', 'cola', 'inflationVolatility', 'inflationPersistence', 'retirementAge_a', 'withdrawalStrategy_a', 'remittanceOrder_a', 'section217_a', 'oasRecoveryMode_a', 'firstDeathPerson_a', 'firstDeathAge_a', 'survivorExpensePct_a', 'sharedMarketDraw_a', 'returnDistribution_a', 'returnDf_a'].includes(elementIdA) && !_isThaiDeductionInput(elementIdA) && !_isAccumulationInput(elementIdA) && !elementIdA.startsWith('return_') && !elementIdA.startsWith('wht_') && !elementIdA.startsWith('alloc_') && !elementIdA.startsWith('corr_')) {
              let valueToSet = (elementA.type === 'number') ? parseFloat(newValue) || 0 : newValue;
              
              if (fieldKey.startsWith('asset_') && !fieldKey.includes('_spouse')) {
@@ -295,13 +292,28 @@ function syncInputAtoB(elementIdA) {
                  if (!scenarioBData.spouse.assets) scenarioBData.spouse.assets = {};
                  scenarioBData.spouse.assets[fieldKey.replace('asset_', '').replace('_spouse', '')] = valueToSet;
              }
+             else if (fieldKey === 'gains_nonreg') scenarioBData.user.initialNonRegGains = valueToSet;
+             else if (fieldKey === 'gains_nonreg_spouse') scenarioBData.spouse.initialNonRegGains = valueToSet;
+             else if (fieldKey.startsWith('pre2024_')) {
+                 const person = fieldKey.includes('_spouse') ? scenarioBData.spouse : scenarioBData.user;
+                 if (!person.pre2024Savings) person.pre2024Savings = {};
+                 person.pre2024Savings[fieldKey.replace('pre2024_', '').replace('_spouse', '')] = valueToSet;
+             }
              else if (fieldKey === 'spouseBirthYear') scenarioBData.spouse.birthYear = parseInt(newValue) || 0;
+             else if (fieldKey === 'spouseSex') scenarioBData.spouse.sex = newValue;
+             else if (fieldKey === 'spouseLifJurisdiction') scenarioBData.spouse.lifJurisdiction = newValue;
+             else if (fieldKey === 'spouseRrifConversionAge') scenarioBData.spouse.rrifConversionAge = parseInt(newValue) || 71;
+             else if (fieldKey === 'spouseRrifAgeBasis') scenarioBData.spouse.rrifAgeBasis = newValue;
              else if (fieldKey === 'spouseCppStartAge') scenarioBData.spouse.cppStartAge = parseInt(newValue) || 0;
              else if (fieldKey === 'spouseCppAt65') scenarioBData.spouse.cppAt65 = valueToSet;
              else if (fieldKey === 'spouseOasStartAge') scenarioBData.spouse.oasStartAge = parseInt(newValue) || 0;
              else if (fieldKey === 'spouseYearsInCanada') scenarioBData.spouse.yearsInCanada = parseInt(newValue) || 0;
              
              else if (fieldKey === 'userBirthYear') scenarioBData.user.birthYear = parseInt(newValue) || 0;
+             else if (fieldKey === 'userSex') scenarioBData.user.sex = newValue;
+             else if (fieldKey === 'userLifJurisdiction') scenarioBData.user.lifJurisdiction = newValue;
+             else if (fieldKey === 'userRrifConversionAge') scenarioBData.user.rrifConversionAge = parseInt(newValue) || 71;
+             else if (fieldKey === 'userRrifAgeBasis') scenarioBData.user.rrifAgeBasis = newValue;
              else if (fieldKey === 'cppStartAge') scenarioBData.user.cppStartAge = parseInt(newValue) || 0;
              else if (fieldKey === 'userCppAt65') scenarioBData.user.cppAt65 = valueToSet;
              else if (fieldKey === 'oasStartAge') scenarioBData.user.oasStartAge = parseInt(newValue) || 0;
@@ -311,24 +323,73 @@ function syncInputAtoB(elementIdA) {
 }
 
 // --- JSON I/O ---
-function handleSaveScenarioClick() {
+/** [NEW] Current form (both scenarios) in the saved scenario file shape */
+function collectScenarioFileData() {
     saveCurrentPersonData('a'); saveCurrentPersonData('b');
-    const dataToSave = {
+    return {
         exchangeRate: elements.exchangeRate?.value,
+        // [NEW] Scenario B globals (previously B was reloaded with A's values)
+        exchangeRate_b: elements.exchangeRate_b?.value,
+        lifeExpectancy_b: parseInt(elements.lifeExpectancy_b?.value), cola_b: parseFloat(elements.cola_b?.value),
+        // [NEW] FX process per scenario
+        fxModel_a: { drift: elements.fxDrift?.value, volatility: elements.fxVolatility?.value, meanReversion: elements.fxMeanReversion?.value },
+        fxModel_b: { drift: elements.fxDrift_b?.value, volatility: elements.fxVolatility_b?.value, meanReversion: elements.fxMeanReversion_b?.value },
+        // [NEW] Deterministic FX path per scenario
+        fxPath_a: { mode: elements.fxPathMode?.value, table: elements.fxPathTable?.value },
+        fxPath_b: { mode: elements.fxPathMode_b?.value, table: elements.fxPathTable_b?.value },
         lifeExpectancy: parseInt(elements.lifeExpectancy?.value), cola: parseFloat(elements.cola?.value),
+        // [NEW] Inflation process per scenario
+        inflationModel_a: { volatility: elements.inflationVolatility?.value, persistence: elements.inflationPersistence?.value },
+        inflationModel_b: { volatility: elements.inflationVolatility_b?.value, persistence: elements.inflationPersistence_b?.value },
         isCouple_a: elements.isCouple_a?.checked, 
         isCouple_b: elements.isCouple_b?.checked,
         // [NEW] Save Strategy
         strategy_setting_a: elements.withdrawalStrategy_a?.value,
         strategy_setting_b: elements.withdrawalStrategy_b?.value,
+        // [NEW] Thai remittance order
+        remittanceOrder_a: elements.remittanceOrder_a?.value,
+        remittanceOrder_b: elements.remittanceOrder_b?.value,
+        // [NEW] Section 217 election
+        section217_a: elements.section217_a?.checked,
+        section217_b: elements.section217_b?.checked,
+        // [NEW] OAS recovery tax mode
+        oasRecoveryMode_a: elements.oasRecoveryMode_a?.value,
+        oasRecoveryMode_b: elements.oasRecoveryMode_b?.value,
+        // [NEW] Survivor scenario
+        firstDeath_a: { person: elements.firstDeathPerson_a?.value, age: elements.firstDeathAge_a?.value, expensePct: elements.survivorExpensePct_a?.value },
+        firstDeath_b: { person: elements.firstDeathPerson_b?.value, age: elements.firstDeathAge_b?.value, expensePct: elements.survivorExpensePct_b?.value },
+        // [NEW] Pre-retirement accumulation (raw input values)
+        accumulation_a: _readAccumulationInputs('a'),
+        accumulation_b: _readAccumulationInputs('b'),
         
+        // [NEW] Monte Carlo seed (reproducible runs)
+        monteCarloSeed: elements.monteCarloSeed?.value,
+        monteCarloReturnMode: elements.monteCarloReturnMode?.value,
+        monteCarloBlockLength: elements.monteCarloBlockLength?.value,
+        monteCarloMortality: elements.monteCarloMortality?.value, // [NEW]
+        // [NEW] Optimizer settings
+        optimizationObjective: elements.optimizationObjective?.value,
+        optRetireAgeMin: elements.optRetireAgeMin?.value,
+        optRetireAgeMax: elements.optRetireAgeMax?.value,
+        optSpendingFloor: elements.optSpendingFloor?.value, // [NEW]
+
         stdevs: { rrsp: parseFloat(elements.stdev_rrsp?.value), tfsa: parseFloat(elements.stdev_tfsa?.value), nonreg: parseFloat(elements.stdev_nonreg?.value), lif: parseFloat(elements.stdev_lif?.value) },
         stdevs_b: { rrsp: parseFloat(elements.stdev_rrsp_b?.value), tfsa: parseFloat(elements.stdev_tfsa_b?.value), nonreg: parseFloat(elements.stdev_nonreg_b?.value), lif: parseFloat(elements.stdev_lif_b?.value) },
+        // [NEW] MC return distribution per scenario
+        returnDistribution: _readReturnDistribution('a'),
+        returnDistribution_b: _readReturnDistribution('b'),
+        // [NEW] Part XIII withholding table per scenario (percent)
+        withholdingRates: _readWithholdingInputs(''),
+        withholdingRates_b: _readWithholdingInputs('_b'),
         scenarioAData: scenarioAData, otherIncomes_a: otherIncomes_a,
-        strategy_a: { retirementAge: elements.retirementAge_a?.value, returns: { rrsp: elements.return_rrsp?.value, tfsa: elements.return_tfsa?.value, nonreg: elements.return_nonreg?.value, lif: elements.return_lif?.value } },
+        strategy_a: { retirementAge: elements.retirementAge_a?.value, returns: { rrsp: elements.return_rrsp?.value, tfsa: elements.return_tfsa?.value, nonreg: elements.return_nonreg?.value, lif: elements.return_lif?.value }, allocation: { equity: elements.alloc_equity?.value, bonds: elements.alloc_bonds?.value, cash: elements.alloc_cash?.value }, correlations: _readCorrelationInputs(''), sharedMarketDraw: elements.sharedMarketDraw_a?.checked },
         scenarioBData: scenarioBData, otherIncomes_b: otherIncomes_b,
-        strategy_b: { retirementAge: elements.retirementAge_b?.value, returns: { rrsp: elements.return_rrsp_b?.value, tfsa: elements.return_tfsa_b?.value, nonreg: elements.return_nonreg_b?.value, lif: elements.return_lif_b?.value } }
+        strategy_b: { retirementAge: elements.retirementAge_b?.value, returns: { rrsp: elements.return_rrsp_b?.value, tfsa: elements.return_tfsa_b?.value, nonreg: elements.return_nonreg_b?.value, lif: elements.return_lif_b?.value }, allocation: { equity: elements.alloc_equity_b?.value, bonds: elements.alloc_bonds_b?.value, cash: elements.alloc_cash_b?.value }, correlations: _readCorrelationInputs('_b'), sharedMarketDraw: elements.sharedMarketDraw_b?.checked }
     };
+}
+
+function handleSaveScenarioClick() {
+    const dataToSave = collectScenarioFileData();
     const blob = new Blob([JSON.stringify(dataToSave, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = 'thai_retirement_scenario.json'; document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
 }
@@ -346,9 +407,27 @@ function populateUIFromLoadedData(data) {
     otherIncomes_a = data.otherIncomes_a || []; otherIncomes_b = data.otherIncomes_b || [];
 
     if(elements.exchangeRate) elements.exchangeRate.value = data.exchangeRate || 25.0;
-    if(elements.exchangeRate_b) elements.exchangeRate_b.value = data.exchangeRate || 25.0;
+    if(elements.exchangeRate_b) elements.exchangeRate_b.value = data.exchangeRate_b || data.exchangeRate || 25.0;
+    // [NEW] Load FX Process
+    [['', data.fxModel_a], ['_b', data.fxModel_b]].forEach(([sfx, fx]) => {
+        if(elements[`fxDrift${sfx}`]) elements[`fxDrift${sfx}`].value = fx?.drift ?? 0;
+        if(elements[`fxVolatility${sfx}`]) elements[`fxVolatility${sfx}`].value = fx?.volatility ?? 0;
+        if(elements[`fxMeanReversion${sfx}`]) elements[`fxMeanReversion${sfx}`].value = fx?.meanReversion ?? 0;
+    });
+    // [NEW] Load Deterministic FX Path
+    [['', data.fxPath_a], ['_b', data.fxPath_b]].forEach(([sfx, path]) => {
+        if(elements[`fxPathMode${sfx}`]) elements[`fxPathMode${sfx}`].value = path?.mode || 'flat';
+        if(elements[`fxPathTable${sfx}`]) elements[`fxPathTable${sfx}`].value = path?.table || '';
+    });
     if(elements.lifeExpectancy) elements.lifeExpectancy.value = data.lifeExpectancy || 95;
     if(elements.cola) elements.cola.value = data.cola || 2.5;
+    if(elements.lifeExpectancy_b) elements.lifeExpectancy_b.value = data.lifeExpectancy_b || data.lifeExpectancy || 95;
+    if(elements.cola_b) elements.cola_b.value = data.cola_b ?? data.cola ?? 2.5;
+    // [NEW] Load Inflation Process
+    [['', data.inflationModel_a], ['_b', data.inflationModel_b]].forEach(([sfx, inf]) => {
+        if(elements[`inflationVolatility${sfx}`]) elements[`inflationVolatility${sfx}`].value = inf?.volatility ?? 0;
+        if(elements[`inflationPersistence${sfx}`]) elements[`inflationPersistence${sfx}`].value = inf?.persistence ?? 0.6;
+    });
     
     if(elements.isCouple_a) { elements.isCouple_a.checked = data.isCouple_a || false; }
     if(elements.isCouple_b) { elements.isCouple_b.checked = data.isCouple_b || false; }
@@ -356,6 +435,35 @@ function populateUIFromLoadedData(data) {
     // [NEW] Load Strategy
     if(elements.withdrawalStrategy_a) elements.withdrawalStrategy_a.value = data.strategy_setting_a || 'auto';
     if(elements.withdrawalStrategy_b) elements.withdrawalStrategy_b.value = data.strategy_setting_b || 'auto';
+    // [NEW] Load Thai Remittance Order
+    if(elements.remittanceOrder_a) elements.remittanceOrder_a.value = data.remittanceOrder_a || 'principal_first';
+    if(elements.remittanceOrder_b) elements.remittanceOrder_b.value = data.remittanceOrder_b || 'principal_first';
+    // [NEW] Load Section 217 Election
+    if(elements.section217_a) elements.section217_a.checked = !!data.section217_a;
+    if(elements.section217_b) elements.section217_b.checked = !!data.section217_b;
+    // [NEW] Load OAS Recovery Mode
+    if(elements.oasRecoveryMode_a) elements.oasRecoveryMode_a.value = data.oasRecoveryMode_a || 'same_year';
+    if(elements.oasRecoveryMode_b) elements.oasRecoveryMode_b.value = data.oasRecoveryMode_b || 'same_year';
+    // [NEW] Load Survivor Scenario
+    _writeFirstDeathInputs('a', data.firstDeath_a);
+    _writeFirstDeathInputs('b', data.firstDeath_b);
+    // [NEW] Load Pre-retirement Accumulation
+    _writeAccumulationInputs('a', data.accumulation_a);
+    _writeAccumulationInputs('b', data.accumulation_b);
+
+    // [NEW] Load Monte Carlo Seed
+    if(elements.monteCarloSeed) elements.monteCarloSeed.value = data.monteCarloSeed ?? '';
+    if(elements.monteCarloReturnMode) {
+        elements.monteCarloReturnMode.value = data.monteCarloReturnMode || 'normal';
+        elements.monteCarloReturnMode.dispatchEvent(new Event('change'));
+    }
+    if(elements.monteCarloBlockLength) elements.monteCarloBlockLength.value = data.monteCarloBlockLength || 5;
+    if(elements.monteCarloMortality) elements.monteCarloMortality.value = data.monteCarloMortality || 'fixed';
+    // [NEW] Load Optimizer Settings
+    if(elements.optimizationObjective) elements.optimizationObjective.value = data.optimizationObjective || 'finalAssets';
+    if(elements.optRetireAgeMin) elements.optRetireAgeMin.value = data.optRetireAgeMin ?? '';
+    if(elements.optRetireAgeMax) elements.optRetireAgeMax.value = data.optRetireAgeMax ?? '';
+    if(elements.optSpendingFloor) elements.optSpendingFloor.value = data.optSpendingFloor ?? '';
 
     if(elements.retirementAge_a) elements.retirementAge_a.value = data.strategy_a?.retirementAge || 60;
     if(elements.return_rrsp) elements.return_rrsp.value = data.strategy_a?.returns?.rrsp || 6;
@@ -368,6 +476,155 @@ function populateUIFromLoadedData(data) {
     if(elements.return_nonreg_b) elements.return_nonreg_b.value = data.strategy_b?.returns?.nonreg || 6;
     if(elements.return_lif_b) elements.return_lif_b.value = data.strategy_b?.returns?.lif || 5;
 
+    // [NEW] Load Bootstrap MC Mix
+    if(elements.alloc_equity) elements.alloc_equity.value = data.strategy_a?.allocation?.equity ?? 60;
+    if(elements.alloc_bonds) elements.alloc_bonds.value = data.strategy_a?.allocation?.bonds ?? 35;
+    if(elements.alloc_cash) elements.alloc_cash.value = data.strategy_a?.allocation?.cash ?? 5;
+    if(elements.alloc_equity_b) elements.alloc_equity_b.value = data.strategy_b?.allocation?.equity ?? 60;
+    if(elements.alloc_bonds_b) elements.alloc_bonds_b.value = data.strategy_b?.allocation?.bonds ?? 35;
+    if(elements.alloc_cash_b) elements.alloc_cash_b.value = data.strategy_b?.allocation?.cash ?? 5;
+
+    // [NEW] Load MC Correlations
+    _writeCorrelationInputs('', data.strategy_a?.correlations);
+    _writeCorrelationInputs('_b', data.strategy_b?.correlations);
+    _writeWithholdingInputs('', data.withholdingRates);
+    _writeWithholdingInputs('_b', data.withholdingRates_b);
+    if(elements.sharedMarketDraw_a) elements.sharedMarketDraw_a.checked = data.strategy_a?.sharedMarketDraw || false;
+    if(elements.sharedMarketDraw_b) elements.sharedMarketDraw_b.checked = data.strategy_b?.sharedMarketDraw || false;
+
+    // [FIX] Load MC StDevs (previously saved but never restored) and return distribution
+    [['', data.stdevs], ['_b', data.stdevs_b]].forEach(([sfx, sd]) => {
+        ['rrsp', 'tfsa', 'nonreg', 'lif'].forEach(key => {
+            if (elements[`stdev_${key}${sfx}`] && typeof sd?.[key] === 'number') elements[`stdev_${key}${sfx}`].value = sd[key];
+        });
+    });
+    [['a', data.returnDistribution], ['b', data.returnDistribution_b]].forEach(([s, dist]) => {
+        if(elements[`returnDistribution_${s}`]) elements[`returnDistribution_${s}`].value = dist?.type || 'normal';
+        if(elements[`returnDf_${s}`]) elements[`returnDf_${s}`].value = dist?.df ?? 5;
+    });
+
     loadPersonData('a'); loadPersonData('b');
     alert("Loaded.");
-}
\ No newline at end of file
+}
+
+// [NEW] Correlation input helpers (JSON I/O)
+const CORRELATION_PAIRS = ['rrsp_tfsa', 'rrsp_nonreg', 'rrsp_lif', 'tfsa_nonreg', 'tfsa_lif', 'nonreg_lif'];
+
+function _readCorrelationInputs(suffix) {
+    const out = {};
+    CORRELATION_PAIRS.forEach(pair => { out[pair] = elements[`corr_${pair}${suffix}`]?.value; });
+    return out;
+}
+
+function _writeCorrelationInputs(suffix, saved) {
+    if (!saved) return;
+    CORRELATION_PAIRS.forEach(pair => {
+        const el = elements[`corr_${pair}${suffix}`];
+        if (el && saved[pair] !== undefined && saved[pair] !== null && saved[pair] !== '') el.value = saved[pair];
+    });
+}
+
+// [NEW] MC return distribution (scenario 'a' | 'b')
+function _readReturnDistribution(s) {
+    return {
+        type: elements[`returnDistribution_${s}`]?.value || 'normal',
+        df: parseFloat(elements[`returnDf_${s}`]?.value) || 5
+    };
+}
+
+// [NEW] Thai deductions profile inputs: ids are `${person}${field}${suffix}` (person 'user' | 'spouse', suffix '' | '_b')
+const THAI_DEDUCTION_INPUTS = ['ThaiSenior', 'ThaiSpouseAllowance', 'ThaiChildren', 'ThaiChildrenUntilAge', 'ThaiHealthInsurance', 'ThaiLifeInsurance'];
+
+function _isThaiDeductionInput(elementId) {
+    return THAI_DEDUCTION_INPUTS.some(f => elementId === `user${f}` || elementId === `spouse${f}`);
+}
+
+function _readThaiDeductions(person, suffix) {
+    const el = (field) => elements[`${person}${field}${suffix}`];
+    const defaults = getDefaultThaiDeductions();
+    return {
+        seniorExemption: el('ThaiSenior') ? el('ThaiSenior').checked : defaults.seniorExemption,
+        spouseAllowance: el('ThaiSpouseAllowance') ? el('ThaiSpouseAllowance').checked : defaults.spouseAllowance,
+        children: parseInt(el('ThaiChildren')?.value) || 0,
+        childrenUntilAge: parseInt(el('ThaiChildrenUntilAge')?.value) || 0,
+        healthInsurance: parseFloat(el('ThaiHealthInsurance')?.value) || 0,
+        lifeInsurance: parseFloat(el('ThaiLifeInsurance')?.value) || 0
+    };
+}
+
+function _writeThaiDeductions(person, suffix, saved) {
+    const p = { ...getDefaultThaiDeductions(), ...(saved || {}) };
+    const el = (field) => elements[`${person}${field}${suffix}`];
+    if (el('ThaiSenior')) el('ThaiSenior').checked = !!p.seniorExemption;
+    if (el('ThaiSpouseAllowance')) el('ThaiSpouseAllowance').checked = !!p.spouseAllowance;
+    if (el('ThaiChildren')) el('ThaiChildren').value = p.children;
+    if (el('ThaiChildrenUntilAge')) el('ThaiChildrenUntilAge').value = p.childrenUntilAge;
+    if (el('ThaiHealthInsurance')) el('ThaiHealthInsurance').value = p.healthInsurance;
+    if (el('ThaiLifeInsurance')) el('ThaiLifeInsurance').value = p.lifeInsurance;
+}
+
+// [NEW] Pre-2024 savings (Thai remittance pools): ids are `pre2024_${account}${who}${suffix}` (who '' | '_spouse')
+function _readPre2024Savings(who, suffix) {
+    return {
+        tfsa: parseFloat(elements[`pre2024_tfsa${who}${suffix}`]?.value) || 0,
+        nonreg: parseFloat(elements[`pre2024_nonreg${who}${suffix}`]?.value) || 0
+    };
+}
+
+function _writePre2024Savings(who, suffix, saved) {
+    if (elements[`pre2024_tfsa${who}${suffix}`]) elements[`pre2024_tfsa${who}${suffix}`].value = saved?.tfsa || 0;
+    if (elements[`pre2024_nonreg${who}${suffix}`]) elements[`pre2024_nonreg${who}${suffix}`].value = saved?.nonreg || 0;
+}
+
+// [NEW] Part XIII withholding table inputs: ids are `wht_${type.toLowerCase()}${suffix}` (percent)
+function _readWithholdingInputs(suffix) {
+    const out = {};
+    WITHHOLDING_INCOME_TYPES.forEach(type => { out[type] = elements[`wht_${type.toLowerCase()}${suffix}`]?.value; });
+    return out;
+}
+
+function _writeWithholdingInputs(suffix, saved) {
+    const defaults = getWithholdingRates();
+    WITHHOLDING_INCOME_TYPES.forEach(type => {
+        const el = elements[`wht_${type.toLowerCase()}${suffix}`];
+        if (!el) return;
+        const val = saved?.[type];
+        el.value = (val !== undefined && val !== null && val !== '') ? val : +(defaults[type] * 100).toFixed(2);
+    });
+}
+
+// [NEW] Survivor scenario inputs (expense share in %)
+function _writeFirstDeathInputs(s, saved) {
+    if (elements[`firstDeathPerson_${s}`]) elements[`firstDeathPerson_${s}`].value = saved?.person || 'none';
+    if (elements[`firstDeathAge_${s}`]) elements[`firstDeathAge_${s}`].value = saved?.age ?? 80;
+    if (elements[`survivorExpensePct_${s}`]) elements[`survivorExpensePct_${s}`].value = saved?.expensePct ?? 70;
+}
+
+// [NEW] Pre-retirement accumulation inputs: ids are `${field}_${s}`; returns and growth in %
+const ACCUMULATION_INPUTS = [
+    'accumulationEnabled', 'currentAge', 'contribGrowth', 'accumReturnRrsp', 'accumReturnTfsa', 'accumReturnNonreg',
+    'contribRrsp', 'contribTfsa', 'contribNonreg', 'contribRrspSpouse', 'contribTfsaSpouse', 'contribNonregSpouse'
+];
+const ACCUMULATION_DEFAULTS = { currentAge: '', contribGrowth: 2, accumReturnRrsp: 6, accumReturnTfsa: 6, accumReturnNonreg: 6 };
+
+function _isAccumulationInput(elementId) {
+    return ACCUMULATION_INPUTS.some(f => elementId === `${f}_a`);
+}
+
+function _readAccumulationInputs(s) {
+    const out = {};
+    ACCUMULATION_INPUTS.forEach(f => {
+        const el = elements[`${f}_${s}`];
+        if (el) out[f] = (el.type === 'checkbox') ? el.checked : el.value;
+    });
+    return out;
+}
+
+function _writeAccumulationInputs(s, saved) {
+    ACCUMULATION_INPUTS.forEach(f => {
+        const el = elements[`${f}_${s}`];
+        if (!el) return;
+        if (el.type === 'checkbox') el.checked = !!saved?.[f];
+        else el.value = saved?.[f] ?? ACCUMULATION_DEFAULTS[f] ?? 0;
+    });
+}
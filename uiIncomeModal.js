@@ -1,10 +1,11 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     8.0.0 (Feature: Added 'Owner' field handling for User/Spouse/Joint)
+ * @version     8.4.0 (Fix: Personal expense flag for the survivor scenario)
  * @file        uiIncomeModal.js
  * @created     2025-11-09
- * @description Handles UI logic for Income modal. Now saves and displays ownership attribution.
+ * @description Handles UI logic for Income modal. Saves ownership attribution, whether an item is CPI-linked or uses its own fixed COLA,
+ *              and the share of a pension that continues to the surviving spouse. Items are set in CAD or THB; labels and the preview keep the item's currency.
  */
 
 // uiIncomeModal.js
@@ -41,7 +42,7 @@ function initializeIncomeModal(scenarioSuffix) {
     elements[`save_income_btn${suffix}`]?.addEventListener('click', () => saveIncome(s));
     elements[`income_list${suffix}`]?.addEventListener('click', (e) => handleIncomeListClick(e, s));
     elements[`add_income_form${suffix}`]?.addEventListener('input', (event) => {
-        if (event.target.id === `income-amount${suffix}` || event.target.id === `income-start-age${suffix}` || event.target.id === `income-cola${suffix}`) {
+        if (event.target.id === `income-amount${suffix}` || event.target.id === `income-start-age${suffix}` || event.target.id === `income-cola${suffix}` || event.target.id === `income-cpi-linked${suffix}` || event.target.id === `income-currency${suffix}`) {
             updateFutureValueDisplay(s);
         }
     });
@@ -71,11 +72,15 @@ function renderIncomeList(scenarioSuffix) {
         else if (p.type === 'expense_thai') typePrefix = "Thai Exp: ";
         else if (p.type === 'expense_overseas') typePrefix = "O/S Exp: ";
 
-        const amountDisplay = formatCurrency(p.amount || 0);
-        const colaDisplay = ` | COLA: ${((p.cola || 0) * 100).toFixed(1)}%`;
+        // [MODIFIED] Amount in the item's own currency (THB items never follow the Canadian CPI)
+        const isThb = p.currency === 'THB';
+        const amountDisplay = formatCurrency(p.amount || 0, p.currency);
+        const colaDisplay = (p.cpiLinked && !isThb) ? ` | COLA: CPI` : ` | COLA: ${((p.cola || 0) * 100).toFixed(1)}%`;
+        const survivorDisplay = (p.type === 'pension' && p.survivorPct > 0) ? ` | Survivor: ${(p.survivorPct * 100).toFixed(0)}%` : '';
+        const personalDisplay = p.personal ? ' | Personal' : '';
         
         // Combine Owner + Type + Desc
-        return `${ownerPrefix}${typePrefix}${p.desc || 'Item'}: ${amountDisplay}/yr (Age ${p.startAge || '?'}-${p.endAge || '?'})${colaDisplay}`;
+        return `${ownerPrefix}${typePrefix}${p.desc || 'Item'}: ${amountDisplay}/yr (Age ${p.startAge || '?'}-${p.endAge || '?'})${colaDisplay}${survivorDisplay}${personalDisplay}`;
     };
 
     incomeListElement.innerHTML = incomes.map(inc => {
@@ -122,6 +127,10 @@ function saveIncome(scenarioSuffix) {
         endAge: parseInt(document.getElementById(`income-end-age${suffix}`)?.value) || 95,
         owner: selectedOwner, // [MODIFIED] Save actual owner
         cola: (parseFloat(document.getElementById(`income-cola${suffix}`)?.value) / 100) || 0,
+        cpiLinked: document.getElementById(`income-cpi-linked${suffix}`)?.checked || false, // [NEW] Follows scenario inflation
+        survivorPct: (parseFloat(document.getElementById(`income-survivor-pct${suffix}`)?.value) / 100) || 0, // [NEW] Pension share paid to the surviving spouse
+        currency: document.getElementById(`income-currency${suffix}`)?.value || 'CAD', // [NEW] 'THB' = baht amount converted each year
+        personal: (selectedType === 'expense_thai' || selectedType === 'expense_overseas') && (document.getElementById(`income-personal${suffix}`)?.checked || false), // [NEW] Ends at the owner's death
     };
 
     if (id && !isNaN(id)) {
@@ -177,6 +186,10 @@ function handleIncomeListClick(e, scenarioSuffix) {
         if(document.getElementById(`income-start-age${suffix}`)) document.getElementById(`income-start-age${suffix}`).value = item.startAge;
         if(document.getElementById(`income-end-age${suffix}`)) document.getElementById(`income-end-age${suffix}`).value = item.endAge;
         if(document.getElementById(`income-cola${suffix}`)) document.getElementById(`income-cola${suffix}`).value = (item.cola || 0) * 100;
+        if(document.getElementById(`income-cpi-linked${suffix}`)) document.getElementById(`income-cpi-linked${suffix}`).checked = !!item.cpiLinked;
+        if(document.getElementById(`income-survivor-pct${suffix}`)) document.getElementById(`income-survivor-pct${suffix}`).value = (item.survivorPct || 0) * 100;
+        if(document.getElementById(`income-currency${suffix}`)) document.getElementById(`income-currency${suffix}`).value = item.currency || 'CAD';
+        if(document.getElementById(`income-personal${suffix}`)) document.getElementById(`income-personal${suffix}`).checked = !!item.personal;
 
         updateFutureValueDisplay(s);
     }
@@ -198,6 +211,10 @@ function clearIncomeForm(scenarioSuffix) {
     if(document.getElementById(`income-start-age${suffix}`)) document.getElementById(`income-start-age${suffix}`).value = '';
     if(document.getElementById(`income-end-age${suffix}`)) document.getElementById(`income-end-age${suffix}`).value = '';
     if(document.getElementById(`income-cola${suffix}`)) document.getElementById(`income-cola${suffix}`).value = '';
+    if(document.getElementById(`income-cpi-linked${suffix}`)) document.getElementById(`income-cpi-linked${suffix}`).checked = false;
+    if(document.getElementById(`income-survivor-pct${suffix}`)) document.getElementById(`income-survivor-pct${suffix}`).value = '';
+    if(document.getElementById(`income-currency${suffix}`)) document.getElementById(`income-currency${suffix}`).value = 'CAD';
+    if(document.getElementById(`income-personal${suffix}`)) document.getElementById(`income-personal${suffix}`).checked = false;
     if(elements[`future_value_display${suffix}`]) elements[`future_value_display${suffix}`].textContent = '';
 
     renderIncomeList(s);
@@ -220,7 +237,11 @@ function updateFutureValueDisplay(scenarioSuffix) {
 
     const amount = parseFloat(amountInput.value) || 0;
     const startAge = parseInt(startAgeInputEl.value);
-    const itemColaRate = (parseFloat(individualColaInputEl.value) / 100) || 0;
+    // [NEW] CPI-linked items are previewed at the scenario's Global COLA (CAD items only; THB items use their own rate)
+    const currency = document.getElementById(`income-currency${suffix}`)?.value || 'CAD';
+    const isCpiLinked = currency !== 'THB' && document.getElementById(`income-cpi-linked${suffix}`)?.checked;
+    const colaSource = isCpiLinked ? elements[`cola${suffix}`] : individualColaInputEl;
+    const itemColaRate = (parseFloat(colaSource?.value) / 100) || 0;
     const birthYearEl = elements[`userBirthYear${suffix}`];
     const birthYear = parseInt(birthYearEl?.value) || 1980;
 
@@ -237,7 +258,7 @@ function updateFutureValueDisplay(scenarioSuffix) {
     }
 
     const futureValue = amount * Math.pow(1 + itemColaRate, yearsFromBaseToStart);
-    displayElement.textContent = `Est @ Age ${startAge}: $${Math.round(futureValue).toLocaleString()}`;
+    displayElement.textContent = `Est @ Age ${startAge}: ${formatCurrency(futureValue, currency)}`;
 }
 
 function getDefaultIncomes(scenarioSuffix) {
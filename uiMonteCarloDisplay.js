@@ -1,10 +1,13 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     8.0.2 (Fix: Ensure parent 'results-container' is visible before drawing)
+ * @version     9.3.3 (Fix: Note that the currency and period toggles do not cover Monte Carlo)
  * @file        uiMonteCarloDisplay.js
  * @created     2025-11-09
- * @description Handles Monte Carlo simulation UI. Fixes timing bug by showing parent container first.
+ * @description Handles Monte Carlo simulation UI. Runs A and B in parallel on the worker pool (cancellable), passing seed, return mode, FX and inflation models; draws asset and exchange-rate fan charts, the depletion-age histogram and the survival curve.
+ *              In life-table mortality mode also shows outlive-the-assets probabilities and the estate distribution.
+ *              The Dollars toggle switches the percentiles and fan charts to today's dollars; values stay annual CAD balances
+ *              (a note says so when the Currency or Period toggle is set otherwise).
  */
 
 // uiMonteCarloDisplay.js
@@ -14,6 +17,15 @@ let lastMCNumRuns = 0;
 
 function initializeMonteCarloDisplay() {
     elements.runMonteCarloBtn?.addEventListener('click', () => runAndDisplayMonteCarlo(true));
+    // [NEW] Abort the running set (workers are terminated)
+    elements.cancelMonteCarloBtn?.addEventListener('click', () => {
+        if (typeof cancelMonteCarloRun === 'function') cancelMonteCarloRun();
+    });
+    // [NEW] Block length only applies to the historical bootstrap mode
+    elements.monteCarloReturnMode?.addEventListener('change', () => {
+        const isBootstrap = elements.monteCarloReturnMode.value === 'bootstrap';
+        elements.monteCarloBlockLength_container?.classList.toggle('hidden', !isBootstrap);
+    });
     clearMonteCarloCharts();
 }
 
@@ -21,6 +33,33 @@ function getLastMonteCarloResults() {
     return { ...lastMonteCarloResults, numRuns: lastMCNumRuns };
 }
 
+/** [NEW] Fan chart bands in the selected dollars (today's dollars = the per-path deflated percentiles) */
+function getMonteCarloBands(timeSeries) {
+    if (resultsDollars !== 'real' || !timeSeries) return timeSeries;
+    return timeSeries.map(t => ({ ...t, p10: t.realP10, p25: t.realP25, p50: t.realP50, p75: t.realP75, p90: t.realP90 }));
+}
+
+/**
+ * [MODIFIED] Re-renders the last Monte Carlo run after a display-units, language or theme change
+ * (skipped once a deterministic run replaced it). Charts are only redrawn while their area is visible.
+ */
+function refreshMonteCarloDisplay() {
+    if (!lastMonteCarloResults || lastResultDetails || lastRunWasOptimization) return;
+    const { resultsA, resultsB } = lastMonteCarloResults;
+    displayMonteCarloResults(resultsA, resultsB, lastMCNumRuns);
+    if (!elements.mc_graph_container_area || elements.mc_graph_container_area.classList.contains('hidden')) return;
+    drawMonteCarloCharts(resultsA, resultsB);
+}
+
+/** [NEW] Draws every Monte Carlo chart (fan, FX, depletion/survival, estate); the graph area must already be visible */
+function drawMonteCarloCharts(resultsA, resultsB) {
+    drawMonteCarloChart(getMonteCarloBands(resultsA.timeSeries), 'a');
+    drawMonteCarloChart(getMonteCarloBands(resultsB.timeSeries), 'b');
+    drawMonteCarloFxChart(resultsA, resultsB);
+    drawMonteCarloDepletionCharts(resultsA, resultsB);
+    drawMonteCarloEstateChart(resultsA, resultsB);
+}
+
 async function runAndDisplayMonteCarlo(showLoader = true) {
     lastRunWasOptimization = false;
     if (typeof switchTab === 'function') switchTab('results');
@@ -32,6 +71,8 @@ async function runAndDisplayMonteCarlo(showLoader = true) {
     chartRendered = false;
     if(elements.graph_container) elements.graph_container.classList.add('hidden');
     if(elements.mc_graph_container_area) elements.mc_graph_container_area.classList.add('hidden');
+    if (typeof clearOptimizationChart === 'function') clearOptimizationChart();
+    if(elements.optimizer_graph_container) elements.optimizer_graph_container.classList.add('hidden');
     if(elements.additional_metrics_container) elements.additional_metrics_container.innerHTML = '';
     if(elements.detailed_table_container_a) elements.detailed_table_container_a.innerHTML = '';
     if(elements.detailed_table_container_b) elements.detailed_table_container_b.innerHTML = '';
@@ -52,6 +93,30 @@ async function runAndDisplayMonteCarlo(showLoader = true) {
         const globalSettingsB = { maxAge: lastRunInputsB.lifeExpectancy, cola: lastRunInputsB.cola, baseYear: baseYear, exchangeRate: lastRunInputsB.exchangeRate };
 
         const numRuns = parseInt(elements.monteCarloRunsSelect?.value) || 10000;
+
+        // [NEW] Seed: blank field => pick one and write it back so the run can be repeated
+        let seed = parseInt(elements.monteCarloSeed?.value);
+        if (isNaN(seed) || seed < 0) {
+            seed = Math.floor(Math.random() * 1000000000);
+            if (elements.monteCarloSeed) elements.monteCarloSeed.value = seed;
+        }
+        globalSettingsA.seed = seed;
+        globalSettingsB.seed = seed;
+
+        // [NEW] Return model: 'normal' or 'bootstrap' (historical years in blocks)
+        const returnMode = elements.monteCarloReturnMode?.value || 'normal';
+        const blockLength = parseInt(elements.monteCarloBlockLength?.value) || 1;
+        [globalSettingsA, globalSettingsB].forEach(gs => { gs.returnMode = returnMode; gs.blockLength = blockLength; });
+        // [NEW] Lifespan: fixed horizon or ages at death drawn from the life table
+        const mortality = elements.monteCarloMortality?.value || 'fixed';
+        [globalSettingsA, globalSettingsB].forEach(gs => { gs.mortality = mortality; });
+
+        // [NEW] Per-scenario CAD/THB process
+        globalSettingsA.fxModel = lastRunInputsA.fxModel;
+        globalSettingsB.fxModel = lastRunInputsB.fxModel;
+        // [NEW] Per-scenario inflation process
+        globalSettingsA.inflationModel = lastRunInputsA.inflationModel;
+        globalSettingsB.inflationModel = lastRunInputsB.inflationModel;
         
         const stdevsA = { rrsp: (parseFloat(elements.stdev_rrsp?.value)/100)||0, tfsa: (parseFloat(elements.stdev_tfsa?.value)/100)||0, nonreg: (parseFloat(elements.stdev_nonreg?.value)/100)||0, lif: (parseFloat(elements.stdev_lif?.value)/100)||0 };
         const stdevsB = { rrsp: (parseFloat(elements.stdev_rrsp_b?.value)/100)||0, tfsa: (parseFloat(elements.stdev_tfsa_b?.value)/100)||0, nonreg: (parseFloat(elements.stdev_nonreg_b?.value)/100)||0, lif: (parseFloat(elements.stdev_lif_b?.value)/100)||0 };
@@ -59,12 +124,18 @@ async function runAndDisplayMonteCarlo(showLoader = true) {
         if(elements.runAnalysisBtn) elements.runAnalysisBtn.disabled = true;
         if(elements.runMonteCarloBtn) elements.runMonteCarloBtn.disabled = true;
         if(elements.results_container) elements.results_container.classList.add('hidden');
+        if(elements.cancelMonteCarloBtn) elements.cancelMonteCarloBtn.classList.remove('hidden');
         
-        const progressCallbackA = (progress) => { if(elements.runMonteCarloBtn) elements.runMonteCarloBtn.textContent = `Running A... ${Math.floor(progress * 100)}%`; };
-        const resultsA = await runMonteCarloSimulation(lastRunInputsA, globalSettingsA, stdevsA, numRuns, progressCallbackA);
-
-        const progressCallbackB = (progress) => { if(elements.runMonteCarloBtn) elements.runMonteCarloBtn.textContent = `Running B... ${Math.floor(progress * 100)}%`; };
-        const resultsB = await runMonteCarloSimulation(lastRunInputsB, globalSettingsB, stdevsB, numRuns, progressCallbackB);
+        // [MODIFIED] A and B run in parallel on the worker pool; progress arrives per scenario
+        const progress = [0, 0];
+        const progressCallback = (jobIndex, fraction) => {
+            progress[jobIndex] = Math.floor(fraction * 100);
+            if(elements.runMonteCarloBtn) elements.runMonteCarloBtn.textContent = lang.mcRunningProgress(progress[0], progress[1]);
+        };
+        const [resultsA, resultsB] = await runMonteCarloJobs([
+            { inputs: lastRunInputsA, settings: globalSettingsA, stdevs: stdevsA, numRuns: numRuns },
+            { inputs: lastRunInputsB, settings: globalSettingsB, stdevs: stdevsB, numRuns: numRuns }
+        ], progressCallback);
 
         lastMonteCarloResults = { resultsA, resultsB };
         lastMCNumRuns = numRuns;
@@ -77,19 +148,23 @@ async function runAndDisplayMonteCarlo(showLoader = true) {
         // 2. Make CHILD container visible SECOND
         if(elements.mc_graph_container_area) elements.mc_graph_container_area.classList.remove('hidden');
         // 3. Draw charts THIRD (now that they have dimensions)
-        drawMonteCarloChart(resultsA.timeSeries, 'a');
-        drawMonteCarloChart(resultsB.timeSeries, 'b');
+        drawMonteCarloCharts(resultsA, resultsB);
         // --- End Fix ---
 
         if(elements.break_even_text_result) elements.break_even_text_result.textContent = "Monte Carlo Simulation Complete";
 
     } catch (error) {
-        console.error("Monte Carlo Failed:", error);
-        if(elements.break_even_text_result) elements.break_even_text_result.textContent = lang.errFailed + error.message;
+        if (error.cancelled) {
+            if(elements.break_even_text_result) elements.break_even_text_result.textContent = lang.mcCancelled;
+        } else {
+            console.error("Monte Carlo Failed:", error);
+            if(elements.break_even_text_result) elements.break_even_text_result.textContent = lang.errFailed + error.message;
+        }
         if(elements.results_container) elements.results_container.classList.remove('hidden');
     } finally {
         if(elements.runAnalysisBtn) elements.runAnalysisBtn.disabled = false;
         if(elements.runMonteCarloBtn) { elements.runMonteCarloBtn.disabled = false; elements.runMonteCarloBtn.textContent = originalButtonText; }
+        if(elements.cancelMonteCarloBtn) elements.cancelMonteCarloBtn.classList.add('hidden');
     }
 }
 
@@ -98,17 +173,59 @@ function displayMonteCarloResults(resultsA, resultsB, numRuns) {
     const lang = translations[currentLanguage];
     const formatPercent = (val) => `${(val * 100).toFixed(1)}%`;
     const descStyle = "font-size: 0.9em; font-weight: normal; color: var(--text-secondary);";
+    const formatFxBand = (res) => {
+        const last = res.timeSeries?.[res.timeSeries.length - 1];
+        return last ? `${last.fxP10.toFixed(1)} / ${last.fxP50.toFixed(1)} / ${last.fxP90.toFixed(1)}` : '-';
+    };
+    const formatDepletion = (res) => {
+        const d = res.depletion;
+        return (d && d.medianAge !== null) ? `${Math.round(d.medianAge)} / ${Math.round(d.p10Age)}` : lang.mcDepletionNone;
+    };
+    // [NEW] Final-asset percentiles in the selected dollars
+    const isReal = resultsDollars === 'real';
+    const finalP10 = (res) => isReal ? res.realP10 : res.p10;
+    const finalMedian = (res) => isReal ? res.realMedian : res.median;
+    const finalP90 = (res) => isReal ? res.realP90 : res.p90;
+    // [FIX] Currency/period toggles only cover the yearly results: say so instead of silently showing CAD
+    const unitsNote = (resultsCurrency !== 'CAD' || resultsPeriod !== 'annual')
+        ? `<p style="text-align: center; margin-top: -0.5rem; font-size: 0.9em; color: var(--text-secondary);">${lang.mcUnitsNote}</p>` : '';
+    const formatCpiBand = (res) => {
+        const last = res.timeSeries?.[res.timeSeries.length - 1];
+        return last ? `${last.cpiP10.toFixed(2)}x / ${last.cpiP50.toFixed(2)}x / ${last.cpiP90.toFixed(2)}x` : '-';
+    };
+    // [NEW] Life-table mortality rows (spouse-only values are '-' for singles)
+    const hasMortality = !!(resultsA.mortality || resultsB.mortality);
+    const formatShare = (val) => (val === null || val === undefined) ? '-' : formatPercent(val);
+    const formatDeathAges = (res) => {
+        const m = res.mortality;
+        if (!m) return '-';
+        return m.spouseDeathAgeMedian !== null ? `${Math.round(m.userDeathAgeMedian)} / ${Math.round(m.spouseDeathAgeMedian)}` : `${Math.round(m.userDeathAgeMedian)}`;
+    };
+    const mortalityRow = (label, desc, valueFn) =>
+        `<tr><td>${label}${desc ? `<br><span style="${descStyle}">${desc}</span>` : ''}</td><td>${valueFn(resultsA)}</td><td>${valueFn(resultsB)}</td></tr>`;
+    const mortalityRows = hasMortality ? [
+        mortalityRow(lang.mcOutliveHousehold, lang.mcOutliveHouseholdDesc, res => formatShare(res.mortality?.householdOutlivesAssets)),
+        mortalityRow(lang.mcOutliveUser, '', res => formatShare(res.mortality?.userOutlivesAssets)),
+        mortalityRow(lang.mcOutliveSpouse, '', res => formatShare(res.mortality?.spouseOutlivesAssets)),
+        mortalityRow(lang.mcOutliveBoth, '', res => formatShare(res.mortality?.bothOutliveAssets)),
+        mortalityRow(lang.mcDeathAgeMedian, lang.mcDeathAgeMedianDesc, formatDeathAges)
+    ].join('') : '';
 
     const tableHTML = `
-        <h3 data-lang-key="mcTitle">${lang.mcTitle}</h3>
-        <p style="text-align: center; margin-top: -0.5rem; color: var(--text-secondary);" data-lang-key="mcSubTitle">${lang.mcSubTitle(numRuns)}</p>
+        <h3>${lang.mcTitle}${isReal ? ` (${lang.dollarsReal})` : ''}</h3>
+        <p style="text-align: center; margin-top: -0.5rem; color: var(--text-secondary);" data-lang-key="mcSubTitle">${lang.mcSubTitle(numRuns, resultsA.seed)}</p>
+        ${unitsNote}
         <table id="monte-carlo-results-table">
             <thead><tr><th>Metric</th><th>${lang.metricsScenarioA}</th><th>${lang.metricsScenarioB}</th></tr></thead>
             <tbody>
-                <tr><td>${lang.mcSuccessRate}<br><span style="${descStyle}">(${lang.mcSuccessDesc})</span></td><td>${formatPercent(resultsA.successRate)}</td><td>${formatPercent(resultsB.successRate)}</td></tr>
-                <tr><td>${lang.mcP10}<br><span style="${descStyle}">(${lang.mcP10Desc})</span></td><td>${formatCurrency(resultsA.p10)}</td><td>${formatCurrency(resultsB.p10)}</td></tr>
-                <tr><td>${lang.mcMedian}<br><span style="${descStyle}">(${lang.mcMedianDesc})</span></td><td>${formatCurrency(resultsA.median)}</td><td>${formatCurrency(resultsB.median)}</td></tr>
-                 <tr><td>${lang.mcP90}<br><span style="${descStyle}">(${lang.mcP90Desc})</span></td><td>${formatCurrency(resultsA.p90)}</td><td>${formatCurrency(resultsB.p90)}</td></tr>
+                <tr><td>${lang.mcSuccessRate}<br><span style="${descStyle}">${hasMortality ? lang.mcSuccessDescLifeTable : `(${lang.mcSuccessDesc})`}</span></td><td>${formatPercent(resultsA.successRate)}</td><td>${formatPercent(resultsB.successRate)}</td></tr>
+                <tr><td>${lang.mcP10}<br><span style="${descStyle}">(${lang.mcP10Desc})</span></td><td>${formatCurrency(finalP10(resultsA))}</td><td>${formatCurrency(finalP10(resultsB))}</td></tr>
+                <tr><td>${hasMortality ? lang.mcEstateMedian : lang.mcMedian}<br><span style="${descStyle}">${hasMortality ? lang.mcEstateMedianDesc : `(${lang.mcMedianDesc})`}</span></td><td>${formatCurrency(finalMedian(resultsA))}</td><td>${formatCurrency(finalMedian(resultsB))}</td></tr>
+                 <tr><td>${lang.mcP90}<br><span style="${descStyle}">(${lang.mcP90Desc})</span></td><td>${formatCurrency(finalP90(resultsA))}</td><td>${formatCurrency(finalP90(resultsB))}</td></tr>
+                <tr><td>${lang.mcDepletionMedian}<br><span style="${descStyle}">${lang.mcDepletionMedianDesc}</span></td><td>${formatDepletion(resultsA)}</td><td>${formatDepletion(resultsB)}</td></tr>
+                ${mortalityRows}
+                ${(resultsA.fxStochastic || resultsB.fxStochastic) ? `<tr><td>${lang.mcFxFinal}<br><span style="${descStyle}">${lang.mcFxFinalDesc}</span></td><td>${formatFxBand(resultsA)}</td><td>${formatFxBand(resultsB)}</td></tr>` : ''}
+                ${(resultsA.inflationStochastic || resultsB.inflationStochastic) ? `<tr><td>${lang.mcCpiFinal}<br><span style="${descStyle}">${lang.mcCpiFinalDesc}</span></td><td>${formatCpiBand(resultsA)}</td><td>${formatCpiBand(resultsB)}</td></tr>` : ''}
             </tbody>
         </table>`;
     elements.monte_carlo_results_container.innerHTML = tableHTML;
@@ -120,8 +237,14 @@ function displayMonteCarloResults(resultsA, resultsB, numRuns) {
 function clearMonteCarloCharts() {
     if (elements.mc_chart_a) d3.select(elements.mc_chart_a).selectAll("*").remove();
     if (elements.mc_chart_b) d3.select(elements.mc_chart_b).selectAll("*").remove();
+    if (elements.mc_fx_chart) d3.select(elements.mc_fx_chart).selectAll("*").remove();
+    if (elements.mc_depletion_chart) d3.select(elements.mc_depletion_chart).selectAll("*").remove();
+    if (elements.mc_survival_chart) d3.select(elements.mc_survival_chart).selectAll("*").remove();
+    if (elements.mc_estate_chart) d3.select(elements.mc_estate_chart).selectAll("*").remove();
     d3.select('body').selectAll('.d3-tooltip-mc').remove();
     if (elements.mc_graph_container_area) elements.mc_graph_container_area.classList.add('hidden');
+    if (elements.mc_fx_graph_container) elements.mc_fx_graph_container.classList.add('hidden');
+    if (elements.mc_estate_graph_container) elements.mc_estate_graph_container.classList.add('hidden');
 }
 
 /**
@@ -215,4 +338,249 @@ function drawMonteCarloChart(data, suffix) {
                    .style("left", (event.pageX + 15) + "px")
                    .style("top", (event.pageY - 28) + "px");
         });
-}
\ No newline at end of file
+}
+
+/**
+ * [NEW] Draws the CAD/THB percentile bands (P10-P90 + median) for both scenarios.
+ * Hidden when neither scenario has a stochastic exchange rate.
+ */
+function drawMonteCarloFxChart(resultsA, resultsB) {
+    const container = elements.mc_fx_graph_container;
+    const targetSvgElement = elements.mc_fx_chart;
+    if (typeof d3 === 'undefined' || !container || !targetSvgElement) return;
+
+    const svg = d3.select(targetSvgElement);
+    svg.selectAll("*").remove();
+    d3.select('body').selectAll('.d3-tooltip-mc-fx').remove();
+
+    if (!resultsA?.fxStochastic && !resultsB?.fxStochastic) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    const dataA = resultsA?.timeSeries || [];
+    const dataB = resultsB?.timeSeries || [];
+    const allData = dataA.concat(dataB);
+    if (allData.length === 0) return;
+
+    const margin = {top: 20, right: 30, bottom: 40, left: 80};
+    const width = +svg.node().getBoundingClientRect().width - margin.left - margin.right;
+    const height = +svg.node().getBoundingClientRect().height - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return;
+
+    svg.attr("viewBox", `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain(d3.extent(allData, d => d.year)).range([0, width]);
+    const y = d3.scaleLinear().domain([d3.min(allData, d => d.fxP10) * 0.95, d3.max(allData, d => d.fxP90) * 1.05]).range([height, 0]);
+
+    g.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).tickFormat(d3.format("d")));
+    g.append("g").call(d3.axisLeft(y).tickFormat(d => d3.format(".1f")(d) + " ฿"));
+
+    const band = d3.area().x(d => x(d.year)).y0(d => y(d.fxP10)).y1(d => y(d.fxP90));
+    const median = d3.line().x(d => x(d.year)).y(d => y(d.fxP50));
+
+    [[dataA, 'a'], [dataB, 'b']].forEach(([data, suffix]) => {
+        if (data.length === 0) return;
+        g.append("path").datum(data).attr("class", `mc-area-p10-p90-${suffix}`).attr("d", band);
+        g.append("path").datum(data).attr("fill", "none").attr("stroke-width", 2.5).attr("class", `line line-${suffix}`).attr("d", median);
+    });
+
+    const tooltip = d3.select("body").append("div")
+        .attr("class", "d3-tooltip d3-tooltip-mc d3-tooltip-mc-fx")
+        .style("opacity", 0);
+    const focus = g.append("g").style("display", "none");
+    focus.append("line").attr("class", "focus-line").attr("y1", 0).attr("y2", height);
+
+    const fmt = (d) => d ? `${d.fxP50.toFixed(2)} (${d.fxP10.toFixed(2)} - ${d.fxP90.toFixed(2)})` : '-';
+    g.append("rect")
+        .attr("class", "overlay")
+        .attr("width", width)
+        .attr("height", height)
+        .style("fill", "none")
+        .style("pointer-events", "all")
+        .on("mouseover", () => { focus.style("display", null); tooltip.style("opacity", 1); })
+        .on("mouseout", () => { focus.style("display", "none"); tooltip.style("opacity", 0); })
+        .on("mousemove", (event) => {
+            const year = Math.round(x.invert(d3.pointer(event, g.node())[0]));
+            const dA = dataA.find(d => d.year === year);
+            const dB = dataB.find(d => d.year === year);
+            if (!dA && !dB) return;
+
+            focus.attr("transform", `translate(${x(year)},0)`);
+            tooltip.html(`<strong>Year: ${year}</strong>
+                          <div><span class="color-a"></span>Scenario A: ${fmt(dA)}</div>
+                          <div><span class="color-b"></span>Scenario B: ${fmt(dB)}</div>`)
+                   .style("left", (event.pageX + 15) + "px")
+                   .style("top", (event.pageY - 28) + "px");
+        });
+}
+
+/**
+ * [NEW] Draws the depletion-age histogram (grouped bars, % of all paths) and the
+ * survival curve (probability assets remain at each age) for A vs B.
+ */
+function drawMonteCarloDepletionCharts(resultsA, resultsB) {
+    if (typeof d3 === 'undefined') return;
+    const histA = resultsA?.depletion?.histogram || [];
+    const histB = resultsB?.depletion?.histogram || [];
+    const survA = resultsA?.depletion?.survival || [];
+    const survB = resultsB?.depletion?.survival || [];
+    const ages = Array.from(new Set(histA.concat(histB).map(d => d.age))).sort((a, b) => a - b);
+    if (ages.length === 0) return;
+
+    const margin = {top: 20, right: 30, bottom: 40, left: 60};
+    const setup = (svgElement, tooltipClass) => {
+        if (!svgElement) return null;
+        const svg = d3.select(svgElement);
+        svg.selectAll("*").remove();
+        d3.select('body').selectAll(`.${tooltipClass}`).remove();
+        const width = +svg.node().getBoundingClientRect().width - margin.left - margin.right;
+        const height = +svg.node().getBoundingClientRect().height - margin.top - margin.bottom;
+        if (width <= 0 || height <= 0) return null;
+        svg.attr("viewBox", `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+        const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+        const tooltip = d3.select("body").append("div")
+            .attr("class", `d3-tooltip d3-tooltip-mc ${tooltipClass}`)
+            .style("opacity", 0);
+        return { g, width, height, tooltip };
+    };
+    const formatPercent = (val) => (val === undefined) ? '-' : `${(val * 100).toFixed(1)}%`;
+    const showTooltip = (tooltip, event, age, valA, valB) => {
+        tooltip.style("opacity", 1)
+               .html(`<strong>Age: ${age}</strong>
+                      <div><span class="color-a"></span>Scenario A: ${formatPercent(valA)}</div>
+                      <div><span class="color-b"></span>Scenario B: ${formatPercent(valB)}</div>`)
+               .style("left", (event.pageX + 15) + "px")
+               .style("top", (event.pageY - 28) + "px");
+    };
+
+    // 1. Histogram of depletion ages
+    const hist = setup(elements.mc_depletion_chart, 'd3-tooltip-mc-depletion');
+    if (hist) {
+        const { g, width, height, tooltip } = hist;
+        const x0 = d3.scaleBand().domain(ages).range([0, width]).padding(0.15);
+        const x1 = d3.scaleBand().domain(['a', 'b']).range([0, x0.bandwidth()]).padding(0.05);
+        const maxShare = d3.max(histA.concat(histB), d => d.share) || 0.01;
+        const y = d3.scaleLinear().domain([0, maxShare * 1.1]).range([height, 0]);
+        const tickEvery = Math.ceil(ages.length / 12);
+
+        g.append("g").attr("transform", `translate(0,${height})`)
+            .call(d3.axisBottom(x0).tickValues(ages.filter((_, i) => i % tickEvery === 0)));
+        g.append("g").call(d3.axisLeft(y).ticks(5).tickFormat(d3.format(".1%")));
+
+        const shareAt = (hist, age) => hist.find(d => d.age === age)?.share;
+        const groups = g.selectAll(".mc-depletion-group").data(ages).enter().append("g")
+            .attr("transform", age => `translate(${x0(age)},0)`);
+        [['a', histA], ['b', histB]].forEach(([suffix, data]) => {
+            groups.append("rect")
+                .attr("class", `mc-bar-${suffix}`)
+                .attr("x", x1(suffix))
+                .attr("width", x1.bandwidth())
+                .attr("y", age => y(shareAt(data, age) || 0))
+                .attr("height", age => height - y(shareAt(data, age) || 0));
+        });
+        groups.append("rect")
+            .attr("width", x0.bandwidth()).attr("height", height)
+            .style("fill", "none").style("pointer-events", "all")
+            .on("mousemove", (event, age) => showTooltip(tooltip, event, age, shareAt(histA, age), shareAt(histB, age)))
+            .on("mouseout", () => tooltip.style("opacity", 0));
+    }
+
+    // 2. Survival curve
+    const surv = setup(elements.mc_survival_chart, 'd3-tooltip-mc-survival');
+    if (surv) {
+        const { g, width, height, tooltip } = surv;
+        const x = d3.scaleLinear().domain(d3.extent(ages)).range([0, width]);
+        const y = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+
+        g.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).tickFormat(d3.format("d")));
+        g.append("g").call(d3.axisLeft(y).ticks(5).tickFormat(d3.format(".0%")));
+
+        const line = d3.line().x(d => x(d.age)).y(d => y(d.probability)).curve(d3.curveStepAfter);
+        [['a', survA], ['b', survB]].forEach(([suffix, data]) => {
+            if (data.length === 0) return;
+            g.append("path").datum(data).attr("fill", "none").attr("stroke-width", 2.5).attr("class", `line line-${suffix}`).attr("d", line);
+        });
+
+        const focus = g.append("g").style("display", "none");
+        focus.append("line").attr("class", "focus-line").attr("y1", 0).attr("y2", height);
+        g.append("rect")
+            .attr("class", "overlay")
+            .attr("width", width)
+            .attr("height", height)
+            .style("fill", "none")
+            .style("pointer-events", "all")
+            .on("mouseover", () => focus.style("display", null))
+            .on("mouseout", () => { focus.style("display", "none"); tooltip.style("opacity", 0); })
+            .on("mousemove", (event) => {
+                const age = Math.round(x.invert(d3.pointer(event, g.node())[0]));
+                const pA = survA.find(d => d.age === age)?.probability;
+                const pB = survB.find(d => d.age === age)?.probability;
+                if (pA === undefined && pB === undefined) return;
+                focus.attr("transform", `translate(${x(age)},0)`);
+                showTooltip(tooltip, event, age, pA, pB);
+            });
+    }
+}
+
+/**
+ * [NEW] Life-table mode: estate left at the last death. Each scenario has its own bins (up to its P95 estate),
+ * drawn as translucent bars on a shared amount axis; paths with nothing left are listed in the tooltip.
+ */
+function drawMonteCarloEstateChart(resultsA, resultsB) {
+    const container = elements.mc_estate_graph_container;
+    const histA = resultsA?.mortality?.estateHistogram || [];
+    const histB = resultsB?.mortality?.estateHistogram || [];
+    if (container) container.classList.toggle('hidden', histA.length === 0 && histB.length === 0);
+    if (typeof d3 === 'undefined' || !elements.mc_estate_chart || (histA.length === 0 && histB.length === 0)) return;
+
+    const svg = d3.select(elements.mc_estate_chart);
+    svg.selectAll("*").remove();
+    d3.select('body').selectAll('.d3-tooltip-mc-estate').remove();
+    const margin = {top: 20, right: 30, bottom: 40, left: 60};
+    const width = +svg.node().getBoundingClientRect().width - margin.left - margin.right;
+    const height = +svg.node().getBoundingClientRect().height - margin.top - margin.bottom;
+    if (width <= 0 || height <= 0) return;
+    svg.attr("viewBox", `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+    const tooltip = d3.select("body").append("div")
+        .attr("class", "d3-tooltip d3-tooltip-mc d3-tooltip-mc-estate")
+        .style("opacity", 0);
+    const lang = translations[currentLanguage];
+
+    // The open-ended last bin is drawn with the same width as the others
+    const toBars = (hist) => hist.slice(1).map(b => ({ ...b, to: isFinite(b.to) ? b.to : b.from + (b.from - (hist[hist.length - 2]?.from || 0)) }));
+    const barsA = toBars(histA);
+    const barsB = toBars(histB);
+    const maxX = d3.max(barsA.concat(barsB), d => d.to) || 1;
+    const maxShare = d3.max(barsA.concat(barsB), d => d.share) || 0.01;
+    const x = d3.scaleLinear().domain([0, maxX]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, maxShare * 1.1]).range([height, 0]);
+
+    g.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).ticks(6).tickFormat(d3.format("~s")));
+    g.append("g").call(d3.axisLeft(y).ticks(5).tickFormat(d3.format(".1%")));
+
+    const formatPercent = (val) => (val === undefined) ? '-' : `${(val * 100).toFixed(1)}%`;
+    [['a', barsA, histA], ['b', barsB, histB]].forEach(([suffix, bars, hist]) => {
+        g.selectAll(`.mc-estate-bar-${suffix}`).data(bars).enter().append("rect")
+            .attr("class", `mc-bar-${suffix} mc-estate-bar-${suffix}`)
+            .style("opacity", 0.6)
+            .attr("x", d => x(d.from))
+            .attr("width", d => Math.max(1, x(d.to) - x(d.from) - 1))
+            .attr("y", d => y(d.share))
+            .attr("height", d => height - y(d.share))
+            .on("mousemove", (event, d) => {
+                const range = isFinite(hist.find(b => b.from === d.from)?.to)
+                    ? `${formatCurrency(d.from)} - ${formatCurrency(d.to)}` : `${formatCurrency(d.from)}+`;
+                tooltip.style("opacity", 1)
+                       .html(`<strong><span class="color-${suffix}"></span>Scenario ${suffix.toUpperCase()}: ${range}</strong>
+                              <div>${formatPercent(d.share)}</div>
+                              <div>${lang.mcEstateNone}: ${formatPercent(hist[0]?.share)}</div>`)
+                       .style("left", (event.pageX + 15) + "px")
+                       .style("top", (event.pageY - 28) + "px");
+            })
+            .on("mouseout", () => tooltip.style("opacity", 0));
+    });
+}
@@ -1,37 +1,496 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     6.0.0 (Disabled)
+ * @version     7.2.2 (Fix: Shortfall test shared with the engines)
  * @file        uiOptimizationDisplay.js
  * @created     2025-11-09
- * @description Placeholder file. Optimization is not applicable in this single-user non-resident version.
+ * @description Searches CPP start age (60-70), OAS start age (65-70), withdrawal strategy and retirement age for each scenario,
+ *              scoring every combination with simulateScenario. Shows the best combinations against the current inputs
+ *              (summary table, ranked detail tables, asset chart, CSV export).
+ *              An optional spending floor (today's dollars per year) marks combinations whose funded spending drops below it as infeasible.
  */
 
 // uiOptimizationDisplay.js
 
+const OPT_CPP_AGES = [60, 70];
+const OPT_OAS_AGES = [65, 70];
+const OPT_STRATEGIES = ['rrsp_first', 'nonreg_first'];
+const OPT_TOP_N = 10;
+const OPT_MAX_PASSES = 4;
+const OPT_YIELD_EVERY = 50; // Evaluations between UI updates
+
 async function runAndDisplayOptimization(showLoader = true) {
-    console.warn("Optimization is NOT available in this Non-Resident version.");
-    alert("Feature not available: Optimization is only for Canadian resident couple scenarios.");
-    // Ensure UI doesn't get stuck in loading state if accidentally called
-    if (elements && elements.optimizer_loading_indicator) {
-        elements.optimizer_loading_indicator.classList.add('hidden');
+    lastRunWasOptimization = true;
+    if (typeof switchTab === 'function') switchTab('results');
+    if (showLoader && elements.optimizer_loading_indicator) {
+        elements.optimizer_loading_indicator.classList.remove('hidden');
+        if(elements.results_container) elements.results_container.classList.add('hidden');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // --- Clear all previous results (Deterministic, MC and Optimization) ---
+    if (typeof clearD3Chart === 'function') clearD3Chart();
+    if (typeof clearMonteCarloCharts === 'function') clearMonteCarloCharts();
+    clearOptimizationChart();
+    chartRendered = false;
+    if(elements.graph_container) elements.graph_container.classList.add('hidden');
+    if(elements.toggle_graph_btn) elements.toggle_graph_btn.classList.add('hidden');
+    if(elements.mc_graph_container_area) elements.mc_graph_container_area.classList.add('hidden');
+    if(elements.optimizer_graph_container) elements.optimizer_graph_container.classList.add('hidden');
+    if(elements.additional_metrics_container) elements.additional_metrics_container.innerHTML = '';
+    if(elements.detailed_table_container_a) elements.detailed_table_container_a.innerHTML = '';
+    if(elements.detailed_table_container_b) elements.detailed_table_container_b.innerHTML = '';
+    if(elements.monte_carlo_results_container) elements.monte_carlo_results_container.innerHTML = '';
+    if(elements.break_even_text_result) elements.break_even_text_result.textContent = '';
+    lastResultDetails = null; lastOptimizationResults = null; lastMonteCarloResults = null;
+
+    const lang = translations[currentLanguage];
+    const objective = elements.optimizationObjective?.value || 'finalAssets';
+    const retireRange = { min: parseInt(elements.optRetireAgeMin?.value), max: parseInt(elements.optRetireAgeMax?.value) };
+    const spendingFloor = Math.max(0, parseFloat(elements.optSpendingFloor?.value) || 0); // [NEW] 0 => off
+
+    try {
+        if (typeof gatherInputs !== 'function') throw new Error("gatherInputs not found.");
+        if (typeof simulateScenario !== 'function') throw new Error("simulateScenario not found.");
+
+        lastRunInputsA = gatherInputs('a');
+        lastRunInputsB = gatherInputs('b');
+
+        if(elements.runAnalysisBtn) elements.runAnalysisBtn.disabled = true;
+        if(elements.runMonteCarloBtn) elements.runMonteCarloBtn.disabled = true;
+        if(elements.runOptimizationBtn) elements.runOptimizationBtn.disabled = true;
+
+        const progressFor = (label) => (count) => {
+            if(elements.optimizer_loading_text) elements.optimizer_loading_text.textContent = lang.optProgress(label, count);
+        };
+        const resultsA = await optimizeScenario(lastRunInputsA, objective, retireRange, spendingFloor, progressFor('A'));
+        const resultsB = await optimizeScenario(lastRunInputsB, objective, retireRange, spendingFloor, progressFor('B'));
+        lastOptimizationResults = { resultsA, resultsB, objective, spendingFloor };
+
+        displayOptimizationSummaryTable(lastOptimizationResults);
+        displayOptimizationDetailedTable(lastOptimizationResults);
+        if(elements.break_even_text_result) elements.break_even_text_result.textContent = lang.optComplete(resultsA.evaluated, resultsB.evaluated);
+
+        if(elements.toggle_details_a_btn) elements.toggle_details_a_btn.classList.remove('hidden');
+        if(elements.toggle_details_b_btn) elements.toggle_details_b_btn.classList.remove('hidden');
+        if(elements.export_csv_btn) elements.export_csv_btn.classList.remove('hidden');
+
+        // Parent first so the chart has dimensions
+        if(elements.results_container) elements.results_container.classList.remove('hidden');
+        if(elements.optimizer_graph_container) elements.optimizer_graph_container.classList.remove('hidden');
+        drawOptimizationD3Chart(lastOptimizationResults);
+
+    } catch (error) {
+        console.error("Optimization Failed:", error);
+        if(elements.break_even_text_result) elements.break_even_text_result.textContent = lang.errSimFailed + error.message;
+        if(elements.results_container) elements.results_container.classList.remove('hidden');
+    } finally {
+        if (elements.optimizer_loading_indicator) elements.optimizer_loading_indicator.classList.add('hidden');
+        if (elements.optimizer_loading_text) elements.optimizer_loading_text.textContent = lang.loadingTextOptimizer;
+        if(elements.runAnalysisBtn) elements.runAnalysisBtn.disabled = false;
+        if(elements.runMonteCarloBtn) elements.runMonteCarloBtn.disabled = false;
+        if(elements.runOptimizationBtn) elements.runOptimizationBtn.disabled = false;
     }
 }
 
-// --- DUMMY FUNCTIONS (To prevent ReferenceErrors if called) ---
+// --- Search ---
+
+/**
+ * Coordinate search over one scenario. Each pass tries every retirement age x strategy x user CPP/OAS start age
+ * with the spouse's ages held, then every spouse CPP/OAS pair with the rest held, and stops once a pass finds nothing better.
+ * @param {Object} inputs - gatherInputs() result
+ * @param {string} objective - 'finalAssets' | 'lifetimeTax' | 'lowestAssets'
+ * @param {Object} retireRange - { min, max } (NaN => current retirement age)
+ * @param {number} spendingFloor - [NEW] Lowest acceptable funded spending per year in today's dollars (0 => off)
+ * @param {Function} progressCallback - (combinations evaluated so far)
+ * @returns {Promise<Object>} { objective, spendingFloor, maxAge, hasSpouse, current, best, ranked, evaluated }
+ */
+async function optimizeScenario(inputs, objective, retireRange, spendingFloor, progressCallback) {
+    const settings = {
+        maxAge: Number(inputs.lifeExpectancy) || 95,
+        cola: inputs.cola,
+        baseYear: 2025,
+        exchangeRate: Number(inputs.exchangeRate) || 25.0,
+        fxPath: resolveFxPath(inputs.fxPath) // [NEW] Same CAD/THB path as the deterministic run
+    };
+    const base = inputs.scenario;
+    const hasSpouse = base.spouse?.hasSpouse === true;
+    const userBirthYear = Number(base.user?.birthYear) || 1980;
+    const spouseAgeOffset = hasSpouse ? userBirthYear - (Number(base.spouse?.birthYear) || userBirthYear) : 0;
+    // [FIX] Last simulated year on the user's timeline (the surviving spouse's life expectancy when the user dies first)
+    const spouseBirthYear = hasSpouse ? (Number(base.spouse?.birthYear) || userBirthYear) : userBirthYear;
+    const endAge = getSimulationEndYear(resolveFirstDeath(base, hasSpouse, userBirthYear, spouseBirthYear), userBirthYear, spouseBirthYear, settings.maxAge) - userBirthYear;
+
+    const current = {
+        retirementAge: Number(base.retirementAge) || 60,
+        strategy: base.withdrawalStrategy || 'auto',
+        userCpp: Number(base.user?.cppStartAge) || 65,
+        userOas: Number(base.user?.oasStartAge) || 65,
+        spouseCpp: Number(base.spouse?.cppStartAge) || 65,
+        spouseOas: Number(base.spouse?.oasStartAge) || 65
+    };
+
+    let retireMin = isNaN(retireRange?.min) ? current.retirementAge : retireRange.min;
+    let retireMax = isNaN(retireRange?.max) ? current.retirementAge : retireRange.max;
+    if (retireMax < retireMin) [retireMin, retireMax] = [retireMax, retireMin];
+    const retireAges = _optAgeRange([retireMin, Math.min(retireMax, settings.maxAge)], retireMin, current.retirementAge);
+
+    const cache = new Map();
+    const evaluate = async (combo) => {
+        const key = `${combo.retirementAge}|${combo.strategy}|${combo.userCpp}|${combo.userOas}|${combo.spouseCpp}|${combo.spouseOas}`;
+        if (cache.has(key)) return cache.get(key);
+
+        // Yearly results are dropped here to keep memory flat; they are re-run for the entries that get charted
+        const run = _runOptimizationCombo(base, settings, combo);
+        const entry = { combo, resolvedStrategy: run.resolvedStrategy, ...measureOptimizationRun(run.results, endAge, spendingFloor) };
+        cache.set(key, entry);
+
+        if (cache.size % OPT_YIELD_EVERY === 0) {
+            if (progressCallback) progressCallback(cache.size);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return entry;
+    };
+
+    const currentEntry = await evaluate(current);
+    let best = currentEntry;
+    const consider = (entry) => { if (compareOptimizationEntries(entry, best, objective) < 0) best = entry; };
+
+    for (let pass = 0; pass < OPT_MAX_PASSES; pass++) {
+        const start = best;
+
+        for (const retirementAge of retireAges) {
+            const userCppAges = _optAgeRange(OPT_CPP_AGES, retirementAge, current.userCpp);
+            const userOasAges = _optAgeRange(OPT_OAS_AGES, retirementAge, current.userOas);
+            for (const strategy of OPT_STRATEGIES) {
+                for (const userCpp of userCppAges) {
+                    for (const userOas of userOasAges) {
+                        consider(await evaluate({ ...start.combo, retirementAge, strategy, userCpp, userOas }));
+                    }
+                }
+            }
+        }
+
+        if (hasSpouse) {
+            const held = best.combo;
+            const spouseStartAge = held.retirementAge + spouseAgeOffset;
+            for (const spouseCpp of _optAgeRange(OPT_CPP_AGES, spouseStartAge, current.spouseCpp)) {
+                for (const spouseOas of _optAgeRange(OPT_OAS_AGES, spouseStartAge, current.spouseOas)) {
+                    consider(await evaluate({ ...held, spouseCpp, spouseOas }));
+                }
+            }
+        }
+
+        if (best === start) break;
+    }
+
+    const ranked = [...cache.values()].sort((a, b) => compareOptimizationEntries(a, b, objective)).slice(0, OPT_TOP_N);
+    const withResults = (entry) => ({ ...entry, results: _runOptimizationCombo(base, settings, entry.combo).results });
+
+    return {
+        objective: objective,
+        spendingFloor: spendingFloor || 0,
+        maxAge: settings.maxAge,
+        hasSpouse: hasSpouse,
+        current: withResults(currentEntry),
+        best: withResults(ranked[0]),
+        ranked: ranked,
+        evaluated: cache.size
+    };
+}
+
+/**
+ * Summary metrics for one simulateScenario run. Spending counts as funded while income + withdrawals cover expenses + Canadian tax.
+ * [NEW] With a spending floor, a plan is feasible when it runs to endAge and the spending it funds (expenses less any shortfall,
+ * in today's dollars) never drops below the floor; without one, feasible = fully funded.
+ * @param {number} endAge - User's age in the last simulated year (getSimulationEndYear), not just maxAge
+ */
+function measureOptimizationRun(results, endAge, spendingFloor = 0) {
+    const totalOf = d => Object.values(d.closingBalance || {}).reduce((s, v) => s + (v || 0), 0);
+    let lifetimeTax = 0, lowestAssets = Infinity, lowestSpending = Infinity;
+    // [MODIFIED] Same failure test as the deterministic metrics and Monte Carlo
+    const firstShortfall = findFirstShortfall(results);
+    let shortfallAge = firstShortfall ? firstShortfall.age : null;
+
+    results.forEach(d => {
+        lifetimeTax += d.taxPayable || 0;
+        lowestAssets = Math.min(lowestAssets, totalOf(d));
+        if (d.phase !== 'accumulation') {
+            const fundedSpending = Math.max(0, (d.expenses || 0) - (d.cashShortfall || 0));
+            lowestSpending = Math.min(lowestSpending, fundedSpending / (d.priceIndex || 1));
+        }
+    });
+
+    // The engine stops at depletion; the following year is the first unfunded one
+    const last = results[results.length - 1];
+    const ranToEnd = !!last && last.userAge >= endAge;
+    if (shortfallAge === null && last && !ranToEnd) shortfallAge = last.userAge + 1;
+    if (!ranToEnd) lowestSpending = 0;
+
+    return {
+        finalAssets: last ? totalOf(last) : 0,
+        lifetimeTax: lifetimeTax,
+        lowestAssets: isFinite(lowestAssets) ? lowestAssets : 0,
+        lowestSpending: isFinite(lowestSpending) ? lowestSpending : 0,
+        funded: shortfallAge === null,
+        fundedToAge: shortfallAge === null ? endAge : shortfallAge - 1,
+        feasible: spendingFloor > 0 ? ranToEnd && lowestSpending >= spendingFloor - 0.5 : shortfallAge === null
+    };
+}
+
+/** Sort comparator (best first): feasible plans, then the later shortfall, then the objective. */
+function compareOptimizationEntries(a, b, objective) {
+    if (a.feasible !== b.feasible) return a.feasible ? -1 : 1;
+    if (!a.feasible && a.fundedToAge !== b.fundedToAge) return b.fundedToAge - a.fundedToAge;
+    if (objective === 'lifetimeTax') return (a.lifetimeTax - b.lifetimeTax) || (b.finalAssets - a.finalAssets);
+    if (objective === 'lowestAssets') return (b.lowestAssets - a.lowestAssets) || (b.finalAssets - a.finalAssets);
+    return b.finalAssets - a.finalAssets;
+}
+
+function getOptimizationObjectiveValue(entry, objective) {
+    if (objective === 'lifetimeTax') return entry.lifetimeTax;
+    if (objective === 'lowestAssets') return entry.lowestAssets;
+    return entry.finalAssets;
+}
+
+function _runOptimizationCombo(base, settings, combo) {
+    const scenario = {
+        ...base,
+        retirementAge: combo.retirementAge,
+        withdrawalStrategy: combo.strategy,
+        user: { ...base.user, cppStartAge: combo.userCpp, oasStartAge: combo.userOas },
+        spouse: { ...base.spouse, cppStartAge: combo.spouseCpp, oasStartAge: combo.spouseOas }
+    };
+    const runSettings = { ...settings };
+    const results = simulateScenario(scenario, runSettings);
+    return { results, resolvedStrategy: runSettings.resolvedStrategy };
+}
+
+/** Ages [lo..hi] that are not before the person's age at the first simulated year; falls back to the current choice. */
+function _optAgeRange([lo, hi], startAge, fallback) {
+    const ages = [];
+    for (let age = Math.max(lo, startAge); age <= hi; age++) ages.push(age);
+    return ages.length > 0 ? ages : [fallback];
+}
+
+// --- Display Functions ---
+
+function _optStrategyLabel(entry) {
+    const lang = translations[currentLanguage];
+    const label = (s) => s === 'rrsp_first' ? lang.optStrategyRrspFirst : (s === 'nonreg_first' ? lang.optStrategyNonregFirst : s);
+    if (entry.combo.strategy === 'auto') return `${lang.optStrategyAuto} (${label(entry.resolvedStrategy)})`;
+    return label(entry.combo.strategy);
+}
+
+function _optObjectiveLabel(objective) {
+    const lang = translations[currentLanguage];
+    if (objective === 'lifetimeTax') return lang.optObjectiveLifetimeTax;
+    if (objective === 'lowestAssets') return lang.optObjectiveLowestAssets;
+    return lang.optObjectiveFinalAssets;
+}
+
+/** Difference in the objective metric vs the current inputs, signed so that positive is an improvement. */
+function _optImprovement(entry, current, objective) {
+    const diff = getOptimizationObjectiveValue(entry, objective) - getOptimizationObjectiveValue(current, objective);
+    return objective === 'lifetimeTax' ? -diff : diff;
+}
+
+function _optRowCells(entry, result, objective, isCurrent) {
+    const lang = translations[currentLanguage];
+    const c = entry.combo;
+    const improvement = _optImprovement(entry, result.current, objective);
+    const color = improvement > 0.5 ? 'var(--success-color)' : (improvement < -0.5 ? 'var(--danger-color)' : 'inherit');
+    return `
+        <td>${c.retirementAge}</td>
+        <td>${result.hasSpouse ? `${c.userCpp} / ${c.spouseCpp}` : c.userCpp}</td>
+        <td>${result.hasSpouse ? `${c.userOas} / ${c.spouseOas}` : c.userOas}</td>
+        <td style="text-align: left;">${_optStrategyLabel(entry)}</td>
+        <td>${formatCurrency(entry.finalAssets)}</td>
+        <td>${formatCurrency(entry.lifetimeTax)}</td>
+        <td>${formatCurrency(entry.lowestAssets)}</td>
+        <td style="color: ${result.spendingFloor > 0 && !entry.feasible ? 'var(--danger-color)' : 'inherit'};">${formatCurrency(entry.lowestSpending)}</td>
+        <td>${entry.funded ? lang.optFundedFull : entry.fundedToAge}</td>
+        <td style="font-weight: bold; color: ${color};">${isCurrent ? '-' : (improvement >= 0 ? '+' : '') + formatCurrency(improvement)}</td>`;
+}
+
+function _optHeaderCells() {
+    const lang = translations[currentLanguage];
+    return `<th>${lang.optColRetireAge}</th><th>${lang.optColCpp}</th><th>${lang.optColOas}</th><th>${lang.optColStrategy}</th>
+            <th>${lang.metricsFinalAssets}</th><th>${lang.optColLifetimeTax}</th><th>${lang.optColLowestAssets}</th>
+            <th>${lang.optColLowestSpending}</th><th>${lang.optColFundedTo}</th><th>${lang.optColVsCurrent}</th>`;
+}
 
 function displayOptimizationSummaryTable(optimizationResults) {
-    // No-op
+    if (!optimizationResults || !elements.additional_metrics_container) return;
+    const lang = translations[currentLanguage];
+    const { resultsA, resultsB, objective, spendingFloor } = optimizationResults;
+    const rankingNote = spendingFloor > 0 ? lang.optRankingNoteFloor(formatCurrency(spendingFloor)) : lang.optRankingNote;
+
+    const rows = (result, scenarioLabel) => `
+        <tr>
+            <td style="text-align: left; font-weight: 600;">${scenarioLabel}</td>
+            <td style="text-align: left;">${lang.optRowCurrent}</td>
+            ${_optRowCells(result.current, result, objective, true)}
+        </tr>
+        <tr>
+            <td style="text-align: left; font-weight: 600;">${scenarioLabel}</td>
+            <td style="text-align: left; font-weight: 600;">${lang.optRowBest}</td>
+            ${_optRowCells(result.best, result, objective, false)}
+        </tr>`;
+
+    elements.additional_metrics_container.innerHTML = `
+        <h3>${lang.optSummaryTitle}</h3>
+        <p style="font-size: 0.9em; color: var(--text-secondary);">${lang.optObjectiveLabel} ${_optObjectiveLabel(objective)}. ${rankingNote}</p>
+        <div style="overflow-x:auto;">
+        <table id="additional-metrics-table">
+            <thead><tr><th>${lang.optColScenario}</th><th></th>${_optHeaderCells()}</tr></thead>
+            <tbody>
+                ${rows(resultsA, lang.metricsScenarioA)}
+                ${rows(resultsB, lang.metricsScenarioB)}
+            </tbody>
+        </table>
+        </div>`;
 }
 
 function displayOptimizationDetailedTable(optimizationResults) {
-    // No-op
+    if (!optimizationResults) return;
+    const lang = translations[currentLanguage];
+    const { resultsA, resultsB, objective } = optimizationResults;
+
+    const renderTable = (result, title) => {
+        let html = `<h3>${title}</h3><div style="overflow-x:auto;"><table><thead><tr><th>${lang.optColRank}</th>${_optHeaderCells()}</tr></thead><tbody>`;
+        html += `<tr><td>${lang.optRowCurrent}</td>${_optRowCells(result.current, result, objective, true)}</tr>`;
+        result.ranked.forEach((entry, i) => {
+            html += `<tr><td>${i + 1}</td>${_optRowCells(entry, result, objective, false)}</tr>`;
+        });
+        html += `</tbody></table></div>`;
+        return html;
+    };
+
+    if (elements.detailed_table_container_a) {
+        elements.detailed_table_container_a.innerHTML = renderTable(resultsA, `${lang.metricsScenarioA} - ${lang.optDetailsTitle}`);
+    }
+    if (elements.detailed_table_container_b) {
+        elements.detailed_table_container_b.innerHTML = renderTable(resultsB, `${lang.metricsScenarioB} - ${lang.optDetailsTitle}`);
+    }
+}
+
+function clearOptimizationChart() {
+    if (elements.optimizer_results_chart) d3.select(elements.optimizer_results_chart).selectAll("*").remove();
+    d3.select('body').select('.d3-tooltip').remove();
 }
 
+/** Total assets by year: current inputs (dashed) vs best combination (solid) for A and B. */
 function drawOptimizationD3Chart(optimizationResults) {
-    // No-op
+    if (typeof d3 === 'undefined' || !optimizationResults || !elements.optimizer_results_chart) return;
+    clearOptimizationChart();
+    const lang = translations[currentLanguage];
+
+    const series = [
+        { key: 'currentA', results: optimizationResults.resultsA.current.results, color: 'var(--chart-line-a)', dash: '6,4', label: `${lang.metricsScenarioA} ${lang.optRowCurrent}` },
+        { key: 'bestA', results: optimizationResults.resultsA.best.results, color: 'var(--chart-line-a)', dash: null, label: `${lang.metricsScenarioA} ${lang.optRowBest}` },
+        { key: 'currentB', results: optimizationResults.resultsB.current.results, color: 'var(--chart-line-b)', dash: '6,4', label: `${lang.metricsScenarioB} ${lang.optRowCurrent}` },
+        { key: 'bestB', results: optimizationResults.resultsB.best.results, color: 'var(--chart-line-b)', dash: null, label: `${lang.metricsScenarioB} ${lang.optRowBest}` }
+    ];
+
+    const combinedDataMap = new Map();
+    series.forEach(s => s.results.forEach(d => {
+        if (!combinedDataMap.has(d.year)) combinedDataMap.set(d.year, { year: d.year });
+        combinedDataMap.get(d.year)[s.key] = Object.values(d.closingBalance || {}).reduce((a, b) => a + b, 0);
+    }));
+    const data = Array.from(combinedDataMap.values()).sort((a, b) => a.year - b.year);
+    if (data.length === 0) return;
+
+    const svg = d3.select(elements.optimizer_results_chart), margin = {top:20,right:30,bottom:40,left:80},
+          width = +svg.node().getBoundingClientRect().width - margin.left - margin.right,
+          height = +svg.node().getBoundingClientRect().height - margin.top - margin.bottom;
+    svg.attr("viewBox", `0 0 ${width+margin.left+margin.right} ${height+margin.top+margin.bottom}`);
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain(d3.extent(data, d => d.year)).range([0, width]);
+    const y = d3.scaleLinear().domain([0, d3.max(data, d => Math.max(...series.map(s => d[s.key] || 0))) * 1.05]).range([height, 0]);
+
+    g.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).tickFormat(d3.format("d")));
+    g.append("g").call(d3.axisLeft(y).tickFormat(d => "$" + d3.format("~s")(d)));
+
+    series.forEach(s => {
+        g.append("path").datum(data)
+            .attr("fill", "none").attr("stroke", s.color).attr("stroke-width", 2.5)
+            .attr("stroke-dasharray", s.dash)
+            .attr("d", d3.line().defined(d => !isNaN(d[s.key])).x(d => x(d.year)).y(d => y(d[s.key])));
+    });
+
+    const tooltip = d3.select("body").append("div").attr("class", "d3-tooltip").style("opacity", 0);
+    const focus = g.append("g").style("display", "none");
+    focus.append("line").attr("class", "focus-line").attr("y1", 0).attr("y2", height);
+
+    g.append("rect")
+        .attr("class", "overlay")
+        .attr("width", width)
+        .attr("height", height)
+        .style("fill", "none")
+        .style("pointer-events", "all")
+        .on("mouseover", () => { focus.style("display", null); tooltip.style("opacity", 1); })
+        .on("mouseout", () => { focus.style("display", "none"); tooltip.style("opacity", 0); })
+        .on("mousemove", (event) => {
+            const bisectDate = d3.bisector(d => d.year).left;
+            const x0 = x.invert(d3.pointer(event, g.node())[0]);
+            const i = bisectDate(data, x0, 1);
+            const d0 = data[i - 1], d1 = data[i];
+            const d = (d0 && d1) ? (x0 - d0.year > d1.year - x0 ? d1 : d0) : (d0 || d1);
+            if (!d) return;
+
+            focus.attr("transform", `translate(${x(d.year)},0)`);
+            tooltip.html(`<strong>Year: ${d.year}</strong>` +
+                          series.map(s => `<div><span class="color-${s.key.slice(-1).toLowerCase()}"></span>${s.label}: ${formatCurrency(d[s.key])}</div>`).join(''))
+                   .style("left", (event.pageX + 15) + "px")
+                   .style("top", (event.pageY - 28) + "px");
+        });
 }
 
 function exportOptimizationToCsv(optimizationResults, inputsA, inputsB) {
-     console.warn("Export Optimization N/A");
-}
\ No newline at end of file
+    if (!optimizationResults) return;
+    const { resultsA, resultsB, objective, spendingFloor } = optimizationResults;
+    const labelOf = (s) => s === 'rrsp_first' ? "RRSP Meltdown First" : (s === 'nonreg_first' ? "Non-Reg First" : s);
+    const strategyOf = (entry) => entry.combo.strategy === 'auto' ? `Smart Auto (${labelOf(entry.resolvedStrategy)})` : labelOf(entry.combo.strategy);
+
+    let csv = "data:text/csv;charset=utf-8,\uFEFF";
+    csv += `"Objective","${objective}"\r\n`;
+    csv += `"Spending Floor (Today's $)","${spendingFloor || 0}"\r\n`;
+    csv += `"Exchange Rate","${inputsA?.exchangeRate ?? ''}","${inputsB?.exchangeRate ?? ''}"\r\n\r\n`;
+
+    csv += ["Scenario", "Rank", "Retirement Age", "CPP Start (User)", "CPP Start (Spouse)", "OAS Start (User)", "OAS Start (Spouse)",
+            "Strategy", "Final Assets", "Lifetime Tax", "Lowest Balance", "Lowest Spending (Today's $)", "Feasible", "Funded To Age", "Objective vs Current"].map(h => `"${h}"`).join(',') + "\r\n";
+    [['A', resultsA], ['B', resultsB]].forEach(([label, result]) => {
+        const addRow = (rank, entry) => {
+            const c = entry.combo;
+            csv += [label, rank, c.retirementAge, c.userCpp, result.hasSpouse ? c.spouseCpp : '', c.userOas, result.hasSpouse ? c.spouseOas : '',
+                    `"${strategyOf(entry)}"`, entry.finalAssets.toFixed(0), entry.lifetimeTax.toFixed(0), entry.lowestAssets.toFixed(0),
+                    entry.lowestSpending.toFixed(0), entry.feasible ? "Yes" : "No", entry.fundedToAge, _optImprovement(entry, result.current, objective).toFixed(0)].join(',') + "\r\n";
+        };
+        addRow("Current", result.current);
+        result.ranked.forEach((entry, i) => addRow(i + 1, entry));
+    });
+    csv += "\r\n";
+
+    // Yearly total assets: current vs best
+    const totalsByYear = new Map();
+    const keys = ["Current_A", "Best_A", "Current_B", "Best_B"];
+    [resultsA.current, resultsA.best, resultsB.current, resultsB.best].forEach((entry, i) => entry.results.forEach(d => {
+        if (!totalsByYear.has(d.year)) totalsByYear.set(d.year, {});
+        totalsByYear.get(d.year)[keys[i]] = Object.values(d.closingBalance || {}).reduce((a, b) => a + b, 0);
+    }));
+    csv += "Year," + keys.map(k => `Total Assets ${k}`).join(',') + "\r\n";
+    [...totalsByYear.keys()].sort((a, b) => a - b).forEach(year => {
+        const row = totalsByYear.get(year);
+        csv += [year, ...keys.map(k => row[k] !== undefined ? row[k].toFixed(0) : "")].join(',') + "\r\n";
+    });
+
+    const encodedUri = encodeURI(csv);
+    const link = document.createElement("a");
+    link.setAttribute("href", encodedUri);
+    link.setAttribute("download", "thai_retirement_optimization.csv");
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
@@ -1,7 +1,7 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     7.4.0 (Feature: Redesigned Key Metrics table to row-based scenario summary)
+ * @version     7.15.2 (Refactor: CSV columns shared with the command-line runner)
  * @file        uiResultsDisplay.js
  * @created     2025-11-09
  * @description Displays results. Key Metrics table now shows detailed tax breakdown per scenario.
@@ -11,18 +11,20 @@
 
 // --- State Variables ---
 let lastResultDetails = null;
-let lastOptimizationResults = null; // Unused
+let lastOptimizationResults = null;
 let lastRunInputsA = null;
 let lastRunInputsB = null;
 let chartRendered = false;
 let lastRunWasOptimization = false;
+// [NEW] Display units for the deterministic results (engine rows are annual CAD)
+let resultsCurrency = 'CAD';
+let resultsPeriod = 'annual';
+let resultsDollars = 'nominal'; // [NEW] 'real' = deflated to the base year by the row's price index
 
 // --- Initialization ---
 function initializeResultsDisplay() {
     elements.runAnalysisBtn?.addEventListener('click', () => runAndDisplayAnalysis(true));
-    elements.runOptimizationBtn?.addEventListener('click', () => {
-         console.warn("Optimization N/A");
-    });
+    elements.runOptimizationBtn?.addEventListener('click', () => runAndDisplayOptimization(true));
     
     elements.toggle_details_a_btn?.addEventListener('click', () => {
         elements.detailed_table_container_a?.classList.toggle('hidden');
@@ -32,8 +34,18 @@ function initializeResultsDisplay() {
     });
 
     elements.export_csv_btn?.addEventListener('click', () => {
-        if (lastResultDetails) exportToCsv(lastResultDetails, lastRunInputsA, lastRunInputsB);
+        // [MODIFIED] Export follows the last run type
+        if (lastRunWasOptimization && lastOptimizationResults) exportOptimizationToCsv(lastOptimizationResults, lastRunInputsA, lastRunInputsB);
+        else if (lastResultDetails) exportToCsv(lastResultDetails, lastRunInputsA, lastRunInputsB);
     });
+    // [NEW] Currency / period / dollars toggles re-render the last deterministic or Monte Carlo run
+    [elements.resultsCurrency, elements.resultsPeriod, elements.resultsDollars].forEach(select => select?.addEventListener('change', () => {
+        resultsCurrency = elements.resultsCurrency?.value || 'CAD';
+        resultsPeriod = elements.resultsPeriod?.value || 'annual';
+        resultsDollars = elements.resultsDollars?.value || 'nominal';
+        refreshResultsDisplay();
+        if (typeof refreshMonteCarloDisplay === 'function') refreshMonteCarloDisplay();
+    }));
     elements.toggle_graph_btn?.addEventListener('click', () => {
         const graphContainer = elements.graph_container;
         if (!graphContainer) return;
@@ -49,7 +61,34 @@ function initializeResultsDisplay() {
 }
 
 function getLastResultDetails() { return lastResultDetails; }
-function getLastOptimizationResults() { return null; }
+function getLastOptimizationResults() { return lastOptimizationResults; }
+
+/** [NEW] Re-renders the last deterministic run in the selected display units. */
+function refreshResultsDisplay() {
+    if (!lastResultDetails || lastRunWasOptimization) return;
+    displayComparisonMetrics(lastResultDetails);
+    displaySeparatedDetailedTables(lastResultDetails);
+    if (elements.graph_container && !elements.graph_container.classList.contains('hidden')) drawD3Chart(lastResultDetails);
+}
+
+/**
+ * [NEW] Converts an annual CAD value from a result row to the display units, at that row's exchange rate.
+ * Balances and lifetime totals are not per-period amounts, so the monthly setting leaves them whole.
+ * Today's dollars divide by the row's price index (scenario COLA since the base year).
+ */
+function toDisplayUnits(value, row, isBalance) {
+    if (typeof value !== 'number') return value;
+    const rate = resultsCurrency === 'THB' ? (Number(row?.exchangeRate) || DEFAULT_CAD_THB_RATE) : 1;
+    const deflator = resultsDollars === 'real' ? (Number(row?.priceIndex) || 1) : 1;
+    return value * rate / deflator / (resultsPeriod === 'monthly' && !isBalance ? 12 : 1);
+}
+
+/** [NEW] Sustainable Thai spending in THB / month (first retirement year), deflated in today's-dollar mode. */
+function getSustainableThbPerMonth(sustainable, rows) {
+    if (!sustainable) return null;
+    const firstRetired = (rows || []).find(d => d.phase !== 'accumulation');
+    return sustainable.thbPerMonth / (resultsDollars === 'real' ? (Number(firstRetired?.priceIndex) || 1) : 1);
+}
 
 // --- Execution Function ---
 function runAndDisplayAnalysis(showLoader = true) {
@@ -63,6 +102,9 @@ function runAndDisplayAnalysis(showLoader = true) {
     setTimeout(async () => {
         clearD3Chart();
         if(elements.graph_container) elements.graph_container.classList.add('hidden');
+        if (typeof clearOptimizationChart === 'function') clearOptimizationChart();
+        if(elements.optimizer_graph_container) elements.optimizer_graph_container.classList.add('hidden');
+        lastOptimizationResults = null;
         if(elements.monte_carlo_results_container) elements.monte_carlo_results_container.innerHTML = '';
 
         try {
@@ -107,13 +149,19 @@ function displayComparisonMetrics(results) {
    const resultsB = results?.resultsB || [];
 
    // Helper functions for totals
+   // [MODIFIED] In the display currency, each year at its own rate
    const getFinalAssets = (resArray) => {
        if (!resArray || resArray.length === 0) return 0;
        const lastYear = resArray[resArray.length - 1];
-       return lastYear?.closingBalance ? Object.values(lastYear.closingBalance).reduce((s, val) => s + (val || 0), 0) : 0;
+       return lastYear?.closingBalance ? toDisplayUnits(Object.values(lastYear.closingBalance).reduce((s, val) => s + (val || 0), 0), lastYear, true) : 0;
    };
-   const getTotalCanTax = (resArray) => resArray.reduce((sum, d) => sum + (d.taxPayable_can || 0), 0);
-   const getTotalThaiTax = (resArray) => resArray.reduce((sum, d) => sum + (d.taxPayable_thai || 0), 0);
+   const getTotalCanTax = (resArray) => resArray.reduce((sum, d) => sum + toDisplayUnits(d.taxPayable_can || 0, d, true), 0);
+   const getTotalThaiTax = (resArray) => resArray.reduce((sum, d) => sum + toDisplayUnits(d.taxPayable_thai || 0, d, true), 0);
+   const getSustainable = (sustainable, resArray) => sustainable ? formatCurrency(getSustainableThbPerMonth(sustainable, resArray), 'THB') : '-';
+   // [NEW] Same failure test as Monte Carlo
+   const getShortfall = (shortfall) => shortfall
+       ? `<span style="color: var(--danger-color);">${shortfall.age} (${shortfall.year})${shortfall.lifCapped ? ` - ${lang.metricsShortfallLifCap}` : ''}</span>`
+       : lang.metricsShortfallNone;
 
    // Temporary labels until uiCore translation update
    const lblScenario = currentLanguage === 'ko' ? "시나리오" : "Scenario";
@@ -131,20 +179,26 @@ function displayComparisonMetrics(results) {
                    <th>${lblCanTax}</th>
                    <th>${lblThaiTax}</th>
                    <th>${lblFinalAssets}</th>
+                   <th>${lang.metricsSustainableThb} <span class="tooltip" data-tooltip="${lang.metricsSustainableTooltip}">?</span></th>
+                   <th>${lang.metricsShortfallAge} <span class="tooltip" data-tooltip="${lang.metricsShortfallTooltip}">?</span></th>
                </tr>
            </thead>
            <tbody>
                <tr>
                    <td style="text-align: left; font-weight: 600;">${lang.metricsScenarioA}</td>
-                   <td>${formatCurrency(getTotalCanTax(resultsA))}</td>
-                   <td>${formatCurrency(getTotalThaiTax(resultsA))}</td>
-                   <td style="font-weight: bold;">${formatCurrency(getFinalAssets(resultsA))}</td>
+                   <td>${formatCurrency(getTotalCanTax(resultsA), resultsCurrency)}</td>
+                   <td>${formatCurrency(getTotalThaiTax(resultsA), resultsCurrency)}</td>
+                   <td style="font-weight: bold;">${formatCurrency(getFinalAssets(resultsA), resultsCurrency)}</td>
+                   <td style="font-weight: bold;">${getSustainable(results?.sustainableA, resultsA)}</td>
+                   <td>${getShortfall(results?.firstShortfallA)}</td>
                </tr>
                <tr>
                    <td style="text-align: left; font-weight: 600;">${lang.metricsScenarioB}</td>
-                   <td>${formatCurrency(getTotalCanTax(resultsB))}</td>
-                   <td>${formatCurrency(getTotalThaiTax(resultsB))}</td>
-                   <td style="font-weight: bold;">${formatCurrency(getFinalAssets(resultsB))}</td>
+                   <td>${formatCurrency(getTotalCanTax(resultsB), resultsCurrency)}</td>
+                   <td>${formatCurrency(getTotalThaiTax(resultsB), resultsCurrency)}</td>
+                   <td style="font-weight: bold;">${formatCurrency(getFinalAssets(resultsB), resultsCurrency)}</td>
+                   <td style="font-weight: bold;">${getSustainable(results?.sustainableB, resultsB)}</td>
+                   <td>${getShortfall(results?.firstShortfallB)}</td>
                </tr>
            </tbody>
        </table>`;
@@ -159,22 +213,34 @@ function displaySeparatedDetailedTables(results) {
 
     const cols = [
         { key: 'userAge', label: lang.colAge, prop: 'userAge' },
-        { key: 'closingBalanceTotal', label: lang.colTotalAssets, calc: d => Object.values(d?.closingBalance || {}).reduce((s,v)=>s+(v||0),0) },
+        { key: 'closingBalanceTotal', label: lang.colTotalAssets, calc: d => Object.values(d?.closingBalance || {}).reduce((s,v)=>s+(v||0),0), balance: true },
         { key: 'incomeTotal', label: lang.colIncomeTotal, prop: 'income.total' },
         { key: 'expTotal', label: lang.colExpenses, prop: 'expenses' },
         { key: 'taxTotal', label: lang.colTaxesPaid, prop: 'taxPayable' },
+        { key: 'cashShortfall', label: lang.colCashShortfall, prop: 'cashShortfall' }, // [NEW] Unfunded expenses + tax
+        { key: 'contributions', label: lang.colContributions, prop: 'contributions.total' }, // [NEW] Accumulation years only
         { key: 'wdRRSP', label: lang.colWdRRSP, prop: 'withdrawals.rrsp' },
         { key: 'wdLIF', label: lang.colWdLIF, prop: 'withdrawals.lif' },
+        { key: 'lifMaxReached', label: lang.colLifMaxReached, calc: d => d.lifMaxReached ? (d.withdrawalShortfall > 0 ? lang.lifMaxShortfallFlag : lang.lifMaxReachedFlag) : '' }, // [NEW] LIF capped this year
+        { key: 'wdShortfall', label: lang.colWdShortfall, prop: 'withdrawalShortfall' }, // [NEW] No account could fund it
         { key: 'wdNonReg', label: lang.colWdNonReg, prop: 'withdrawals.nonreg' },
         { key: 'wdTFSA', label: lang.colWdTFSA, prop: 'withdrawals.tfsa' },
-        { key: 'balRRSP', label: lang.colBalRRSP, prop: 'closingBalance.rrsp' },
-        { key: 'balLIF', label: lang.colBalLIF, prop: 'closingBalance.lif' },
-        { key: 'balNonReg', label: lang.colBalNonReg, prop: 'closingBalance.nonreg' },
-        { key: 'balTFSA', label: lang.colBalTFSA, prop: 'closingBalance.tfsa' }
+        { key: 'remitTaxable', label: lang.colRemitTaxable, prop: 'withdrawals.thai_taxable_remittance' }, // [NEW] Thai remittance pools
+        { key: 'remitPre2024', label: lang.colRemitPre2024, prop: 'withdrawals.thai_exempt_remittance' },
+        { key: 'realizedGain', label: lang.colRealizedGain, prop: 'nonRegRealizedGain' }, // [NEW] Non-reg ACB
+        { key: 'section217Refund', label: lang.colSection217Refund, prop: 'section217Refund' }, // [NEW] Received this year
+        { key: 'oasRecWithheld', label: lang.colOasRecoveryWithheld, prop: 'oasRecoveryWithheld' }, // [NEW] OAS recovery tax
+        { key: 'oasRecLiability', label: lang.colOasRecoveryLiability, prop: 'oasClawback' },
+        { key: 'oasRecSettlement', label: lang.colOasRecoverySettlement, prop: 'oasRecoverySettlement' },
+        { key: 'survivorBenefits', label: lang.colSurvivorBenefits, prop: 'survivorBenefits' }, // [NEW] CPP survivor + DB survivor pensions
+        { key: 'balRRSP', label: lang.colBalRRSP, prop: 'closingBalance.rrsp', balance: true },
+        { key: 'balLIF', label: lang.colBalLIF, prop: 'closingBalance.lif', balance: true },
+        { key: 'balNonReg', label: lang.colBalNonReg, prop: 'closingBalance.nonreg', balance: true },
+        { key: 'balTFSA', label: lang.colBalTFSA, prop: 'closingBalance.tfsa', balance: true }
     ];
 
     const renderTable = (data, title) => {
-        let html = `<h3>${title}</h3><div style="overflow-x:auto;"><table><thead><tr>`;
+        let html = `<h3>${title} (${lang.displayUnits(resultsCurrency, resultsPeriod, resultsDollars)})</h3><div style="overflow-x:auto;"><table><thead><tr>`;
         cols.forEach(col => html += `<th>${col.label}</th>`);
         html += `</tr></thead><tbody>`;
 
@@ -182,7 +248,7 @@ function displaySeparatedDetailedTables(results) {
             html += `<tr>`;
             cols.forEach(col => {
                 const raw = col.calc ? col.calc(d) : (col.prop ? col.prop.split('.').reduce((o,i)=>o?.[i], d) : d[col.key]);
-                html += `<td>${typeof raw === 'number' && col.key !== 'userAge' ? formatCurrency(raw) : (raw || '-')}</td>`;
+                html += `<td>${typeof raw === 'number' && col.key !== 'userAge' ? formatCurrency(toDisplayUnits(raw, d, col.balance), resultsCurrency) : (raw || '-')}</td>`;
             });
             html += `</tr>`;
         });
@@ -205,25 +271,20 @@ function exportToCsv(results, inputsA, inputsB) {
     addRow("Parameter", "Scenario A", "Scenario B");
     addRow("Exchange Rate", inputsA.exchangeRate, inputsB.exchangeRate);
     addRow("Retirement Age", inputsA.scenario.retirementAge, inputsB.scenario.retirementAge);
+    addRow("Sustainable Thai Spending THB / Month", getSustainableThbPerMonth(results.sustainableA, results.resultsA)?.toFixed(0), getSustainableThbPerMonth(results.sustainableB, results.resultsB)?.toFixed(0)); // [NEW]
+    addRow("First Shortfall Age", results.firstShortfallA?.age ?? 'None', results.firstShortfallB?.age ?? 'None'); // [NEW]
+    addRow("Units", `${resultsCurrency} / ${resultsPeriod} / ${resultsDollars}`, `${resultsCurrency} / ${resultsPeriod} / ${resultsDollars}`);
     csv += "\r\n";
 
-    const cols = [
-        { label: "Age", prop: 'userAge' },
-        { label: "Total Assets", calc: d => Object.values(d.closingBalance||{}).reduce((a,b)=>a+b,0) },
-        { label: "Total Income", prop: 'income.total' },
-        { label: "Total Expenses", prop: 'expenses' },
-        { label: "Total Taxes", prop: 'taxPayable' },
-        { label: "WD: RRSP", prop: 'withdrawals.rrsp' },
-        { label: "WD: LIF", prop: 'withdrawals.lif' },
-        { label: "WD: NonReg", prop: 'withdrawals.nonreg' },
-        { label: "WD: TFSA", prop: 'withdrawals.tfsa' },
-        { label: "Bal: RRSP", prop: 'closingBalance.rrsp' },
-        { label: "Bal: LIF", prop: 'closingBalance.lif' },
-        { label: "Bal: NonReg", prop: 'closingBalance.nonreg' },
-        { label: "Bal: TFSA", prop: 'closingBalance.tfsa' }
-    ];
+    // [MODIFIED] Same columns as the command-line CSV (scenarioIO.js)
+    const cols = getResultsCsvColumns();
+    // [NEW] Same display units as the tables
+    const cellValue = (col, d) => {
+        const raw = getCsvColumnValue(col, d);
+        return (col.flag ? raw : toDisplayUnits(raw, d, col.balance)).toFixed(0);
+    };
 
-    csv += "Age," + cols.filter(c=>c.label !== 'Age').map(c => c.label + "_A").join(',') + "," + cols.filter(c=>c.label !== 'Age').map(c => c.label + "_B").join(',') + "\r\n";
+    csv += "Age," + cols.map(c => c.label + "_A").join(',') + "," + cols.map(c => c.label + "_B").join(',') + "\r\n";
 
     const resultsA = results.resultsA || [];
     const resultsB = results.resultsB || [];
@@ -233,8 +294,8 @@ function exportToCsv(results, inputsA, inputsB) {
         const dA = resultsA.find(d => d.userAge === age);
         const dB = resultsB.find(d => d.userAge === age);
         let row = [age];
-        cols.forEach(col => { if (col.label === 'Age') return; row.push(dA ? (col.calc ? col.calc(dA) : (col.prop ? col.prop.split('.').reduce((o,i)=>o?.[i],dA) : 0)||0).toFixed(0) : ""); });
-        cols.forEach(col => { if (col.label === 'Age') return; row.push(dB ? (col.calc ? col.calc(dB) : (col.prop ? col.prop.split('.').reduce((o,i)=>o?.[i],dB) : 0)||0).toFixed(0) : ""); });
+        cols.forEach(col => row.push(dA ? cellValue(col, dA) : ""));
+        cols.forEach(col => row.push(dB ? cellValue(col, dB) : ""));
         csv += row.join(',') + "\r\n";
     });
 
@@ -259,11 +320,14 @@ drawD3Chart = function(results) {
 
     const resultsA = results?.resultsA || [];
     const resultsB = results?.resultsB || [];
+    const lang = translations[currentLanguage];
     const combinedDataMap = new Map();
-    resultsA.forEach(d => combinedDataMap.set(d.year, { year: d.year, age: d.userAge, valueA: Object.values(d.closingBalance||{}).reduce((a,b)=>a+b,0) }));
+    const totalOf = d => toDisplayUnits(Object.values(d.closingBalance||{}).reduce((a,b)=>a+b,0), d, true); // [MODIFIED] Display currency
+    resultsA.forEach(d => combinedDataMap.set(d.year, { year: d.year, age: d.userAge, valueA: totalOf(d), shortA: d.cashShortfall || 0 }));
     resultsB.forEach(d => {
         if (!combinedDataMap.has(d.year)) combinedDataMap.set(d.year, { year: d.year, age: d.userAge });
-        combinedDataMap.get(d.year).valueB = Object.values(d.closingBalance||{}).reduce((a,b)=>a+b,0);
+        combinedDataMap.get(d.year).valueB = totalOf(d);
+        combinedDataMap.get(d.year).shortB = d.cashShortfall || 0;
     });
     const data = Array.from(combinedDataMap.values()).sort((a,b)=>a.year-b.year);
     if(data.length===0) return;
@@ -278,12 +342,34 @@ drawD3Chart = function(results) {
     const y = d3.scaleLinear().domain([0, d3.max(data, d=>Math.max(d.valueA||0, d.valueB||0))*1.05]).range([height,0]);
 
     g.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).tickFormat(d3.format("d")));
-    g.append("g").call(d3.axisLeft(y).tickFormat(d => "$" + d3.format("~s")(d)));
+    g.append("g").call(d3.axisLeft(y).tickFormat(d => (resultsCurrency === 'THB' ? '฿' : '$') + d3.format("~s")(d)));
 
     const line = (key) => d3.line().defined(d=>!isNaN(d[key])).x(d=>x(d.year)).y(d=>y(d[key]));
     g.append("path").datum(data).attr("fill","none").attr("stroke","var(--chart-line-a)").attr("stroke-width",2.5).attr("class", "line line-a").attr("d", line("valueA"));
     g.append("path").datum(data).attr("fill","none").attr("stroke","var(--chart-line-b)").attr("stroke-width",2.5).attr("class", "line line-b").attr("d", line("valueB"));
 
+    // [NEW] Retirement year markers when a run starts with accumulation years
+    [['a', resultsA], ['b', resultsB]].forEach(([suffix, res]) => {
+        const firstRetired = res.find(d => d.phase !== 'accumulation');
+        if (!firstRetired || firstRetired === res[0]) return;
+        g.append("line")
+            .attr("class", `retirement-marker line-${suffix}`)
+            .attr("x1", x(firstRetired.year)).attr("x2", x(firstRetired.year))
+            .attr("y1", 0).attr("y2", height)
+            .attr("stroke", `var(--chart-line-${suffix})`).attr("stroke-width", 1.5).attr("stroke-dasharray", "4 4");
+    });
+
+    // [NEW] First shortfall year: marker on each scenario's line
+    [['a', results?.firstShortfallA], ['b', results?.firstShortfallB]].forEach(([suffix, shortfall]) => {
+        const point = shortfall && data.find(d => d.year === shortfall.year);
+        const value = point && point[suffix === 'a' ? 'valueA' : 'valueB'];
+        if (value === undefined || isNaN(value)) return;
+        g.append("circle")
+            .attr("class", `shortfall-marker line-${suffix}`)
+            .attr("cx", x(shortfall.year)).attr("cy", y(value)).attr("r", 5)
+            .attr("fill", "var(--danger-color)").attr("stroke", `var(--chart-line-${suffix})`).attr("stroke-width", 2);
+    });
+
     const tooltip = d3.select("body").append("div").attr("class", "d3-tooltip").style("opacity", 0);
     const focus = g.append("g").style("display", "none");
     focus.append("line").attr("class", "focus-line").attr("y1", 0).attr("y2", height);
@@ -306,8 +392,8 @@ drawD3Chart = function(results) {
 
             focus.attr("transform", `translate(${x(d.year)},0)`);
             tooltip.html(`<strong>Year: ${d.year} (Age: ${d.age})</strong>
-                          <div><span class="color-a"></span>Scenario A: ${formatCurrency(d.valueA)}</div>
-                          <div><span class="color-b"></span>Scenario B: ${formatCurrency(d.valueB)}</div>`)
+                          <div><span class="color-a"></span>Scenario A: ${formatCurrency(d.valueA, resultsCurrency)}${d.shortA > 0 ? ` (${lang.chartShortfall})` : ''}</div>
+                          <div><span class="color-b"></span>Scenario B: ${formatCurrency(d.valueB, resultsCurrency)}${d.shortB > 0 ? ` (${lang.chartShortfall})` : ''}</div>`)
                    .style("left", (event.pageX + 15) + "px")
                    .style("top", (event.pageY - 28) + "px");
         });
@@ -1,36 +1,95 @@
 /**
  * @project     Canada-Thailand Retirement Simulator (Non-Resident)
  * @author      dluvbell (https://github.com/dluvbell)
- * @version     10.3.0 (Feature: Strategy Switching - Supports both RRSP-First & NonReg-First)
+ * @version     10.9.1 (Fix: Unfunded withdrawal shortfall reported by step 4)
  * @file        withdrawalEngine.js
  * @description Implements branching logic for withdrawals based on 'resolvedStrategy' setting.
+ *              Thai marginal rates / bracket room use each person's deductions and the indexed brackets (same as step5).
+ *              Remitted non-reg/TFSA withdrawals are split between the pre-2024 principal (tax-free) and post-2024 earnings (taxable) pools.
+ *              LIF withdrawals are capped at each person's jurisdictional maximum; the shortfall moves on to the other accounts,
+ *              and whatever no account can cover is returned as the year's unfunded shortfall.
+ *              RRIF/LIF minimums start at each person's conversion age and may follow the younger spouse's age.
  */
 
 // withdrawalEngine.js
 
-// [FIX] Internal RRIF Minimum Rates (Statutory)
-const RRIF_MINIMUM_RATES_INTERNAL = [
-    { age: 71, rate: 0.0528 }, { age: 72, rate: 0.0540 }, { age: 73, rate: 0.0553 },
-    { age: 74, rate: 0.0567 }, { age: 75, rate: 0.0582 }, { age: 76, rate: 0.0598 },
-    { age: 77, rate: 0.0617 }, { age: 78, rate: 0.0636 }, { age: 79, rate: 0.0658 },
-    { age: 80, rate: 0.0681 }, { age: 81, rate: 0.0708 }, { age: 82, rate: 0.0738 },
-    { age: 83, rate: 0.0771 }, { age: 84, rate: 0.0808 }, { age: 85, rate: 0.0851 },
-    { age: 86, rate: 0.0899 }, { age: 87, rate: 0.0955 }, { age: 88, rate: 0.1021 },
-    { age: 89, rate: 0.1099 }, { age: 90, rate: 0.1192 }, { age: 91, rate: 0.1306 },
-    { age: 92, rate: 0.1449 }, { age: 93, rate: 0.1634 }, { age: 94, rate: 0.1879 }
-];
+// [NEW] Thai remittance pools (2024 interpretation): savings held before 1 Jan 2024 remit tax-free,
+// post-2024 income and gains are taxable when brought into Thailand.
+const REMITTANCE_POOL_ACCOUNTS = ['nonreg', 'tfsa'];
+const REMITTANCE_ORDERS = ['principal_first', 'earnings_first', 'pro_rata'];
+
+/**
+ * [NEW] Opening remittance pools for one simulation run.
+ * Only the remaining pre-2024 principal is tracked per account; the taxable earnings pool is the rest of the
+ * balance, so growth and reinvested surplus land in it without extra bookkeeping.
+ * @returns {{order: string, user: {nonreg: number, tfsa: number}, spouse: {nonreg: number, tfsa: number}}}
+ */
+function createRemittancePools(scenario, hasSpouse) {
+    const build = (person) => {
+        const pools = {};
+        REMITTANCE_POOL_ACCOUNTS.forEach(k => {
+            const balance = Number(person?.assets?.[k]) || 0;
+            pools[k] = Math.max(0, Math.min(Number(person?.pre2024Savings?.[k]) || 0, balance));
+        });
+        return pools;
+    };
+    return {
+        order: REMITTANCE_ORDERS.includes(scenario?.remittanceOrder) ? scenario.remittanceOrder : 'principal_first',
+        user: build(scenario?.user),
+        spouse: hasSpouse ? build(scenario?.spouse) : { nonreg: 0, tfsa: 0 }
+    };
+}
+
+/**
+ * [NEW] Governing LIF jurisdiction per person (unknown or missing values fall back to Ontario).
+ * @returns {{user: string, spouse: string}}
+ */
+function resolveLifJurisdictions(scenario) {
+    const pick = (value) => LIF_JURISDICTIONS.includes(value) ? value : 'ON';
+    return { user: pick(scenario?.user?.lifJurisdiction), spouse: pick(scenario?.spouse?.lifJurisdiction) };
+}
+
+/**
+ * [NEW] Per-person RRIF setup: the age the RRSP converts (minimums start, 71 at the latest) and whether the
+ * minimum follows the person's own age or the spouse's (election, couples only). LIF minimums follow the same setup.
+ * @returns {{user: {conversionAge: number, useSpouseAge: boolean}, spouse: {conversionAge: number, useSpouseAge: boolean}}}
+ */
+function resolveRrifSetups(scenario) {
+    const hasSpouse = !!scenario?.spouse?.hasSpouse;
+    const build = (person) => {
+        const conversionAge = parseInt(person?.rrifConversionAge);
+        return {
+            conversionAge: Number.isFinite(conversionAge) ? Math.min(conversionAge, RRIF_LATEST_CONVERSION_AGE) : RRIF_LATEST_CONVERSION_AGE,
+            useSpouseAge: hasSpouse && person?.rrifAgeBasis === 'spouse'
+        };
+    };
+    return { user: build(scenario?.user), spouse: build(scenario?.spouse) };
+}
 
 /**
  * Step 4: Perform Withdrawals (Strategy Branching)
+ * @returns {{withdrawals: Object, depleted: boolean, shortfall: number, shortfallYear: number|null}}
+ *          [NEW] shortfall = spending no account could fund this year (e.g. the rest is locked in a capped LIF)
  */
-function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse, settings) {
+function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse, settings, remittancePools) {
     // 1. Initialize withdrawal records
-    yearData.user.withdrawals = { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, wht_deducted: 0 };
-    yearData.spouse.withdrawals = { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, wht_deducted: 0 };
+    yearData.user.withdrawals = { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 };
+    yearData.spouse.withdrawals = { rrsp: 0, tfsa: 0, nonreg: 0, lif: 0, total: 0, thai_taxable_remittance: 0, thai_exempt_remittance: 0, wht_deducted: 0 };
+
+    // [NEW] LIF maximum for the year: jurisdiction factor x the balance at the start of the year
+    const lifJurisdictions = (settings && settings.lifJurisdictions) || {};
+    yearData.user.withdrawals.lif_max = _getLifAnnualMaximum(yearData.user, userAssets, yearData.userAge, lifJurisdictions.user);
+    yearData.spouse.withdrawals.lif_max = _getLifAnnualMaximum(yearData.spouse, spouseAssets, yearData.spouse.age, lifJurisdictions.spouse);
+    // [NEW] RRIF/LIF minimum factor for the year (0 until the conversion age)
+    const rrifSetups = (settings && settings.rrifSetups) || {};
+    yearData.user.withdrawals.rrif_min_rate = _getElectedMinimumRate(yearData.userAge, yearData.spouse.age, rrifSetups.user);
+    yearData.spouse.withdrawals.rrif_min_rate = _getElectedMinimumRate(yearData.spouse.age, yearData.userAge, rrifSetups.spouse);
     
-    // 2. Calculate Available Income (Net of 25% WHT)
-    let userPensionCash = (yearData.user.income.cpp + yearData.user.income.oas + yearData.user.income.pension) * 0.75;
-    let spousePensionCash = (yearData.spouse.income.cpp + yearData.spouse.income.oas + yearData.spouse.income.pension) * 0.75;
+    // 2. Calculate Available Income (Net of Part XIII WHT per income type)
+    const whtRates = (settings && settings.withholdingRates) || getWithholdingRates();
+    const netOfWht = (inc) => inc.cpp * (1 - whtRates.CPP) + inc.oas * (1 - whtRates.OAS) + inc.pension * (1 - whtRates.PENSION);
+    let userPensionCash = netOfWht(yearData.user.income);
+    let spousePensionCash = netOfWht(yearData.spouse.income);
     
     let userCurrentRemitted = yearData.user.income.other_taxable || 0;
     let spouseCurrentRemitted = yearData.spouse.income.other_taxable || 0;
@@ -39,16 +98,29 @@ function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse,
     let spouseOverseasInc = yearData.spouse.income.other_non_remitted || 0;
 
     const DEPLETION_THRESHOLD = 1.0;
-    const exchangeRate = settings ? (Number(settings.exchangeRate) || 25.0) : 25.0;
+    // [MODIFIED] Per-person Thai context (exchange rate, indexed brackets, deductions) - same inputs as step5
+    const userThaiCtx = _getThaiTaxContext(yearData.user, settings || {}, yearData.year);
+    const spouseThaiCtx = _getThaiTaxContext(yearData.spouse, settings || {}, yearData.year);
+    // [NEW] Remittance pools (mutated in place, like the asset objects). Without pools every remittance is taxable.
+    userThaiCtx.remittance = remittancePools ? { pools: remittancePools.user, order: remittancePools.order } : null;
+    spouseThaiCtx.remittance = remittancePools ? { pools: remittancePools.spouse, order: remittancePools.order } : null;
     
     // [NEW] Get Strategy (Defaults to 'rrsp_first' if logic fails, but usually passed from engineCore)
     const strategy = settings.resolvedStrategy || 'rrsp_first';
 
+    // [NEW] Last year's Section 217 refund arrives as cash (a tax refund, not income)
+    let refundCash = yearData.section217Refund || 0;
+
     // =================================================================
     // PRIORITY A: Thai Living Expenses (Remitted)
     // =================================================================
     let thaiShortfall = (yearData.expenses_thai || 0) + (yearData.expenses_thai_tax || 0);
 
+    // A0. Use Section 217 Refund
+    const refundUsedThai = Math.min(thaiShortfall, refundCash);
+    thaiShortfall -= refundUsedThai;
+    refundCash -= refundUsedThai;
+
     // A1. Use Pension First
     const userPensionUsed = Math.min(thaiShortfall, userPensionCash);
     thaiShortfall -= userPensionUsed;
@@ -67,17 +139,18 @@ function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse,
     }
 
     // A3. Optimize Withdrawals (BRANCHING LOGIC)
+    let unfunded = 0; // [NEW] Left over after every account was tried
     if (thaiShortfall > DEPLETION_THRESHOLD) {
         if (strategy === 'nonreg_first') {
-            _coverShortfallStandard(
+            unfunded += _coverShortfallStandard(
                 thaiShortfall, userAssets, spouseAssets, yearData.user.withdrawals, yearData.spouse.withdrawals,
-                userCurrentRemitted, spouseCurrentRemitted, hasSpouse, yearData.userAge, yearData.spouse.age, true, exchangeRate
+                userCurrentRemitted, spouseCurrentRemitted, hasSpouse, yearData.userAge, yearData.spouse.age, true, userThaiCtx, spouseThaiCtx, whtRates
             );
         } else {
             // Default: RRSP First (Meltdown)
-            _coverShortfallRRSPFirst(
+            unfunded += _coverShortfallRRSPFirst(
                 thaiShortfall, userAssets, spouseAssets, yearData.user.withdrawals, yearData.spouse.withdrawals,
-                userCurrentRemitted, spouseCurrentRemitted, hasSpouse, yearData.userAge, yearData.spouse.age, true, exchangeRate
+                userCurrentRemitted, spouseCurrentRemitted, hasSpouse, yearData.userAge, yearData.spouse.age, true, userThaiCtx, spouseThaiCtx, whtRates
             );
         }
     }
@@ -87,6 +160,11 @@ function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse,
     // =================================================================
     let overseasShortfall = yearData.expenses_overseas || 0;
 
+    if (overseasShortfall > 0) {
+        const refundUsed = Math.min(overseasShortfall, refundCash);
+        overseasShortfall -= refundUsed;
+        refundCash -= refundUsed;
+    }
     if (overseasShortfall > 0) {
         const uP = Math.min(overseasShortfall, userPensionCash);
         overseasShortfall -= uP;
@@ -102,21 +180,26 @@ function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse,
 
     if (overseasShortfall > DEPLETION_THRESHOLD) {
         if (strategy === 'nonreg_first') {
-            _coverShortfallOverseasStandard(
-                overseasShortfall, userAssets, spouseAssets, yearData.user.withdrawals, yearData.spouse.withdrawals, hasSpouse, yearData.userAge, yearData.spouse.age
+            unfunded += _coverShortfallOverseasStandard(
+                overseasShortfall, userAssets, spouseAssets, yearData.user.withdrawals, yearData.spouse.withdrawals, hasSpouse, yearData.userAge, yearData.spouse.age, whtRates
             );
         } else {
-            _coverShortfallOverseasRRSPFirst(
-                overseasShortfall, userAssets, spouseAssets, yearData.user.withdrawals, yearData.spouse.withdrawals, hasSpouse, yearData.userAge, yearData.spouse.age
+            unfunded += _coverShortfallOverseasRRSPFirst(
+                overseasShortfall, userAssets, spouseAssets, yearData.user.withdrawals, yearData.spouse.withdrawals, hasSpouse, yearData.userAge, yearData.spouse.age, whtRates
             );
         }
     }
 
     // 4. Apply RRIF/LIF Minimums (Mandatory)
-    _applyRrifLifMinimums(yearData.userAge, userAssets, yearData.user.withdrawals);
+    const netDeferredCash = () => [yearData.user.withdrawals, yearData.spouse.withdrawals].reduce((sum, wd) => sum + wd.rrsp + wd.lif - wd.wht_deducted, 0);
+    const deferredCashBefore = netDeferredCash();
+    _applyRrifLifMinimums(yearData.userAge, userAssets, yearData.user.withdrawals, whtRates);
     if (hasSpouse) {
-        _applyRrifLifMinimums(yearData.spouse.age, spouseAssets, yearData.spouse.withdrawals);
+        _applyRrifLifMinimums(yearData.spouse.age, spouseAssets, yearData.spouse.withdrawals, whtRates);
     }
+    // [NEW] Cash from the minimums goes towards whatever was left unfunded
+    unfunded = Math.max(0, unfunded - (netDeferredCash() - deferredCashBefore));
+    if (unfunded <= DEPLETION_THRESHOLD) unfunded = 0;
 
     // Final aggregation
     yearData.withdrawals.rrsp = yearData.user.withdrawals.rrsp + yearData.spouse.withdrawals.rrsp;
@@ -124,18 +207,28 @@ function step4_PerformWithdrawals(yearData, userAssets, spouseAssets, hasSpouse,
     yearData.withdrawals.nonreg = yearData.user.withdrawals.nonreg + yearData.spouse.withdrawals.nonreg;
     yearData.withdrawals.lif = yearData.user.withdrawals.lif + yearData.spouse.withdrawals.lif;
     yearData.withdrawals.total = yearData.withdrawals.rrsp + yearData.withdrawals.tfsa + yearData.withdrawals.nonreg + yearData.withdrawals.lif;
+    yearData.withdrawals.thai_taxable_remittance = yearData.user.withdrawals.thai_taxable_remittance + yearData.spouse.withdrawals.thai_taxable_remittance;
+    yearData.withdrawals.thai_exempt_remittance = yearData.user.withdrawals.thai_exempt_remittance + yearData.spouse.withdrawals.thai_exempt_remittance;
+    // [NEW] Flag years where a strategy wanted more from a LIF than its maximum allowed
+    yearData.lifMaxReached = !!(yearData.user.withdrawals.lif_capped || yearData.spouse.withdrawals.lif_capped);
+
+    // [NEW] Non-remitted draws come out of earnings first: principal can never exceed what is left in the account
+    if (remittancePools) {
+        _clampRemittancePools(remittancePools.user, userAssets);
+        _clampRemittancePools(remittancePools.spouse, spouseAssets);
+    }
 
     const totalAssetsUser = Object.values(userAssets).reduce((a,b)=>a+b,0);
     const totalAssetsSpouse = Object.values(spouseAssets).reduce((a,b)=>a+b,0);
     const depleted = (totalAssetsUser + totalAssetsSpouse) < 10;
 
-    return { withdrawals: yearData.withdrawals, depleted: depleted };
+    return { withdrawals: yearData.withdrawals, depleted: depleted, shortfall: unfunded, shortfallYear: unfunded > 0 ? yearData.year : null };
 }
 
 // =============================================================================
 // STRATEGY 1: RRSP FIRST (Meltdown)
 // =============================================================================
-function _coverShortfallRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, uCurrentIncome, sCurrentIncome, hasSpouse, uAge, sAge, isRemitted, exchangeRate) {
+function _coverShortfallRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, uCurrentIncome, sCurrentIncome, hasSpouse, uAge, sAge, isRemitted, uThaiCtx, sThaiCtx, whtRates) {
     let remaining = shortfall;
     let loopGuard = 0;
     let uSimIncome = uCurrentIncome;
@@ -143,10 +236,11 @@ function _coverShortfallRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, uCurren
 
     while (remaining > 1 && loopGuard < 200) {
         loopGuard++;
-        const uThaiRate = _getDynamicMarginalThaiRate(uSimIncome, exchangeRate);
-        const sThaiRate = hasSpouse ? _getDynamicMarginalThaiRate(sSimIncome, exchangeRate) : 999;
-        const uHasRRSP = (uAssets.rrsp > 0 || uAssets.lif > 0);
-        const sHasRRSP = (sAssets.rrsp > 0 || sAssets.lif > 0);
+        const uThaiRate = _getDynamicMarginalThaiRate(uSimIncome, uThaiCtx);
+        const sThaiRate = hasSpouse ? _getDynamicMarginalThaiRate(sSimIncome, sThaiCtx) : 999;
+        // [MODIFIED] A capped LIF (or an absent spouse's accounts) must not block the fallback to Non-Reg
+        const uHasRRSP = _hasDeferredRoom(uAssets, uWd, uAge);
+        const sHasRRSP = hasSpouse && _hasDeferredRoom(sAssets, sWd, sAge);
         const uHasNonReg = (uAssets.nonreg > 0 || uAssets.tfsa > 0);
         const sHasNonReg = (sAssets.nonreg > 0 || sAssets.tfsa > 0);
 
@@ -178,8 +272,8 @@ function _coverShortfallRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, uCurren
         if (!bestOption) break;
 
         let room = 999999;
-        if (bestOption === 'u_nonreg') room = _getDynamicRoomToNextBracket(uSimIncome, exchangeRate);
-        else if (bestOption === 's_nonreg') room = _getDynamicRoomToNextBracket(sSimIncome, exchangeRate);
+        if (bestOption === 'u_nonreg') room = _getDynamicRoomToNextBracket(uSimIncome, uThaiCtx);
+        else if (bestOption === 's_nonreg') room = _getDynamicRoomToNextBracket(sSimIncome, sThaiCtx);
         
         let stepAmount = Math.min(remaining, room);
         stepAmount = Math.max(stepAmount, 100); 
@@ -188,42 +282,47 @@ function _coverShortfallRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, uCurren
         let withdrawn = 0;
         if (bestOption === 'u_rrsp') {
             // RRSP WDs are Exempt from Thai Tax (WHT paid)
-            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, uAssets, uWd, uAge, false);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, uAssets, uWd, uAge, false);
+            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, uAssets, uWd, uAge, false, whtRates);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, uAssets, uWd, uAge, false, whtRates);
         } else if (bestOption === 's_rrsp') {
-            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, sAssets, sWd, sAge, false);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, sAssets, sWd, sAge, false);
+            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, sAssets, sWd, sAge, false, whtRates);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, sAssets, sWd, sAge, false, whtRates);
         } else if (bestOption === 'u_nonreg') {
-            withdrawn = _withdrawFromAccount('nonreg', stepAmount, uAssets, uWd, uAge, isRemitted);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, uAssets, uWd, uAge, isRemitted);
-            uSimIncome += withdrawn;
+            // [MODIFIED] Only the post-2024 (taxable) part of the remittance raises Thai income
+            const taxableBefore = uWd.thai_taxable_remittance;
+            withdrawn = _withdrawFromAccount('nonreg', stepAmount, uAssets, uWd, uAge, isRemitted, uThaiCtx.remittance);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, uAssets, uWd, uAge, isRemitted, uThaiCtx.remittance);
+            uSimIncome += uWd.thai_taxable_remittance - taxableBefore;
         } else if (bestOption === 's_nonreg') {
-            withdrawn = _withdrawFromAccount('nonreg', stepAmount, sAssets, sWd, sAge, isRemitted);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, sAssets, sWd, sAge, isRemitted);
-            sSimIncome += withdrawn;
+            // [MODIFIED] Only the post-2024 (taxable) part of the remittance raises Thai income
+            const taxableBefore = sWd.thai_taxable_remittance;
+            withdrawn = _withdrawFromAccount('nonreg', stepAmount, sAssets, sWd, sAge, isRemitted, sThaiCtx.remittance);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, sAssets, sWd, sAge, isRemitted, sThaiCtx.remittance);
+            sSimIncome += sWd.thai_taxable_remittance - taxableBefore;
         }
         if (withdrawn <= 0.01) break; 
         remaining -= withdrawn;
     }
+    return Math.max(0, remaining); // [NEW] Unfunded remainder
 }
 
-function _coverShortfallOverseasRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, hasSpouse, uAge, sAge) {
+function _coverShortfallOverseasRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd, hasSpouse, uAge, sAge, whtRates) {
     let remaining = shortfall;
     // 1. RRSP -> 2. NonReg -> 3. TFSA
     if (remaining > 0) {
         const half = hasSpouse ? remaining / 2 : remaining;
         let w = 0;
-        w = _withdrawFromTaxDeferredAccount('lif', half, uAssets, uWd, uAge, false);
-        w += _withdrawFromTaxDeferredAccount('rrsp', half - w, uAssets, uWd, uAge, false);
+        w = _withdrawFromTaxDeferredAccount('lif', half, uAssets, uWd, uAge, false, whtRates);
+        w += _withdrawFromTaxDeferredAccount('rrsp', half - w, uAssets, uWd, uAge, false, whtRates);
         remaining -= w;
         if (hasSpouse) {
-            w = _withdrawFromTaxDeferredAccount('lif', remaining, sAssets, sWd, sAge, false);
-            w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, sAssets, sWd, sAge, false);
+            w = _withdrawFromTaxDeferredAccount('lif', remaining, sAssets, sWd, sAge, false, whtRates);
+            w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, sAssets, sWd, sAge, false, whtRates);
             remaining -= w;
         }
         if (remaining > 0) {
-             w = _withdrawFromTaxDeferredAccount('lif', remaining, uAssets, uWd, uAge, false);
-             w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, uAssets, uWd, uAge, false);
+             w = _withdrawFromTaxDeferredAccount('lif', remaining, uAssets, uWd, uAge, false, whtRates);
+             w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, uAssets, uWd, uAge, false, whtRates);
              remaining -= w;
         }
     }
@@ -239,12 +338,13 @@ function _coverShortfallOverseasRRSPFirst(shortfall, uAssets, sAssets, uWd, sWd,
         if (hasSpouse) remaining -= _withdrawFromAccount('tfsa', remaining, sAssets, sWd, sAge, false);
         if (remaining > 0) remaining -= _withdrawFromAccount('tfsa', remaining, uAssets, uWd, uAge, false);
     }
+    return Math.max(0, remaining); // [NEW] Unfunded remainder
 }
 
 // =============================================================================
 // STRATEGY 2: NON-REG FIRST (Standard Water-filling)
 // =============================================================================
-function _coverShortfallStandard(shortfall, uAssets, sAssets, uWd, sWd, uCurrentIncome, sCurrentIncome, hasSpouse, uAge, sAge, isRemitted, exchangeRate) {
+function _coverShortfallStandard(shortfall, uAssets, sAssets, uWd, sWd, uCurrentIncome, sCurrentIncome, hasSpouse, uAge, sAge, isRemitted, uThaiCtx, sThaiCtx, whtRates) {
     let remaining = shortfall;
     let loopGuard = 0;
     let uSimIncome = uCurrentIncome;
@@ -252,12 +352,12 @@ function _coverShortfallStandard(shortfall, uAssets, sAssets, uWd, sWd, uCurrent
 
     while (remaining > 1 && loopGuard < 200) {
         loopGuard++;
-        const uThaiRate = _getDynamicMarginalThaiRate(uSimIncome, exchangeRate);
-        const sThaiRate = hasSpouse ? _getDynamicMarginalThaiRate(sSimIncome, exchangeRate) : 999;
+        const uThaiRate = _getDynamicMarginalThaiRate(uSimIncome, uThaiCtx);
+        const sThaiRate = hasSpouse ? _getDynamicMarginalThaiRate(sSimIncome, sThaiCtx) : 999;
         const uHasNonReg = (uAssets.nonreg > 0 || uAssets.tfsa > 0);
         const sHasNonReg = (sAssets.nonreg > 0 || sAssets.tfsa > 0);
-        const uHasRRSP = (uAssets.rrsp > 0 || uAssets.lif > 0);
-        const sHasRRSP = (sAssets.rrsp > 0 || sAssets.lif > 0);
+        const uHasRRSP = _hasDeferredRoom(uAssets, uWd, uAge);
+        const sHasRRSP = _hasDeferredRoom(sAssets, sWd, sAge);
 
         let bestOption = null;
         let minCost = 999;
@@ -272,22 +372,22 @@ function _coverShortfallStandard(shortfall, uAssets, sAssets, uWd, sWd, uCurrent
             if (cost < minCost || (Math.abs(cost - minCost) < 0.0001 && sSimIncome < uSimIncome)) { minCost = cost; bestOption = 's_nonreg'; }
         }
 
-        // 2. RRSP (25% WHT)
-        // Only pick if Thai Rate for Non-Reg exceeds 25% (Cost comparison)
+        // 2. RRSP/LIF (Part XIII WHT)
+        // [MODIFIED] Only pick if Thai Rate for Non-Reg exceeds the WHT on the next RRSP/LIF dollar (Cost comparison)
         if (uHasRRSP) {
-            const cost = 0.25; 
+            const cost = _getNextDeferredWhtRate(uAssets, uWd, uAge, whtRates); 
             if (cost < minCost - 0.0001) { minCost = cost; bestOption = 'u_rrsp'; }
         }
         if (hasSpouse && sHasRRSP) {
-            const cost = 0.25;
+            const cost = _getNextDeferredWhtRate(sAssets, sWd, sAge, whtRates);
             if (cost < minCost - 0.0001) { minCost = cost; bestOption = 's_rrsp'; }
         }
 
         if (!bestOption) break;
 
         let room = 999999;
-        if (bestOption === 'u_nonreg' || bestOption === 'u_rrsp') room = _getDynamicRoomToNextBracket(uSimIncome, exchangeRate);
-        else room = _getDynamicRoomToNextBracket(sSimIncome, exchangeRate);
+        if (bestOption === 'u_nonreg' || bestOption === 'u_rrsp') room = _getDynamicRoomToNextBracket(uSimIncome, uThaiCtx);
+        else room = _getDynamicRoomToNextBracket(sSimIncome, sThaiCtx);
         
         let stepAmount = Math.min(remaining, room);
         stepAmount = Math.max(stepAmount, 100); 
@@ -295,26 +395,31 @@ function _coverShortfallStandard(shortfall, uAssets, sAssets, uWd, sWd, uCurrent
 
         let withdrawn = 0;
         if (bestOption === 'u_nonreg') {
-            withdrawn = _withdrawFromAccount('nonreg', stepAmount, uAssets, uWd, uAge, isRemitted);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, uAssets, uWd, uAge, isRemitted);
-            uSimIncome += withdrawn;
+            // [MODIFIED] Only the post-2024 (taxable) part of the remittance raises Thai income
+            const taxableBefore = uWd.thai_taxable_remittance;
+            withdrawn = _withdrawFromAccount('nonreg', stepAmount, uAssets, uWd, uAge, isRemitted, uThaiCtx.remittance);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, uAssets, uWd, uAge, isRemitted, uThaiCtx.remittance);
+            uSimIncome += uWd.thai_taxable_remittance - taxableBefore;
         } else if (bestOption === 's_nonreg') {
-            withdrawn = _withdrawFromAccount('nonreg', stepAmount, sAssets, sWd, sAge, isRemitted);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, sAssets, sWd, sAge, isRemitted);
-            sSimIncome += withdrawn;
+            // [MODIFIED] Only the post-2024 (taxable) part of the remittance raises Thai income
+            const taxableBefore = sWd.thai_taxable_remittance;
+            withdrawn = _withdrawFromAccount('nonreg', stepAmount, sAssets, sWd, sAge, isRemitted, sThaiCtx.remittance);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromAccount('tfsa', stepAmount - withdrawn, sAssets, sWd, sAge, isRemitted, sThaiCtx.remittance);
+            sSimIncome += sWd.thai_taxable_remittance - taxableBefore;
         } else if (bestOption === 'u_rrsp') {
-            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, uAssets, uWd, uAge, false);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, uAssets, uWd, uAge, false);
+            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, uAssets, uWd, uAge, false, whtRates);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, uAssets, uWd, uAge, false, whtRates);
         } else if (bestOption === 's_rrsp') {
-            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, sAssets, sWd, sAge, false);
-            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, sAssets, sWd, sAge, false);
+            withdrawn = _withdrawFromTaxDeferredAccount('lif', stepAmount, sAssets, sWd, sAge, false, whtRates);
+            if (withdrawn < stepAmount) withdrawn += _withdrawFromTaxDeferredAccount('rrsp', stepAmount - withdrawn, sAssets, sWd, sAge, false, whtRates);
         }
         if (withdrawn <= 0.01) break; 
         remaining -= withdrawn;
     }
+    return Math.max(0, remaining); // [NEW] Unfunded remainder
 }
 
-function _coverShortfallOverseasStandard(shortfall, uAssets, sAssets, uWd, sWd, hasSpouse, uAge, sAge) {
+function _coverShortfallOverseasStandard(shortfall, uAssets, sAssets, uWd, sWd, hasSpouse, uAge, sAge, whtRates) {
     let remaining = shortfall;
     // 1. NonReg -> 2. TFSA -> 3. RRSP
     if (remaining > 0) {
@@ -332,56 +437,95 @@ function _coverShortfallOverseasStandard(shortfall, uAssets, sAssets, uWd, sWd,
     if (remaining > 0) {
         const half = hasSpouse ? remaining / 2 : remaining;
         let w = 0;
-        w = _withdrawFromTaxDeferredAccount('lif', half, uAssets, uWd, uAge, false);
-        w += _withdrawFromTaxDeferredAccount('rrsp', half - w, uAssets, uWd, uAge, false);
+        w = _withdrawFromTaxDeferredAccount('lif', half, uAssets, uWd, uAge, false, whtRates);
+        w += _withdrawFromTaxDeferredAccount('rrsp', half - w, uAssets, uWd, uAge, false, whtRates);
         remaining -= w;
         if (hasSpouse) {
-            w = _withdrawFromTaxDeferredAccount('lif', remaining, sAssets, sWd, sAge, false);
-            w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, sAssets, sWd, sAge, false);
+            w = _withdrawFromTaxDeferredAccount('lif', remaining, sAssets, sWd, sAge, false, whtRates);
+            w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, sAssets, sWd, sAge, false, whtRates);
             remaining -= w;
         }
         if (remaining > 0) {
-             w = _withdrawFromTaxDeferredAccount('lif', remaining, uAssets, uWd, uAge, false);
-             w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, uAssets, uWd, uAge, false);
+             w = _withdrawFromTaxDeferredAccount('lif', remaining, uAssets, uWd, uAge, false, whtRates);
+             w += _withdrawFromTaxDeferredAccount('rrsp', remaining - w, uAssets, uWd, uAge, false, whtRates);
              remaining -= w;
         }
     }
+    return Math.max(0, remaining); // [NEW] Unfunded remainder
 }
 
 // --- Helpers ---
-function _withdrawFromAccount(accountType, amountNeeded, assets, wdRecord, age, isThaiTaxable) {
+function _withdrawFromAccount(accountType, amountNeeded, assets, wdRecord, age, isThaiTaxable, remittance) {
     if (amountNeeded <= 0 || !assets || assets[accountType] <= 0) return 0;
     let available = assets[accountType];
     const withdrawAmount = Math.min(amountNeeded, available);
     if (withdrawAmount > 0) {
         assets[accountType] -= withdrawAmount;
         wdRecord[accountType] += withdrawAmount;
-        if (isThaiTaxable) wdRecord.thai_taxable_remittance += withdrawAmount;
+        if (isThaiTaxable) {
+            // [MODIFIED] Pre-2024 principal remits tax-free; only the earnings part is Thai-taxable
+            const taxable = remittance ? _takeFromRemittancePools(accountType, withdrawAmount, available, remittance.pools, remittance.order) : withdrawAmount;
+            wdRecord.thai_taxable_remittance += taxable;
+            wdRecord.thai_exempt_remittance = (wdRecord.thai_exempt_remittance || 0) + (withdrawAmount - taxable);
+        }
         return withdrawAmount;
     }
     return 0;
 }
 
-function _withdrawFromTaxDeferredAccount(accountType, netAmountNeeded, assets, wdRecord, age, isThaiTaxable) {
+/**
+ * [NEW] Takes a remitted withdrawal out of the pools and returns its taxable (post-2024 earnings) part.
+ * @param {number} balanceBefore - Account balance before this withdrawal.
+ * @param {string} order - 'principal_first' | 'earnings_first' | 'pro_rata'.
+ */
+function _takeFromRemittancePools(accountType, amount, balanceBefore, pools, order) {
+    if (!pools || !(accountType in pools)) return amount;
+    const principal = Math.min(pools[accountType], balanceBefore);
+    const earnings = Math.max(0, balanceBefore - principal);
+
+    let fromPrincipal;
+    if (order === 'earnings_first') fromPrincipal = Math.max(0, amount - earnings);
+    else if (order === 'pro_rata') fromPrincipal = balanceBefore > 0 ? amount * (principal / balanceBefore) : 0;
+    else fromPrincipal = Math.min(amount, principal);
+    fromPrincipal = Math.min(fromPrincipal, principal);
+
+    pools[accountType] = principal - fromPrincipal;
+    return amount - fromPrincipal;
+}
+
+function _clampRemittancePools(pools, assets) {
+    REMITTANCE_POOL_ACCOUNTS.forEach(k => { pools[k] = Math.max(0, Math.min(pools[k] || 0, assets[k] || 0)); });
+}
+
+function _withdrawFromTaxDeferredAccount(accountType, netAmountNeeded, assets, wdRecord, age, isThaiTaxable, whtRates) {
     if (netAmountNeeded <= 0 || !assets || assets[accountType] <= 0) return 0;
     
-    // WHT 25%
-    const GROSS_FACTOR = 1 / 0.75;
-    let grossNeeded = netAmountNeeded * GROSS_FACTOR;
     let available = assets[accountType];
     let grossAvailable = available;
     
     const openingBalance = assets[accountType] + wdRecord[accountType];
 
     if (accountType === 'lif') {
-        const maxLif = openingBalance * getLifMaximumFactor(age);
-        const grossWdMade = wdRecord.lif;
-        const remainingLifRoom = Math.max(0, maxLif - grossWdMade);
-        grossAvailable = Math.min(available, remainingLifRoom);
+        grossAvailable = Math.min(available, _getLifRoom(wdRecord, openingBalance, age));
     }
     
-    const grossWithdrawAmount = Math.min(grossNeeded, grossAvailable);
-    const netWithdrawAmount = grossWithdrawAmount * 0.75;
+    // [MODIFIED] Gross up through the WHT tiers (RRIF periodic -> excess / RRSP lump sum, LIF single rate)
+    let grossWithdrawAmount = 0;
+    let netWithdrawAmount = 0;
+    let grossLeft = grossAvailable;
+    for (const tier of _getDeferredWhtTiers(accountType, openingBalance, wdRecord, age, whtRates || getWithholdingRates())) {
+        const netLeft = netAmountNeeded - netWithdrawAmount;
+        if (netLeft <= 1e-9 || grossLeft <= 0) break;
+        const netFactor = 1 - tier.rate;
+        const gross = Math.min(tier.room, grossLeft, netFactor > 0 ? netLeft / netFactor : grossLeft);
+        grossWithdrawAmount += gross;
+        netWithdrawAmount += gross * netFactor;
+        grossLeft -= gross;
+    }
+    // [NEW] The maximum, not the balance, stopped this LIF withdrawal
+    if (accountType === 'lif' && grossAvailable < available && netWithdrawAmount < netAmountNeeded - 0.01) {
+        wdRecord.lif_capped = true;
+    }
     
     if (grossWithdrawAmount > 0) {
         const whtDeducted = grossWithdrawAmount - netWithdrawAmount;
@@ -394,8 +538,9 @@ function _withdrawFromTaxDeferredAccount(accountType, netAmountNeeded, assets, w
     return 0;
 }
 
-function _applyRrifLifMinimums(age, assets, wdRecord) {
-    const minRate = _getRrifLifMinimumRate(age);
+function _applyRrifLifMinimums(age, assets, wdRecord, whtRates) {
+    const rates = whtRates || getWithholdingRates();
+    const minRate = _getMinimumRate(wdRecord, age);
     if (minRate === 0 || !assets) return;
 
     const rrifOpening = (assets.rrsp || 0) + (wdRecord.rrsp || 0);
@@ -404,8 +549,7 @@ function _applyRrifLifMinimums(age, assets, wdRecord) {
     if (wdRecord.rrsp < minRrif - 1.0) {
         const grossExtra = Math.min(minRrif - wdRecord.rrsp, assets.rrsp || 0);
         if (grossExtra > 0) {
-            const whtRate = 0.25;
-            const whtExtra = grossExtra * whtRate;
+            const whtExtra = grossExtra * rates.RRIF_PERIODIC; // The minimum is always periodic
             assets.rrsp -= grossExtra;
             wdRecord.rrsp += grossExtra;
             wdRecord.wht_deducted += whtExtra;
@@ -413,12 +557,11 @@ function _applyRrifLifMinimums(age, assets, wdRecord) {
     }
 
     const lifOpening = (assets.lif || 0) + (wdRecord.lif || 0);
-    const minLif = lifOpening * minRate;
+    const minLif = Math.min(lifOpening * minRate, wdRecord.lif_max !== undefined ? wdRecord.lif_max : Infinity);
     if (wdRecord.lif < minLif - 1.0) {
         const grossExtra = Math.min(minLif - wdRecord.lif, assets.lif || 0);
         if (grossExtra > 0) {
-            const whtRate = 0.25;
-            const whtExtra = grossExtra * whtRate;
+            const whtExtra = grossExtra * rates.LIF;
             assets.lif -= grossExtra;
             wdRecord.lif += grossExtra;
             wdRecord.wht_deducted += whtExtra;
@@ -426,49 +569,87 @@ function _applyRrifLifMinimums(age, assets, wdRecord) {
     }
 }
 
-function _getRrifLifMinimumRate(age) {
-    if (age < 71) return 0;
-    const rateData = RRIF_MINIMUM_RATES_INTERNAL.find(d => d.age === parseInt(age));
-    return rateData ? rateData.rate : (age >= 95 ? 0.20 : 0);
+/**
+ * [NEW] Part XIII tiers for the next RRSP/RRIF or LIF withdrawal this year.
+ * RRIF payments are periodic up to the greater of 2x the minimum and 10% of the opening value; the rest
+ * is a RRIF excess amount. Before the minimum applies the account is an RRSP and every withdrawal is a lump sum.
+ * @returns {Array<{room: number, rate: number}>} Gross room per tier, in withdrawal order.
+ */
+function _getDeferredWhtTiers(accountType, openingBalance, wdRecord, age, rates) {
+    if (accountType === 'lif') return [{ room: Infinity, rate: rates.LIF }];
+
+    const minRate = _getMinimumRate(wdRecord, age);
+    if (minRate === 0) return [{ room: Infinity, rate: rates.RRSP_LUMP_SUM }];
+
+    const periodicLimit = Math.max(2 * minRate * openingBalance, 0.10 * openingBalance);
+    return [
+        { room: Math.max(0, periodicLimit - (wdRecord.rrsp || 0)), rate: rates.RRIF_PERIODIC },
+        { room: Infinity, rate: rates.RRIF_EXCESS }
+    ];
+}
+
+/** [NEW] WHT rate on the next dollar out of RRSP/LIF (LIF first, same order as the withdrawal calls). */
+function _getNextDeferredWhtRate(assets, wdRecord, age, whtRates) {
+    const rates = whtRates || getWithholdingRates();
+    if (assets.lif > 0 && _getLifRoom(wdRecord, assets.lif + wdRecord.lif, age) > 1) return rates.LIF;
+    const tiers = _getDeferredWhtTiers('rrsp', (assets.rrsp || 0) + (wdRecord.rrsp || 0), wdRecord, age, rates);
+    return (tiers.find(t => t.room > 1) || tiers[tiers.length - 1]).rate;
 }
 
-function getLifMaximumFactor(age) {
+/** [MODIFIED] Statutory RRIF/LIF minimum factor: 1 / (90 - age) under 71, the prescribed table from 71. */
+function getRrifMinimumRate(age) {
+    if (age < 71) return 1 / (90 - age);
+    const lastRow = rrifLifMinimumRates[rrifLifMinimumRates.length - 1];
+    if (age >= lastRow.age) return lastRow.rate;
+    const rateData = rrifLifMinimumRates.find(d => d.age === parseInt(age));
+    return rateData ? rateData.rate : 0;
+}
+
+/** [NEW] Minimum factor for one person: 0 before the conversion age, else on the own or elected spouse's age. */
+function _getElectedMinimumRate(ownAge, spouseAge, setup) {
+    const conversionAge = setup ? setup.conversionAge : RRIF_LATEST_CONVERSION_AGE;
+    if (ownAge < conversionAge) return 0;
+    return getRrifMinimumRate(setup && setup.useSpouseAge ? spouseAge : ownAge);
+}
+
+/** [NEW] Minimum factor resolved by step4, or the own-age default when the record has none. */
+function _getMinimumRate(wdRecord, age) {
+    return wdRecord && wdRecord.rrif_min_rate !== undefined ? wdRecord.rrif_min_rate : _getElectedMinimumRate(age, age, null);
+}
+
+/** LIF maximum withdrawal factor for the age and governing jurisdiction (Ontario when omitted). */
+function getLifMaximumFactor(age, jurisdiction) {
     if (age < 55) return 0;
-    const factorsTable = typeof ontarioLifMaximumFactors !== 'undefined' ? ontarioLifMaximumFactors : [];
+    const tables = typeof lifMaximumFactors !== 'undefined' ? lifMaximumFactors : {};
+    const factorsTable = tables[jurisdiction] || tables.ON || [];
     const factorData = factorsTable.find(d => d.age === age);
     if (factorData) return factorData.factor;
     if (age >= 90) return 1.00;
     return 0;
 }
 
-function _getDynamicMarginalThaiRate(incomeCAD, exchangeRate) {
-    const incomeTHB = incomeCAD * exchangeRate;
-    const taxableTHB = Math.max(0, incomeTHB - 60000);
-
-    if (taxableTHB <= 150000) return 0.00;
-    if (taxableTHB <= 300000) return 0.05;
-    if (taxableTHB <= 500000) return 0.10;
-    if (taxableTHB <= 750000) return 0.15;
-    if (taxableTHB <= 1000000) return 0.20;
-    if (taxableTHB <= 2000000) return 0.25;
-    if (taxableTHB <= 5000000) return 0.30;
-    return 0.35;
+/** [NEW] Gross LIF maximum for the year. Uses the start-of-year balance when the engine recorded it. */
+function _getLifAnnualMaximum(personYearData, assets, age, jurisdiction) {
+    const opening = personYearData.openingBalance ? personYearData.openingBalance.lif : assets.lif;
+    return (Number(opening) || 0) * getLifMaximumFactor(age, jurisdiction);
 }
 
-function _getDynamicRoomToNextBracket(incomeCAD, exchangeRate) {
-    const incomeTHB = incomeCAD * exchangeRate;
-    const taxableTHB = Math.max(0, incomeTHB - 60000);
-    
-    let limitTHB = 0;
-    if (taxableTHB < 150000) limitTHB = 150000;
-    else if (taxableTHB < 300000) limitTHB = 300000;
-    else if (taxableTHB < 500000) limitTHB = 500000;
-    else if (taxableTHB < 750000) limitTHB = 750000;
-    else if (taxableTHB < 1000000) limitTHB = 1000000;
-    else if (taxableTHB < 2000000) limitTHB = 2000000;
-    else if (taxableTHB < 5000000) limitTHB = 5000000;
-    else return 9999999; 
-
-    const roomTHB = limitTHB - taxableTHB;
-    return roomTHB / exchangeRate;
-}
\ No newline at end of file
+/** [NEW] Gross LIF room left this year (step4 sets lif_max; otherwise the Ontario factor on the opening value). */
+function _getLifRoom(wdRecord, openingBalance, age) {
+    const maxLif = wdRecord.lif_max !== undefined ? wdRecord.lif_max : openingBalance * getLifMaximumFactor(age);
+    return Math.max(0, maxLif - (wdRecord.lif || 0));
+}
+
+/** [NEW] True while the RRSP/RRIF has money or the LIF still has room under its maximum. */
+function _hasDeferredRoom(assets, wdRecord, age) {
+    return assets.rrsp > 0 || (assets.lif > 0 && _getLifRoom(wdRecord, assets.lif + wdRecord.lif, age) > 1);
+}
+
+// [MODIFIED] Both delegate to incomeTaxEngine's net-taxable calculation so the optimizer and step5 agree on the bracket
+function _getDynamicMarginalThaiRate(incomeCAD, thaiCtx) {
+    return _getThaiBracketPosition(incomeCAD, thaiCtx).rate;
+}
+
+function _getDynamicRoomToNextBracket(incomeCAD, thaiCtx) {
+    return _getThaiBracketPosition(incomeCAD, thaiCtx).roomCAD;
+}